@@ -3,43 +3,92 @@
  * Kanban 批量处理 - 依赖分析和执行计划生成
  *
  * Usage:
- *   node kanban-planner.js [options]
+ *   node kanban-planner.js [options]         生成执行计划
+ *   node kanban-planner.js run [options]     按计划逐波执行 (每个任务调用 agent 命令)
  *
  * Options:
  *   --project=<id>    指定项目 ID
  *   --priority=<n>    只处理特定优先级 (0-3)
- *   --dry-run         只生成计划，不输出执行命令
+ *   --dry-run         只生成计划，不输出执行命令 (run: 只显示将执行的内容)
  *   --max=<n>         最大并行数 (默认 3)
- *   --json            输出 JSON 格式
+ *   --json            输出 JSON 格式 (同 --format=json)
+ *   --format=<f>      markdown|json|mermaid|dot|html (默认 markdown，见 lib/plan-views.js)
  *   --detect          检测当前目录对应的项目
- *   --base-url=<url>  API 基础 URL (默认 http://127.0.0.1:3007)
+ *   --base-url=<url>  API 基础 URL (默认 $KANBAN_URL 或 http://127.0.0.1:3007)
+ *   --timeout=<s>     单次 API 请求超时秒数 (默认 10)
+ *   --debug           打印每个 API 请求和响应
+ *   --break-cycles    每个循环依赖去掉一条最低优先级的依赖边后继续 (不修改任务)
+ *
+ * Options (run):
+ *   --agent="<cmd>"   每个任务执行的命令 (默认 config.batch.agent)
+ *   --resume          继续上次中断的 run (.kanban/run.json)
+ *   --restart         丢弃未完成的 run，重新规划
+ *   --no-worktree     在项目目录中执行，不创建任务 worktree
+ *   --task-timeout=<s> 单个任务的超时秒数 (默认 config.batch.timeout 或 1800)
+ *
+ * Run:
+ *   每一波最多同时执行 --max 个任务: `kanban start` 标记进行中，`kanban worktree`
+ *   创建 task/<短 ID> worktree，在其中用 sh 执行 agent 命令 (stdin 为任务 JSON，
+ *   环境变量 KANBAN_TASK_ID / KANBAN_TASK_TITLE / KANBAN_WORKTREE / KANBAN_BRANCH /
+ *   KANBAN_RUN_ID)，输出写入 .kanban/runs/<run>/<短 ID>.log。退出码 0 标记完成，
+ *   否则评论失败原因并移到 blocked，依赖它的任务跳过。整波结束后才开始下一波。
+ *   依赖不在本次计划中且未完成的任务 (依赖进行中 / blocked，或 --priority 之外的任务)
+ *   一开始就跳过并注明原因，不会在 `kanban start` 时失败。
+ *   --break-cycles 忽略的依赖边记录在 run.json 的 ignoredDeps 中，这些任务用
+ *   `kanban start --force` 开始 (同时跳过 WIP 检查，并行数已按 WIP 限制收紧)。
+ *   每次状态变化写入 .kanban/run.json，中断 (Ctrl-C) 后用 --resume 继续，
+ *   中断时运行中的任务会重新执行 (复用已创建的 worktree)。
+ *
+ * Schedule:
+ *   每个任务的时长取估算 (故事点 × config.batch.hoursPerPoint，或按已完成任务的实际
+ *   耗时校准) 或历史耗时，计划中显示关键路径、每个任务的松弛时间和 --max 并行下的
+ *   预计完工时间 (见 lib/schedule.js)。
+ *
+ * Dependencies:
+ *   优先使用 `kanban link` 写入 .kanban/meta.json 的 blockedBy 字段，
+ *   没有结构化依赖的旧任务才回退到描述解析 (blocked by [id] 等)。
+ *   循环依赖逐个报告 (任务标题和产生依赖的描述行)，环上的任务及其下游不进入计划，
+ *   退出码为 1；--break-cycles 时忽略每个环上最低优先级的一条边。
  */
 
+import { execFile, spawn } from "child_process";
+import { openSync, closeSync, promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { getBlockerIds, dependencySource, findCycles, outsideBlockers } from "../lib/deps.js";
+import { loadDepGraph, taskResources, findResourceConflict } from "../lib/resources.js";
+import { STORE_DIR, loadMeta, mergeMeta, loadConfig, loadRunState, saveRunState } from "../lib/store.js";
+import { DEFAULT_BASE_URL, createClient, isConnectionError, serverHint } from "../lib/client.js";
+import { wipConfig } from "../lib/estimates.js";
+import { listGitWorktrees } from "../lib/worktrees.js";
+import { formatDuration } from "../lib/timing.js";
+import { PLAN_FORMATS, formatPlanAsMermaid, formatPlanAsDot, formatPlanAsHtml } from "../lib/plan-views.js";
+import { loadActivity } from "../lib/activity.js";
+import { estimateDurations, criticalPath, waveTimeline, waveMakespan, dependencyMakespan, formatScheduleAmount } from "../lib/schedule.js";
+
 // ============================================================
 // 配置
 // ============================================================
 
 const DEFAULT_MAX_PARALLEL = 3;
-const DEFAULT_BASE_URL = "http://127.0.0.1:3007";
 
-// 依赖解析正则
-const DEP_PATTERNS = [
-  /blocked\s+by[:\s]+\[([a-zA-Z0-9]+)\]/gi,
-  /depends\s+on[:\s]+\[([a-zA-Z0-9]+)\]/gi,
-  /after[:\s]+\[([a-zA-Z0-9]+)\]/gi,
-  /requires[:\s]+\[([a-zA-Z0-9]+)\]/gi,
-];
+// 单个任务 agent 的超时 (秒)
+const DEFAULT_TASK_TIMEOUT = 1800;
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "kanban-cli.js");
+
+const execFileAsync = promisify(execFile);
 
 // ============================================================
 // HTTP 客户端
 // ============================================================
 
+// main() 按 --debug / --timeout 重新创建
+let client = createClient();
+
 async function fetchJson(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
-  return response.json();
+  return client.get(url);
 }
 
 // ============================================================
@@ -68,12 +117,16 @@ async function getProjectById(baseUrl, projectId) {
 // 任务获取
 // ============================================================
 
-async function fetchTasks(baseUrl, projectId, priorityFilter) {
-  const data = await fetchJson(`${baseUrl}/api/v1/projects/${projectId}/tasks`);
-  let tasks = data.items || [];
+async function fetchAllTasks(baseUrl, project) {
+  const data = await fetchJson(`${baseUrl}/api/v1/projects/${project.id}/tasks`);
+
+  // 合并本地结构化字段 (blockedBy)
+  return mergeMeta(data.items || [], await loadMeta(project.path));
+}
 
+function selectTodoTasks(allTasks, priorityFilter) {
   // 只获取 todo 状态的任务
-  tasks = tasks.filter((t) => t.status === "todo");
+  let tasks = allTasks.filter((t) => t.status === "todo");
 
   // 优先级过滤
   if (priorityFilter !== null && priorityFilter !== undefined) {
@@ -83,26 +136,6 @@ async function fetchTasks(baseUrl, projectId, priorityFilter) {
   return tasks;
 }
 
-// ============================================================
-// 依赖解析
-// ============================================================
-
-function parseDependencies(taskDescription) {
-  if (!taskDescription) return [];
-
-  const deps = new Set();
-
-  for (const pattern of DEP_PATTERNS) {
-    let match;
-    pattern.lastIndex = 0;
-    while ((match = pattern.exec(taskDescription)) !== null) {
-      deps.add(match[1]);
-    }
-  }
-
-  return Array.from(deps);
-}
-
 // ============================================================
 // 依赖图构建
 // ============================================================
@@ -112,13 +145,15 @@ function buildDependencyGraph(tasks) {
   const taskIds = new Set(tasks.map((t) => t.id));
 
   for (const task of tasks) {
-    const deps = parseDependencies(task.description).filter((d) => taskIds.has(d));
+    const deps = getBlockerIds(task).filter((d) => taskIds.has(d));
 
     graph.set(task.id, {
       task,
       deps,
       priority: task.priority,
       dependents: [],
+      resources: [],
+      deferrals: [],
     });
   }
 
@@ -154,10 +189,8 @@ function topologicalSort(graph) {
       }
     }
 
-    if (ready.length === 0) {
-      console.error("Circular dependency detected! Remaining tasks:", Array.from(remaining));
-      break;
-    }
+    // 剩余任务都在环上或依赖环上的任务 (见 detectCycles)
+    if (ready.length === 0) break;
 
     // 按优先级排序
     ready.sort((a, b) => {
@@ -166,9 +199,22 @@ function topologicalSort(graph) {
       return pa - pb;
     });
 
-    waves.push(ready);
-
+    // 与本波中优先级更高的任务修改相同文件的任务延后 (见 attachResources)
+    const wave = [];
     for (const id of ready) {
+      const node = graph.get(id);
+      const blocker = wave.find((other) => findResourceConflict(node.resources, graph.get(other).resources));
+      if (!blocker) {
+        wave.push(id);
+        continue;
+      }
+      const { path: resource, other } = findResourceConflict(node.resources, graph.get(blocker).resources);
+      node.deferrals.push({ wave: waves.length, conflictsWith: blocker, path: resource, otherPath: other });
+    }
+
+    waves.push(wave);
+
+    for (const id of wave) {
       completed.add(id);
       remaining.delete(id);
     }
@@ -177,11 +223,136 @@ function topologicalSort(graph) {
   return waves;
 }
 
+// ============================================================
+// 循环依赖
+// ============================================================
+
+// 最低优先级的边: 被等待的任务优先级最低，其次等待的任务，其次描述解析出的依赖
+function pickCycleEdge(graph, cycle) {
+  const edges = cycle.map((from, i) => ({ from, to: cycle[(i + 1) % cycle.length] }));
+  const rank = ({ from, to }) => [
+    graph.get(from).priority,
+    graph.get(to).priority,
+    dependencySource(graph.get(to).task, from).kind === "description" ? 1 : 0,
+  ];
+  return edges.reduce((lowest, edge) => {
+    const [a, b] = [rank(edge), rank(lowest)];
+    const i = a.findIndex((v, k) => v !== b[k]);
+    return i >= 0 && a[i] > b[i] ? edge : lowest;
+  });
+}
+
+function removeEdge(graph, { from, to }) {
+  const node = graph.get(to);
+  node.deps = node.deps.filter((d) => d !== from);
+  graph.get(from).dependents = graph.get(from).dependents.filter((d) => d !== to);
+}
+
+// 逐个找出环；breakCycles 时去掉每个环上最低优先级的一条边
+function detectCycles(graph, breakCycles) {
+  const nodes = [...graph.entries()].map(([id, node]) => ({ id, deps: node.deps }));
+  const cycles = findCycles(nodes, (cycle) => pickCycleEdge(graph, cycle)).map(({ cycle, cut }) => ({
+    tasks: cycle,
+    edges: cycle.map((from, i) => {
+      const to = cycle[(i + 1) % cycle.length];
+      return { from, to, source: dependencySource(graph.get(to).task, from) };
+    }),
+    cut,
+  }));
+
+  if (breakCycles) cycles.forEach((c) => removeEdge(graph, c.cut));
+  return cycles;
+}
+
+function describeEdge(graph, { from, to, source }) {
+  let where = "description";
+  if (source.kind === "link") where = "kanban link (meta.json blockedBy)";
+  else if (source.line > 0) where = `description line ${source.line}: "${source.text}"`;
+  return `"${graph.get(to).task.title}" waits for "${graph.get(from).task.title}" (${where})`;
+}
+
+function formatCycleReport(graph, cycles, broken) {
+  const lines = [];
+  for (const cycle of cycles) {
+    const titles = [...cycle.tasks, cycle.tasks[0]].map((id) => `${graph.get(id).task.title} (P${graph.get(id).priority})`);
+    lines.push(`${broken ? "⚠ Breaking circular dependency" : "✗ Circular dependency"}: ${titles.join(" → ")}`);
+    cycle.edges.forEach((edge) => lines.push(`    ${describeEdge(graph, edge)}`));
+
+    const { from, to } = cycle.cut;
+    const cut = cycle.edges.find((e) => e.from === from && e.to === to);
+    const fix =
+      cut.source.kind === "link"
+        ? `kanban unlink ${to.slice(0, 8)} --blocked-by=${from.slice(0, 8)}`
+        : `edit the description of "${graph.get(to).task.title}"`;
+    lines.push(broken ? `  Ignoring: ${describeEdge(graph, cut)}` : `  Lowest-priority edge: ${describeEdge(graph, cut)}`);
+    lines.push(`  Fix: ${fix}${broken ? "" : " (or pass --break-cycles to ignore it)"}`);
+  }
+  return lines.join("\n");
+}
+
+// ============================================================
+// 资源冲突
+// ============================================================
+
+// 每个任务会修改的文件 (声明或从描述 / .dep-graph.json 推断)，topologicalSort 据此分波
+async function attachResources(project, graph) {
+  const depGraph = project.path ? await loadDepGraph(project.path) : null;
+  for (const node of graph.values()) {
+    node.resources = taskResources(node.task, depGraph);
+  }
+}
+
+function resourcesConflict(graph, a, b) {
+  return findResourceConflict(graph.get(a).resources, graph.get(b).resources) !== null;
+}
+
+function formatDeferrals(graph) {
+  const lines = [];
+  for (const node of graph.values()) {
+    for (const d of node.deferrals) {
+      const same = d.path === d.otherPath ? d.path : `${d.path} ↔ ${d.otherPath}`;
+      lines.push(`↷ Deferred "${node.task.title}" past wave ${d.wave}: touches ${same} like "${graph.get(d.conflictsWith).task.title}"`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// ============================================================
+// 排期 (关键路径 / 完工时间)
+// ============================================================
+
+async function buildSchedule(project, graph, waves, maxParallel, history) {
+  const config = await loadConfig(project.path);
+  const tasks = [...graph.values()].map((node) => node.task);
+  const estimates = estimateDurations(tasks, {
+    history,
+    activity: await loadActivity(project.path),
+    hoursPerPoint: config.batch?.hoursPerPoint,
+  });
+
+  const nodes = [...graph.entries()].map(([id, node]) => ({ id, deps: node.deps }));
+  const cpm = criticalPath(nodes, estimates.durations);
+
+  return {
+    ...estimates,
+    criticalPath: cpm,
+    timeline: waveTimeline(waves, estimates.durations, maxParallel),
+    makespan: {
+      waves: waveMakespan(waves, estimates.durations, maxParallel),
+      dependencies: dependencyMakespan(nodes, estimates.durations, maxParallel, cpm.tasks, (a, b) => resourcesConflict(graph, a, b)),
+    },
+  };
+}
+
 // ============================================================
 // 执行计划生成
 // ============================================================
 
-function generatePlan(project, graph, waves, maxParallel) {
+function generatePlan(project, graph, waves, maxParallel, { schedule = null, cycles = [], cyclesBroken = false } = {}) {
+  const scheduled = new Set(waves.flat());
+  const unscheduled = [...graph.keys()].filter((id) => !scheduled.has(id));
+  const deferred = [...graph.values()].filter((node) => node.deferrals.length > 0);
+
   const plan = {
     project: {
       id: project.id,
@@ -192,21 +363,78 @@ function generatePlan(project, graph, waves, maxParallel) {
       totalTasks: graph.size,
       totalWaves: waves.length,
       maxParallel,
+      unscheduled: unscheduled.length,
+      deferred: deferred.length,
     },
     waves: [],
   };
 
+  if (cycles.length > 0) {
+    plan.cycles = cycles.map((c) => ({
+      tasks: c.tasks.map((id) => ({ id, title: graph.get(id).task.title, priority: graph.get(id).priority })),
+      edges: c.edges,
+      cut: c.cut,
+      broken: cyclesBroken,
+    }));
+  }
+  if (unscheduled.length > 0) {
+    plan.unscheduled = unscheduled.map((id) => ({
+      id,
+      title: graph.get(id).task.title,
+      priority: graph.get(id).priority,
+      deps: graph.get(id).deps,
+    }));
+  }
+
+  if (schedule) {
+    plan.schedule = {
+      unit: schedule.unit,
+      hoursPerPoint: schedule.hoursPerPoint,
+      calibratedFrom: schedule.calibratedFrom,
+      criticalPath: { length: schedule.criticalPath.length, tasks: schedule.criticalPath.path },
+      makespan: schedule.makespan,
+    };
+  }
+
   for (let i = 0; i < waves.length; i++) {
     const taskIds = waves[i];
     const waveTasks = taskIds.map((id) => {
       const node = graph.get(id);
-      return {
+      const task = {
         id,
         title: node.task.title,
         priority: node.priority,
         deps: node.deps,
         description: node.task.description,
       };
+      if (node.resources.length > 0) {
+        task.resources = node.resources;
+      }
+      if (node.deferrals.length > 0) {
+        task.deferred = node.deferrals.map((d) => ({
+          wave: d.wave,
+          conflictsWith: { id: d.conflictsWith, title: graph.get(d.conflictsWith).task.title },
+          path: d.path,
+          otherPath: d.otherPath,
+        }));
+      }
+      if (schedule) {
+        const duration = schedule.durations.get(id);
+        const cpm = schedule.criticalPath.tasks.get(id);
+        const timeline = schedule.timeline.get(id);
+        Object.assign(task, {
+          duration: duration.value,
+          durationSource: duration.source,
+          earliestStart: cpm.earliestStart,
+          slack: cpm.slack,
+          critical: cpm.critical,
+          // 逐波执行 (run) 时的开始 / 结束时间和并行名额
+          start: timeline.start,
+          finish: timeline.finish,
+          slot: timeline.slot,
+        });
+      }
+      return task;
     });
 
     plan.waves.push({
@@ -232,7 +460,20 @@ function formatPlanAsMarkdown(plan) {
   lines.push(`**路径**: ${plan.project.path}\n`);
   lines.push(`- 总任务: ${plan.summary.totalTasks}`);
   lines.push(`- 执行波次: ${plan.summary.totalWaves}`);
-  lines.push(`- 最大并行: ${plan.summary.maxParallel}\n`);
+  lines.push(`- 最大并行: ${plan.summary.maxParallel}`);
+  if (plan.summary.deferred > 0) {
+    lines.push(`- 因文件冲突延后: ${plan.summary.deferred} 个任务`);
+  }
+
+  const schedule = plan.schedule;
+  const amount = (value) => formatScheduleAmount(value, schedule?.unit);
+  if (schedule) {
+    lines.push(`- 关键路径: ${amount(schedule.criticalPath.length)} (${schedule.criticalPath.tasks.length} 个任务)`);
+    lines.push(`- 预计完工 (逐波执行，即 \`run\`): ${amount(schedule.makespan.waves)}`);
+    lines.push(`- 预计完工 (依赖就绪即开始): ${amount(schedule.makespan.dependencies)}`);
+    lines.push(`- 时长依据: ${describeDurationBasis(schedule)}`);
+  }
+  lines.push("");
 
   for (const wave of plan.waves) {
     const parallelNote = wave.parallel ? `(并行, 最多 ${wave.maxParallel} 个)` : "(顺序)";
@@ -241,16 +482,72 @@ function formatPlanAsMarkdown(plan) {
     for (const task of wave.tasks) {
       const depsNote = task.deps.length > 0 ? ` [deps: ${task.deps.join(", ")}]` : "";
       const priorityNote = `(P${task.priority})`;
-      lines.push(`- [ ] **${task.title}** ${priorityNote}${depsNote}`);
+      const scheduleNote = schedule
+        ? ` · ${amount(task.duration)}${task.durationSource === "estimate" ? "" : "?"} · ${task.critical ? "**关键**" : `松弛 ${amount(task.slack)}`}`
+        : "";
+      lines.push(`- [ ] **${task.title}** ${priorityNote}${scheduleNote}${depsNote}`);
       lines.push(`  - ID: \`${task.id}\``);
+      if (task.resources) {
+        lines.push(`  - 文件: ${task.resources.map((r) => `\`${r.path}\``).join(", ")}`);
+      }
+      for (const d of task.deferred || []) {
+        const same = d.path === d.otherPath ? `\`${d.path}\`` : `\`${d.path}\` ↔ \`${d.otherPath}\``;
+        lines.push(`  - 延后: Wave ${d.wave} 中的 "${d.conflictsWith.title}" 同样修改 ${same}`);
+      }
     }
 
     lines.push("");
   }
 
+  if (schedule && schedule.criticalPath.tasks.length > 0) {
+    const byId = new Map(plan.waves.flatMap((w) => w.tasks).map((t) => [t.id, t]));
+    const criticalPath = schedule.criticalPath.tasks.map((id) => byId.get(id));
+
+    lines.push("## 关键路径\n");
+    lines.push(criticalPath.map((t) => `${t.title} (P${t.priority}, ${amount(t.duration)})`).join(" → "));
+    lines.push("");
+
+    // 优先级低却决定完工时间的任务
+    const gating = criticalPath.filter((t) => t.priority >= 2);
+    if (gating.length > 0) {
+      lines.push("**决定完工时间的低优先级任务** (延误会推迟整体完工，考虑提升优先级):\n");
+      gating.forEach((t) => lines.push(`- **${t.title}** (P${t.priority}) \`${t.id}\``));
+      lines.push("");
+    }
+  }
+
+  if (plan.cycles) {
+    const broken = plan.cycles[0].broken;
+    lines.push(broken ? "## 已忽略的依赖 (--break-cycles)\n" : "## 循环依赖\n");
+    for (const cycle of plan.cycles) {
+      const titles = new Map(cycle.tasks.map((t) => [t.id, t.title]));
+      lines.push(`- ${[...cycle.tasks, cycle.tasks[0]].map((t) => t.title).join(" → ")}`);
+      lines.push(`  - ${broken ? "已忽略" : "最低优先级的边"}: "${titles.get(cycle.cut.to)}" 等待 "${titles.get(cycle.cut.from)}"`);
+    }
+    lines.push("");
+  }
+  if (plan.unscheduled) {
+    lines.push("## 未排期 (循环依赖或依赖环上的任务)\n");
+    plan.unscheduled.forEach((t) => lines.push(`- **${t.title}** (P${t.priority}) \`${t.id}\``));
+    lines.push("");
+  }
+
   return lines.join("\n");
 }
 
+function describeDurationBasis(schedule) {
+  const note = "；带 ? 的任务没有估算，按历史或中位数推测";
+  if (schedule.unit === "points") {
+    return `估算点数 (没有可换算的耗时记录，设置 config.batch.hoursPerPoint 可换算为小时)${note}`;
+  }
+  if (schedule.hoursPerPoint === null) return `已完成任务的实际耗时中位数${note}`;
+
+  const rate = `${Math.round(schedule.hoursPerPoint * 10) / 10}h/点`;
+  const source =
+    schedule.calibratedFrom > 0 ? `按 ${schedule.calibratedFrom} 个已完成任务的实际耗时校准` : "config.batch.hoursPerPoint";
+  return `估算 × ${rate} (${source})${note}`;
+}
+
 function formatExecutionCommands(plan, baseUrl) {
   const lines = [];
 
@@ -291,19 +588,425 @@ function formatExecutionCommands(plan, baseUrl) {
   return lines.join("\n");
 }
 
+// ============================================================
+// 执行 (run)
+// ============================================================
+
+// run.json 中任务的最终状态
+const RUN_FINISHED = new Set(["done", "failed", "skipped"]);
+
+function newRunId(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+function createRunState(plan, settings) {
+  const tasks = {};
+  for (const wave of plan.waves) {
+    for (const task of wave.tasks) {
+      tasks[task.id] = {
+        title: task.title,
+        priority: task.priority,
+        wave: wave.level,
+        deps: task.deps,
+        status: "pending",
+      };
+    }
+  }
+
+  const now = new Date();
+  return {
+    id: newRunId(now),
+    project: plan.project,
+    settings,
+    startedAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    finishedAt: null,
+    waves: plan.waves.map((w) => w.tasks.map((t) => t.id)),
+    tasks,
+  };
+}
+
+// 命令行参数 > config.batch > 默认值
+function runSettings(config, options, previous = {}) {
+  const batch = config.batch || {};
+  const settings = {
+    agent: options.agent || previous.agent || batch.agent || null,
+    maxParallel: options.maxParallel || previous.maxParallel || batch.maxParallel || DEFAULT_MAX_PARALLEL,
+    timeout: options.taskTimeout || previous.timeout || batch.timeout || DEFAULT_TASK_TIMEOUT,
+    worktrees: options.worktrees ?? previous.worktrees ?? batch.worktrees ?? true,
+  };
+
+  if (!settings.agent) {
+    throw new Error(
+      'No agent command. Pass --agent="<cmd>" or set "batch": { "agent": "<cmd>" } in .kanban/config.json\n' +
+        '  e.g. --agent=\'claude -p "/kanban-implement $KANBAN_TASK_ID"\''
+    );
+  }
+  return settings;
+}
+
+// 同时进行的任务不能超过 config.wip 中 in_progress 的上限
+function clampToWipLimit(config, tasks, runTaskIds, maxParallel) {
+  const limit = wipConfig(config).limits.in_progress;
+  if (limit === undefined) return maxParallel;
+
+  const busy = tasks.filter((t) => t.status === "in_progress" && !runTaskIds.has(t.id)).length;
+  const available = Math.max(limit - busy, 1);
+  if (available >= maxParallel) return maxParallel;
+
+  console.error(`WIP limit: in_progress ${limit} (${busy} already in progress), running at most ${available} at a time`);
+  return available;
+}
+
+function cliError(err) {
+  const output = (err.stderr || "").trim();
+  return output ? output.split("\n").slice(-3).join("\n") : err.message;
+}
+
+// 通过 kanban CLI 修改任务，保证活动日志、钩子、WIP 检查与手动操作一致
+async function runKanban(project, args) {
+  try {
+    const { stdout } = await execFileAsync(process.execPath, [CLI_PATH, ...args], {
+      cwd: project.path,
+      env: { ...process.env, KANBAN_URL: client.baseUrl },
+    });
+    return stdout;
+  } catch (err) {
+    throw new Error(`kanban ${args[0]} failed: ${cliError(err)}`);
+  }
+}
+
+function findTaskWorktree(project, taskId) {
+  const branch = `task/${taskId.slice(0, 8)}`;
+  return listGitWorktrees(project.path).find((wt) => wt.branch === branch) || null;
+}
+
+// 运行中的 agent 进程组 (Ctrl-C 时一并结束)
+const runningAgents = new Set();
+
+function runAgent(command, payload, { cwd, timeout, log, env }) {
+  return new Promise((resolve) => {
+    const fd = openSync(log, "a");
+    let child;
+    try {
+      // 独立进程组: 超时 / 中断时结束 agent 启动的全部子进程
+      child = spawn("sh", ["-c", command], { cwd, env: { ...process.env, ...env }, stdio: ["pipe", fd, fd], detached: true });
+    } finally {
+      closeSync(fd);
+    }
+    runningAgents.add(child);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killAgent(child);
+    }, timeout * 1000);
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      runningAgents.delete(child);
+      resolve(result);
+    };
+    child.on("error", (err) => finish({ ok: false, error: err.message }));
+    child.on("close", (code, signal) => {
+      if (code === 0) finish({ ok: true, exitCode: 0 });
+      else if (timedOut) finish({ ok: false, exitCode: code, error: `timed out after ${timeout}s` });
+      else finish({ ok: false, exitCode: code, error: signal ? `killed by ${signal}` : `exit code ${code}` });
+    });
+
+    child.stdin.on("error", () => {});
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+function killAgent(child) {
+  try {
+    process.kill(-child.pid, "SIGTERM");
+  } catch {
+    // 进程已退出
+  }
+}
+
+async function runTask(project, state, taskId, persist) {
+  const entry = state.tasks[taskId];
+  const { settings } = state;
+  const short = taskId.slice(0, 8);
+  const logDir = path.join(project.path, STORE_DIR, "runs", state.id);
+  await fs.mkdir(logDir, { recursive: true });
+
+  Object.assign(entry, {
+    status: "running",
+    startedAt: new Date().toISOString(),
+    log: path.relative(project.path, path.join(logDir, `${short}.log`)),
+  });
+  delete entry.error;
+  await persist();
+  console.error(`▶ [wave ${entry.wave}] ${entry.title} (${short})`);
+
+  let result;
+  try {
+    await runKanban(project, ["start", taskId, ...(entry.ignoredDeps ? ["--force"] : [])]);
+    let cwd = project.path;
+    if (settings.worktrees) {
+      // --resume 时复用中断前创建的 worktree
+      let wt = findTaskWorktree(project, taskId);
+      if (!wt) {
+        await runKanban(project, ["worktree", taskId]);
+        wt = findTaskWorktree(project, taskId);
+      }
+      if (!wt) throw new Error(`worktree for branch task/${short} not found after \`kanban worktree\``);
+      cwd = wt.path;
+      Object.assign(entry, { worktree: wt.path, branch: wt.branch });
+      await persist();
+    }
+
+    const task = (await fetchAllTasks(client.baseUrl, project)).find((t) => t.id === taskId) || { id: taskId, title: entry.title };
+    result = await runAgent(
+      settings.agent,
+      { run: { id: state.id, wave: entry.wave }, task, worktree: entry.worktree ? { path: entry.worktree, branch: entry.branch } : null },
+      {
+        cwd,
+        timeout: settings.timeout,
+        log: path.join(project.path, entry.log),
+        env: {
+          KANBAN_RUN_ID: state.id,
+          KANBAN_TASK_ID: taskId,
+          KANBAN_TASK_TITLE: entry.title,
+          KANBAN_WORKTREE: entry.worktree || "",
+          KANBAN_BRANCH: entry.branch || "",
+          KANBAN_URL: client.baseUrl,
+        },
+      }
+    );
+  } catch (err) {
+    result = { ok: false, error: err.message };
+  }
+
+  const elapsed = formatDuration(Date.now() - Date.parse(entry.startedAt));
+  Object.assign(entry, { finishedAt: new Date().toISOString(), exitCode: result.exitCode ?? null });
+
+  if (result.ok) {
+    try {
+      await runKanban(project, ["done", taskId]);
+      entry.status = "done";
+      console.error(`✓ ${entry.title} (${elapsed})`);
+    } catch (err) {
+      Object.assign(entry, { status: "failed", error: err.message });
+      console.error(`✗ ${entry.title}: ${err.message}`);
+    }
+  } else {
+    Object.assign(entry, { status: "failed", error: result.error });
+    console.error(`✗ ${entry.title}: ${result.error} (${elapsed}, log: ${entry.log})`);
+    try {
+      await runKanban(project, ["comment", taskId, `Batch run ${state.id} failed: ${result.error}\nLog: ${entry.log}`]);
+      await runKanban(project, ["move", taskId, "--status=blocked"]);
+    } catch (err) {
+      console.error(`  ⚠ ${err.message}`);
+    }
+  }
+  await persist();
+}
+
+async function runWave(ids, limit, worker) {
+  const queue = [...ids];
+  const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) await worker(queue.shift());
+  });
+  await Promise.all(workers);
+}
+
+async function executeRun(project, state, persist) {
+  for (const [level, ids] of state.waves.entries()) {
+    const pending = [];
+    for (const id of ids) {
+      const entry = state.tasks[id];
+      if (RUN_FINISHED.has(entry.status)) continue;
+
+      // 依赖失败 / 跳过的任务不再执行
+      const failedDep = entry.deps.find((d) => ["failed", "skipped"].includes(state.tasks[d]?.status));
+      if (failedDep) {
+        Object.assign(entry, { status: "skipped", error: `depends on ${state.tasks[failedDep].status} "${state.tasks[failedDep].title}"` });
+        console.error(`~ ${entry.title}: skipped (${entry.error})`);
+        continue;
+      }
+      pending.push(id);
+    }
+    await persist();
+    if (pending.length === 0) continue;
+
+    console.error(`\n== Wave ${level}: ${pending.length} task(s), up to ${state.settings.maxParallel} in parallel ==`);
+    await runWave(pending, state.settings.maxParallel, (id) => runTask(project, state, id, persist));
+  }
+
+  state.finishedAt = new Date().toISOString();
+  await persist();
+}
+
+function formatRunReport(state) {
+  const entries = Object.values(state.tasks);
+  const count = (status) => entries.filter((e) => e.status === status).length;
+  const lines = [];
+
+  lines.push(`## Batch Execution Report (${state.id})\n`);
+  lines.push("### Summary");
+  lines.push(`- Total: ${entries.length} tasks`);
+  lines.push(`- Success: ${count("done")}`);
+  lines.push(`- Failed: ${count("failed")}`);
+  lines.push(`- Skipped: ${count("skipped")}${count("skipped") > 0 ? " (dependency failed or not part of this run)" : ""}`);
+  const unfinished = count("pending") + count("running");
+  if (unfinished > 0) lines.push(`- Not run: ${unfinished}`);
+
+  for (const [level, ids] of state.waves.entries()) {
+    lines.push(`\n### Wave ${level}${ids.length > 1 ? " (Parallel)" : ""}`);
+    for (const id of ids) {
+      const e = state.tasks[id];
+      if (e.status === "done") lines.push(`- [x] ${e.title}`);
+      else if (e.status === "failed") lines.push(`- [ ] ${e.title} (Error: ${e.error}${e.log ? `, log: ${e.log}` : ""})`);
+      else if (e.status === "skipped") lines.push(`- [~] ${e.title} - Skipped (${e.error})`);
+      else lines.push(`- [ ] ${e.title} (${e.status})`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// 依赖不在本次计划中 (进行中 / blocked / --priority 之外) 的任务无法 start，直接跳过，依赖它们的任务随之跳过
+function skipOutsideBlocked(state, blocked) {
+  for (const [id, blockers] of blocked) {
+    const list = blockers.map((b) => `${b.status} "${b.title}"`).join(", ");
+    Object.assign(state.tasks[id], { status: "skipped", error: `waits for ${list}, which is not part of this run` });
+    console.error(`~ ${state.tasks[id].title}: skipped (${state.tasks[id].error})`);
+  }
+}
+
+async function cmdRun(project, options) {
+  const root = project.path;
+  const config = await loadConfig(root);
+  const previous = await loadRunState(root);
+  const unfinished = previous && !previous.finishedAt && previous.project?.id === project.id;
+
+  let state;
+  if (options.resume) {
+    if (!unfinished) {
+      console.error("No interrupted run to resume.");
+      process.exit(1);
+    }
+    state = previous;
+    state.settings = runSettings(config, options, previous.settings);
+    // 中断时运行中的任务重新执行；期间在看板上已完成的任务不再执行
+    const current = new Map((await fetchAllTasks(options.baseUrl, project)).map((t) => [t.id, t]));
+    for (const [id, entry] of Object.entries(state.tasks)) {
+      if (RUN_FINISHED.has(entry.status)) continue;
+      if (!current.has(id)) Object.assign(entry, { status: "skipped", error: "task deleted" });
+      else if (current.get(id).status === "done") entry.status = "done";
+      else entry.status = "pending";
+    }
+    const done = Object.values(state.tasks).filter((e) => RUN_FINISHED.has(e.status)).length;
+    console.error(`Resuming run ${state.id} (${done}/${Object.keys(state.tasks).length} finished)`);
+  } else {
+    if (unfinished && !options.restart && !options.dryRun) {
+      const done = Object.values(previous.tasks).filter((e) => RUN_FINISHED.has(e.status)).length;
+      console.error(`Run ${previous.id} was interrupted (${done}/${Object.keys(previous.tasks).length} finished).`);
+      console.error("Use --resume to continue it, or --restart to plan a new run.");
+      process.exit(1);
+    }
+
+    const projectTasks = await fetchAllTasks(options.baseUrl, project);
+    const tasks = selectTodoTasks(projectTasks, options.priority);
+    if (tasks.length === 0) {
+      console.error("No todo tasks found.");
+      return;
+    }
+    const settings = runSettings(config, options);
+    const graph = buildDependencyGraph(tasks);
+    const cycles = detectCycles(graph, options.breakCycles);
+    if (cycles.length > 0) {
+      console.error(formatCycleReport(graph, cycles, options.breakCycles));
+      if (!options.breakCycles) {
+        console.error("\nRefusing to run with circular dependencies. Fix them, or pass --break-cycles.");
+        process.exit(1);
+      }
+    }
+    await attachResources(project, graph);
+    const plan = generatePlan(project, graph, topologicalSort(graph), settings.maxParallel);
+    if (plan.summary.deferred > 0) console.error(formatDeferrals(graph));
+    state = createRunState(plan, settings);
+    // --break-cycles 忽略的依赖仍记录在任务上，start 时需要 --force
+    for (const { cut } of cycles) (state.tasks[cut.to].ignoredDeps ||= []).push(cut.from);
+    skipOutsideBlocked(state, outsideBlockers(tasks, projectTasks));
+  }
+
+  const allTasks = await fetchAllTasks(options.baseUrl, project);
+  state.settings.maxParallel = clampToWipLimit(config, allTasks, new Set(Object.keys(state.tasks)), state.settings.maxParallel);
+
+  if (options.dryRun) {
+    const { agent, maxParallel, worktrees, timeout } = state.settings;
+    console.log(`[DRY RUN] agent: ${agent}`);
+    console.log(`  max parallel: ${maxParallel}, worktrees: ${worktrees ? "task/<id>" : "off"}, timeout: ${timeout}s\n`);
+    for (const [level, ids] of state.waves.entries()) {
+      const pending = ids.filter((id) => !RUN_FINISHED.has(state.tasks[id].status));
+      if (pending.length === 0) continue;
+      console.log(`Wave ${level}:`);
+      pending.forEach((id) => console.log(`  - [P${state.tasks[id].priority}] ${state.tasks[id].title} (${id.slice(0, 8)})`));
+    }
+    const skipped = Object.entries(state.tasks).filter(([, e]) => e.status === "skipped");
+    if (skipped.length > 0) console.log("Skipped:");
+    skipped.forEach(([id, e]) => console.log(`  - [P${e.priority}] ${e.title} (${id.slice(0, 8)}): ${e.error}`));
+    return;
+  }
+
+  // 并行任务的状态写入串行化
+  let saving = Promise.resolve();
+  const persist = () => {
+    state.updatedAt = new Date().toISOString();
+    const snapshot = JSON.parse(JSON.stringify(state));
+    saving = saving.then(() => saveRunState(root, snapshot));
+    return saving;
+  };
+
+  process.once("SIGINT", async () => {
+    console.error("\nInterrupted; stopping agents...");
+    runningAgents.forEach(killAgent);
+    await saving;
+    console.error(`Run state saved. Resume with: node kanban-planner.js run --resume`);
+    process.exit(130);
+  });
+
+  console.error(`Run ${state.id}: ${Object.keys(state.tasks).length} task(s) in ${state.waves.length} wave(s)`);
+  await persist();
+  await executeRun(project, state, persist);
+
+  if (options.json) console.log(JSON.stringify(state, null, 2));
+  else console.log(`\n${formatRunReport(state)}`);
+
+  if (Object.values(state.tasks).some((e) => e.status === "failed")) process.exitCode = 1;
+}
+
 // ============================================================
 // Main
 // ============================================================
 
 function parseArgs(args) {
   const options = {
+    command: null,
     projectId: null,
     priority: null,
     dryRun: false,
-    maxParallel: DEFAULT_MAX_PARALLEL,
+    maxParallel: null,
     json: false,
+    format: "markdown",
     detect: false,
     baseUrl: DEFAULT_BASE_URL,
+    debug: false,
+    timeout: undefined,
+    breakCycles: false,
+    // run options
+    agent: undefined,
+    resume: false,
+    restart: false,
+    worktrees: undefined,
+    taskTimeout: undefined,
   };
 
   for (const arg of args) {
@@ -314,13 +1017,34 @@ function parseArgs(args) {
     } else if (arg === "--dry-run") {
       options.dryRun = true;
     } else if (arg.startsWith("--max=")) {
-      options.maxParallel = parseInt(arg.slice(6), 10) || DEFAULT_MAX_PARALLEL;
+      options.maxParallel = parseInt(arg.slice(6), 10) || null;
     } else if (arg === "--json") {
       options.json = true;
+      options.format = "json";
+    } else if (arg.startsWith("--format=")) {
+      options.format = arg.slice(9);
     } else if (arg === "--detect") {
       options.detect = true;
     } else if (arg.startsWith("--base-url=")) {
       options.baseUrl = arg.slice(11);
+    } else if (arg === "--debug") {
+      options.debug = true;
+    } else if (arg.startsWith("--timeout=")) {
+      options.timeout = Number(arg.slice(10)) || undefined;
+    } else if (arg.startsWith("--agent=")) {
+      options.agent = arg.slice(8);
+    } else if (arg === "--break-cycles") {
+      options.breakCycles = true;
+    } else if (arg === "--resume") {
+      options.resume = true;
+    } else if (arg === "--restart") {
+      options.restart = true;
+    } else if (arg === "--no-worktree") {
+      options.worktrees = false;
+    } else if (arg.startsWith("--task-timeout=")) {
+      options.taskTimeout = Number(arg.slice(15)) || undefined;
+    } else if (!arg.startsWith("-") && !options.command) {
+      options.command = arg;
     }
   }
 
@@ -329,6 +1053,11 @@ function parseArgs(args) {
 
 async function main() {
   const options = parseArgs(process.argv.slice(2));
+  if (!PLAN_FORMATS.includes(options.format)) {
+    console.error(`Unknown format: ${options.format} (expected ${PLAN_FORMATS.join("|")})`);
+    process.exit(1);
+  }
+  client = createClient({ baseUrl: options.baseUrl, debug: options.debug || undefined, timeout: options.timeout });
 
   // 检测项目
   let project;
@@ -354,10 +1083,20 @@ async function main() {
     return;
   }
 
+  if (options.command === "run") {
+    await cmdRun(project, options);
+    return;
+  }
+  if (options.command) {
+    console.error(`Unknown command: ${options.command} (expected run)`);
+    process.exit(1);
+  }
+
   console.error(`Project: ${project.name} (${project.id})`);
   console.error(`Fetching tasks${options.priority !== null ? ` with priority: P${options.priority}` : ""}...`);
 
-  const tasks = await fetchTasks(options.baseUrl, project.id, options.priority);
+  const allTasks = await fetchAllTasks(options.baseUrl, project);
+  const tasks = selectTodoTasks(allTasks, options.priority);
 
   if (tasks.length === 0) {
     console.error("No todo tasks found.");
@@ -366,22 +1105,43 @@ async function main() {
 
   console.error(`Found ${tasks.length} todo tasks.`);
 
+  const maxParallel = options.maxParallel || DEFAULT_MAX_PARALLEL;
   const graph = buildDependencyGraph(tasks);
+  const cycles = detectCycles(graph, options.breakCycles);
+  if (cycles.length > 0) console.error(formatCycleReport(graph, cycles, options.breakCycles));
+
+  await attachResources(project, graph);
   const waves = topologicalSort(graph);
-  const plan = generatePlan(project, graph, waves, options.maxParallel);
+  const schedule = await buildSchedule(project, graph, waves, maxParallel, allTasks);
+  const plan = generatePlan(project, graph, waves, maxParallel, { schedule, cycles, cyclesBroken: options.breakCycles });
 
-  if (options.json) {
-    console.log(JSON.stringify(plan, null, 2));
-  } else {
-    console.log(formatPlanAsMarkdown(plan));
-    if (!options.dryRun) {
-      console.log("\n---\n");
-      console.log(formatExecutionCommands(plan, options.baseUrl));
-    }
+  switch (options.format) {
+    case "json":
+      console.log(JSON.stringify(plan, null, 2));
+      break;
+    case "mermaid":
+      console.log(formatPlanAsMermaid(plan));
+      break;
+    case "dot":
+      console.log(formatPlanAsDot(plan));
+      break;
+    case "html":
+      console.log(formatPlanAsHtml(plan));
+      break;
+    default:
+      console.log(formatPlanAsMarkdown(plan));
+      if (!options.dryRun) {
+        console.log("\n---\n");
+        console.log(formatExecutionCommands(plan, options.baseUrl));
+      }
   }
+
+  // 未处理的循环依赖: 计划不完整
+  if (cycles.length > 0 && !options.breakCycles) process.exitCode = 1;
 }
 
 main().catch((err) => {
   console.error("Error:", err.message);
+  if (isConnectionError(err)) console.error(`\n${serverHint(client.baseUrl)}`);
   process.exit(1);
 });
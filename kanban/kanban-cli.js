@@ -7,7 +7,8 @@
  *
  * Commands:
  *   (none)           显示当前项目状态
- *   list             列出所有任务
+ *   list [@view]     列出任务 (可使用保存的视图)
+ *   views            列出保存的视图 (views rm <name> 删除)
  *   add <title>      创建新任务
  *   edit <id>        编辑任务 (更新任务内容)
  *   done <id>        标记任务完成
@@ -16,15 +17,41 @@
  *   delete <id>      删除任务
  *   show <id>        显示任务详情
  *   projects         列出所有项目
+ *   overview         所有项目的任务概览 (计数、P0、停滞任务)
  *   worktree <id>    为任务创建 worktree
- *   import <file>    从 JSON 文件批量导入任务
- *   export           导出 AI 友好的任务上下文
+ *   worktree status  列出任务 worktree (领先/落后、未提交修改、任务状态)
+ *   worktree finish <id>  合并到默认分支、标记完成并解绑
+ *   worktree prune   删除任务已完成或已删除的 worktree
+ *   import <file>    批量导入任务 (JSON / Markdown / CSV / GitHub Issues)
+ *   export           导出任务上下文 (context/markdown/html/json/ical，可用模板)
+ *   sync             将离线变更同步到 CodeKanban 服务
+ *   link <id>        设置任务依赖 (--blocks / --blocked-by)
+ *   unlink <id>      移除任务依赖
+ *   tui              交互式终端看板
+ *   comment <id> <text>  添加任务评论
+ *   log <id>         查看任务活动日志
+ *   history [n]      最近的变更记录 (-v 显示每项修改)
+ *   undo [n]         撤销最近 n 次变更 (默认 1)
+ *   timer [id]       查看计时中的任务 (或某任务的计时记录)
+ *   report           按标签/优先级/Worktree/作者汇总耗时
+ *   burndown         剩余估算的燃尽图 (ASCII / CSV，从活动日志推导)
+ *   template save|list|apply|rm <name>  任务模板
+ *   tick             创建到期的周期任务 (幂等；配置 onTick 后也升级逾期任务)
+ *   bulk move|tag|delete --where "<q>"  按查询批量修改 (预览确认，可撤销)
+ *   check <id> [add|toggle|rm|import]  任务清单 (子任务 / 验收标准)
+ *   due              列出逾期 / 即将到期的任务 (--apply 按配置升级逾期任务优先级)
+ *   hooks [run <event> <id>]  列出事件钩子 (或对任务手动触发)
+ *   commits <id>     任务关联的提交 (提交信息含短 ID，或在 task/<id> 分支上)
+ *   install-hook     安装 prepare-commit-msg 钩子，自动添加 "Task: #<id>" (uninstall-hook 移除)
+ *   scan-commits     默认分支上 "fixes #<id>" 的提交把任务标记为完成
  *
  * Options (add/edit):
  *   --priority=<n>       优先级 (0=P0紧急, 1=P1高, 2=P2中, 3=P3低)
  *   --description=<text> 任务描述 (支持 \n 换行)
  *   --tags=<t1,t2>       标签 (逗号分隔)
  *   --due=<date>         截止日期 (ISO 8601, 如 2025-01-20)
+ *   --estimate=<n>       估算 (故事点，如 3 或 0.5；edit 时空值清除)
+ *   --touches=<paths>    会修改的文件 / 目录 (逗号分隔；none 表示不修改文件，edit 时空值恢复从描述推断)
  *
  * Options (move):
  *   --status=<s>         状态 (todo/in_progress/done/blocked)
@@ -35,92 +62,422 @@
  * Options (list):
  *   --status=<s>     过滤状态
  *   --priority=<n>   过滤优先级
+ *   --where "<q>"    查询表达式，如 "priority<=1 and tag:security and due<2025-02-01"
+ *   --search=<text>  全文搜索标题和描述
+ *   --sort=<fields>  排序字段，如 due,priority 或 -updated
+ *   --save=<name>    把当前过滤条件保存为视图 (list @name 使用)
+ *
+ * Options (link/unlink):
+ *   --blocks=<id>        <id> 完成前不能开始目标任务
+ *   --blocked-by=<id>    <id> 依赖目标任务 (逗号分隔多个)
+ *
+ * Options (import):
+ *   --format=<f>     json|markdown|csv|github (默认按扩展名/内容检测)
+ *   --dry-run        只预览，不创建
+ *
+ * Options (start / move --status):
+ *   --force          忽略未完成的依赖 / 超出的 WIP 限制 (config.wip) 强制执行
+ *
+ * Options (template):
+ *   save <name> <title>  标题/描述/标签可含 {{var}} 占位符，支持 add 的全部选项
+ *   --var=<k>=<v>        占位符取值 (可重复；save 时为默认值)
+ *   --every=<r>          daily|weekly|monthly，保存为周期任务
+ *   --due=<date>         可用相对日期，如 +3d (相对创建日)
+ *
+ * Options (due):
+ *   --days=<n>       "即将到期" 的天数 (默认 config.due.soonDays = 3)
+ *   --apply          按 config.due.escalate 提升逾期任务的优先级 (默认只列出，同 --escalate)
+ *
+ * Options (tick):
+ *   --dry-run        只预览
+ *   --escalate       同时提升逾期任务的优先级 (config.due.escalate.onTick 为 true 时默认执行)
+ *
+ * Options (overview):
+ *   --days=<n>       进行中超过 n 天未更新视为停滞 (默认 3)
+ *
+ * Options (worktree finish/prune):
+ *   --rebase         finish 时先 rebase 到默认分支再快进合并 (默认 merge --no-ff)
+ *   --dry-run        prune 只列出将删除的 worktree
+ *   --force          prune 时也删除有未提交修改的 worktree
+ *
+ * Options (bulk):
+ *   --where "<q>"    选择任务的查询表达式 (同 list --where，必填)
+ *   --status / --priority / --worktree   bulk move 的目标值
+ *   --add=<t1,t2> --remove=<t3>          bulk tag 增删标签
+ *   --dry-run        只预览
+ *   --yes, -y        不询问直接执行 (非交互环境必需)
+ *   --undo           撤销最近一次 bulk 操作 (--force 覆盖之后的修改)
+ *
+ * Options (undo):
+ *   --dry-run        只预览    --yes, -y  不询问直接执行
+ *   --force          任务之后又被修改过也强制回滚
+ *
+ * Options (report):
+ *   --since=<date>   起始日期 (YYYY-MM-DD / today / -7d)
+ *   --until=<date>   结束日期 (含当天，默认现在)
+ *   --format=<f>     markdown|json (默认 markdown)
+ *
+ * Options (burndown):
+ *   --since=<date>   起始日期 (默认 -14d)    --until=<date>  结束日期 (默认 today)
+ *   --where "<q>"    只统计匹配的任务，如 "tag:sprint-3"
+ *   --format=<f>     chart|csv|json (默认 chart)
+ *
+ * Options (export):
+ *   --format=<f>     context|markdown|html|json|ical (默认 context，ical 为截止日期日历)
+ *   --template=<t>   config.export.templates 中的模板名，或模板文件路径
+ *   --lang=<l>       zh|en (默认 config.export.lang 或 zh)
+ *   --sections=<s>   区块及顺序，如 in_progress,p0,guide
+ *   --max-tokens=<n> token 预算 (仅 context / markdown): 优先保留进行中 / P0 / P1 详情，其余只列标题或省略
+ *
+ * Options (scan-commits / install-hook):
+ *   --since=<date>   重新扫描该日期以来的提交 (默认从上次扫描处继续)
+ *   --dry-run        只列出将完成的任务
+ *   --force          install-hook 时替换已有钩子 (原钩子保留为 .kanban-backup)
+ *
+ * Options (sync):
+ *   --dry-run        只列出待同步的变更
+ *   --force          冲突时以本地变更为准 (默认服务端较新则跳过)；也重发 "unconfirmed" 的创建
+ *   --drop=<id>      丢弃该离线任务的全部待同步变更
+ *
+ *   创建请求发出后超时 (服务端可能已经创建) 的条目标记为 unconfirmed 留在队列中，
+ *   之后的 sync 不再自动重发，以免重复创建；到看板上确认后用 --force 或 --drop 处理。
  *
  * Global Options:
  *   --project=<id>   指定项目 ID
+ *   --no-hooks       不触发事件钩子 (或 KANBAN_NO_HOOKS=1)
+ *   --debug          打印每个 API 请求的方法、URL、请求体和响应 (或 KANBAN_DEBUG=1)
+ *   --timeout=<s>    单次 API 请求超时秒数 (默认 10，或 KANBAN_TIMEOUT)
  *   --json           JSON 输出
  *   --verbose, -v    显示完整详情
  *   --base-url=<url> API 基础 URL
+ *
+ * Environment:
+ *   KANBAN_URL       服务地址 (默认 http://127.0.0.1:3007)
+ *   KANBAN_AUTHOR    活动日志中的作者 (默认 git user.name)
+ *   KANBAN_NO_HOOKS  设为 1 时不触发事件钩子
+ *   KANBAN_RETRIES   连接中断 / 5xx 的重试次数 (默认 2，指数退避)
+ *
+ * Offline:
+ *   服务不可达 (或 KANBAN_OFFLINE=1) 时自动读写项目下的 .kanban/ 本地存储，
+ *   变更进入队列，服务恢复后执行 `kanban sync` 回放。
  */
 
-const BASE_URL = process.env.KANBAN_URL || "http://127.0.0.1:3007";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createInterface } from "readline/promises";
+import {
+  findStoreRoot,
+  loadProject,
+  saveProject,
+  loadTasks,
+  updateTasks,
+  upsertTask,
+  applyMutation,
+  loadQueue,
+  saveQueue,
+  enqueue,
+  generateLocalId,
+  isLocalId,
+  loadMeta,
+  updateMeta,
+  mergeMeta,
+  remapMetaIds,
+  loadConfig,
+  loadRecurringState,
+  loadCommitScan,
+  saveCommitScan,
+  saveRecurringState,
+  saveConfig,
+  withStoreLock,
+} from "./lib/store.js";
+import { getBlockerIds, hasStructuredDeps, findCycle } from "./lib/deps.js";
+import { detectFormat, parseImport, titleKey, IMPORT_FORMATS } from "./lib/importers.js";
+import { runBoard, fit } from "./lib/tui.js";
+import { compileQuery, compileSort, matchesSearch, resolveDate } from "./lib/query.js";
+import { appendActivity, loadActivity, remapActivityIds, diffActivity, formatActivity, getAuthor } from "./lib/activity.js";
+import { HOOK_EVENTS, statusEvents, loadHooks, matchingHooks, describeHook, runHook } from "./lib/hooks.js";
+import { RECURRENCES, periodKey, renderTemplate, templateVars } from "./lib/templates.js";
+import { dueConfig, classifyDue, planEscalations, endsEscalation, daysUntilDue, formatDueIn } from "./lib/due.js";
+import { parseChecklist, mergeChecklist, checklistProgress, formatChecklist } from "./lib/checklist.js";
+import { git, gitError, listGitWorktrees, worktreeState, linkWorktrees, integrateBranch, taskIdFromBranch } from "./lib/worktrees.js";
+import { appendJournal, loadJournal, markUndone, remapJournalIds, diffFields, diffMeta, inverseChange } from "./lib/journal.js";
+import {
+  exportOptions,
+  buildExport,
+  fitTokenBudget,
+  estimateTokens,
+  formatExportMarkdown,
+  formatExportHtml,
+  formatExportIcal,
+  renderExportTemplate,
+} from "./lib/exporters.js";
+import { SHORT_ID_LENGTH, TASK_TRAILER, FIXES_GREP, shortTaskId, gitLog, parseFixes, findTaskCommits } from "./lib/commits.js";
+import { DEFAULT_BASE_URL, createClient, isConnectionError, mayHaveApplied, serverHint } from "./lib/client.js";
+import { buildIntervals, sumIntervals, formatDuration, buildReport, formatReportMarkdown } from "./lib/timing.js";
+import { parseEstimate, wipConfig, checkWipLimit, buildBurndown, formatBurndownChart, formatBurndownCsv } from "./lib/estimates.js";
+import { parseResourceList } from "./lib/resources.js";
+
+const BASE_URL = DEFAULT_BASE_URL;
 const API = `${BASE_URL}/api/v1`;
 
 // ============================================================
 // HTTP 客户端
 // ============================================================
 
+// main() 按 --debug / --timeout 重新创建
+let client = createClient({ baseUrl: BASE_URL });
+
 async function fetchJson(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
-  return response.json();
+  return client.get(url);
 }
 
 async function postJson(url, data) {
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(data),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`HTTP ${response.status}: ${text}`);
-  }
-  return response.json();
+  return client.post(url, data);
 }
 
 async function putJson(url, data) {
-  const response = await fetch(url, {
-    method: "PUT",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(data),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`HTTP ${response.status}: ${text}`);
-  }
-  return response.json();
+  return client.put(url, data);
 }
 
 async function deleteRequest(url) {
-  const response = await fetch(url, { method: "DELETE" });
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  return client.del(url);
+}
+
+// ============================================================
+// 离线回退
+// ============================================================
+
+// 服务不可达时切换到 .kanban/ 本地存储 (KANBAN_OFFLINE=1 强制离线)
+let offline = process.env.KANBAN_OFFLINE === "1";
+let storeRoot = null;
+
+async function withFallback(remote, local, localOnly = false) {
+  if (!offline && !localOnly) {
+    try {
+      return await remote();
+    } catch (err) {
+      if (!isConnectionError(err)) throw err;
+      offline = true;
+      console.error(`⚠ Kanban server unreachable (${BASE_URL}), using local store. Run \`kanban sync\` later.`);
+      console.error(`  Start it with \`npx codekanban --port ${new URL(BASE_URL).port || 3007}\`, or set KANBAN_OFFLINE=1 to skip this check.`);
+    }
   }
-  return response.json();
+  return local();
+}
+
+async function getStoreRoot() {
+  if (!storeRoot) storeRoot = await findStoreRoot();
+  return storeRoot;
 }
 
 // ============================================================
-// 项目操作
+// 活动日志
 // ============================================================
 
-async function detectProject() {
-  const cwd = process.cwd();
-  const data = await fetchJson(`${API}/projects`);
+async function snapshotTask(taskId) {
+  return (await loadTasks(await getStoreRoot())).find((t) => t.id === taskId);
+}
+
+async function recordChanges(taskId, before, updates) {
+  const root = await getStoreRoot();
+  for (const entry of diffActivity(before, updates)) {
+    await appendActivity(root, taskId, entry);
+  }
+
+  // 解绑用空字符串，日志中统一记为 null
+  const normalized = updates.worktreeId === "" ? { ...updates, worktreeId: null } : updates;
+  const diff = before && diffFields(before, normalized);
+  if (diff) await recordJournal({ taskId, op: "edit", ...diff });
+
+  const from = before?.status ?? null;
+  for (const event of statusEvents(from, updates.status)) {
+    emitEvent(event, { ...before, ...normalized, id: taskId }, { from });
+  }
+}
+
+// ============================================================
+// 变更日志 (undo / history)
+// ============================================================
+
+// 当前命令的全部变更，命令结束时写成一条记录
+let journalGroup = null;
+
+function beginJournal(command) {
+  journalGroup = { command, changes: [] };
+}
+
+async function flushJournal() {
+  const group = journalGroup;
+  journalGroup = null;
+  if (group && !group.skip && group.changes.length > 0) {
+    await appendJournal(await getStoreRoot(), group);
+  }
+}
+
+async function recordJournal(change) {
+  if (!journalGroup) {
+    await appendJournal(await getStoreRoot(), { command: null, changes: [change] });
+  } else if (!journalGroup.skip) {
+    journalGroup.changes.push(change);
+  }
+}
+
+async function updateTaskMeta(taskId, updater) {
+  const root = await getStoreRoot();
+  const before = (await loadMeta(root))[taskId] || {};
+  const next = await updateMeta(root, taskId, updater);
+  const diff = diffMeta(before, next);
+  if (diff) await recordJournal({ taskId, op: "meta", ...diff });
+  return next;
+}
+
+// 估算是本地字段，修改记入活动日志供燃尽图回放
+async function setTaskEstimate(taskId, estimate) {
+  const root = await getStoreRoot();
+  const from = (await loadMeta(root))[taskId]?.estimate ?? null;
+  if (from === estimate) return false;
+
+  await updateTaskMeta(taskId, (fields) => {
+    if (estimate === null) delete fields.estimate;
+    else fields.estimate = estimate;
+    return fields;
+  });
+  await appendActivity(root, taskId, { action: "estimate", from, to: estimate });
+  return true;
+}
+
+// 声明的资源 (会修改的文件)，规划器据此避免同一波中的冲突 (见 lib/resources.js)
+async function setTaskTouches(taskId, touches) {
+  await updateTaskMeta(taskId, (fields) => {
+    if (touches === null) delete fields.touches;
+    else fields.touches = touches;
+    return fields;
+  });
+}
+
+// ============================================================
+// 事件钩子
+// ============================================================
 
-  for (const project of data.items || []) {
-    if (project.path === cwd || cwd.startsWith(project.path + "/")) {
-      return project;
+// 命令执行期间的事件在命令结束后统一触发 (不打断 tui 界面)
+let pendingEvents = [];
+let hooksDisabled = false;
+
+function emitEvent(event, task, extra = {}) {
+  if (!hooksDisabled) pendingEvents.push({ event, at: new Date().toISOString(), task, ...extra });
+}
+
+async function runPendingHooks() {
+  const events = pendingEvents;
+  pendingEvents = [];
+  if (events.length === 0) return;
+
+  // 配置有误的钩子只警告并跳过，不影响命令本身和其他钩子
+  const root = await getStoreRoot();
+  const hooks = loadHooks(await loadConfig(root), { onInvalid: (message) => console.error(`⚠ Hook skipped: ${message}`) });
+  const skip = (hook, err) => console.error(`⚠ Hook skipped: ${describeHook(hook)} (when ${hook.when}): ${err.message}`);
+
+  const cached = await loadProject(root);
+  const project = cached ? { id: cached.id, name: cached.name, path: cached.path } : { id: "local", name: path.basename(root), path: root };
+  for (const { event, ...rest } of events) {
+    for (const hook of matchingHooks(hooks, event, rest.task, skip)) {
+      const result = await runHook(hook, { event, ...rest, author: getAuthor(), project }, { cwd: root });
+      if (!result.ok) console.error(`⚠ Hook ${event} ${describeHook(hook)} failed: ${result.error}`);
     }
   }
+}
+
+// ============================================================
+// 项目操作
+// ============================================================
+
+async function detectProject() {
+  return withFallback(
+    async () => {
+      const cwd = process.cwd();
+      const data = await fetchJson(`${API}/projects`);
+
+      for (const project of data.items || []) {
+        if (project.path === cwd || cwd.startsWith(project.path + "/")) {
+          storeRoot = project.path;
+          await saveProject(storeRoot, project);
+          return project;
+        }
+      }
 
-  return null;
+      return null;
+    },
+    async () => {
+      const root = await getStoreRoot();
+      const cached = await loadProject(root);
+      if (cached) return { ...cached, offline: true };
+
+      // 从未连上过服务: 用目录信息构造一个本地项目，sync 时再匹配真实项目
+      return {
+        id: "local",
+        name: path.basename(root),
+        path: root,
+        defaultBranch: "main",
+        offline: true,
+      };
+    }
+  );
 }
 
 async function listProjects() {
-  const data = await fetchJson(`${API}/projects`);
-  return data.items || [];
+  return withFallback(
+    async () => {
+      const data = await fetchJson(`${API}/projects`);
+      return data.items || [];
+    },
+    async () => {
+      const cached = await loadProject(await getStoreRoot());
+      return cached ? [cached] : [];
+    }
+  );
 }
 
 // ============================================================
 // 任务操作
 // ============================================================
 
+async function fetchAllTasks(projectId) {
+  const items = await withFallback(
+    async () => {
+      const data = await fetchJson(`${API}/projects/${projectId}/tasks`);
+      const root = await getStoreRoot();
+
+      // 快照 = 服务端数据 + 尚未同步的本地变更
+      let queue = [];
+      const items = await updateTasks(root, async () => {
+        queue = await loadQueue(root);
+        return queue.reduce(applyMutation, data.items || []);
+      });
+      if (queue.length > 0) {
+        console.error(`⚠ ${queue.length} offline change(s) not synced yet. Run \`kanban sync\`.`);
+      }
+      return items;
+    },
+    async () => loadTasks(await getStoreRoot())
+  );
+
+  return mergeMeta(items, await loadMeta(await getStoreRoot()));
+}
+
+// 其他项目的任务: 只读，不改写当前项目的快照
+async function fetchProjectTasks(project) {
+  const items = await withFallback(
+    async () => {
+      const data = await fetchJson(`${API}/projects/${project.id}/tasks`);
+      return (await loadQueue(project.path)).reduce(applyMutation, data.items || []);
+    },
+    async () => loadTasks(project.path)
+  );
+  return mergeMeta(items, await loadMeta(project.path));
+}
+
 async function listTasks(projectId, options = {}) {
-  const data = await fetchJson(`${API}/projects/${projectId}/tasks`);
-  let tasks = data.items || [];
+  let tasks = await fetchAllTasks(projectId);
 
   if (options.status) {
     tasks = tasks.filter((t) => t.status === options.status);
@@ -134,7 +491,7 @@ async function listTasks(projectId, options = {}) {
 }
 
 async function createTask(projectId, title, options = {}) {
-  return postJson(`${API}/projects/${projectId}/tasks/create`, {
+  const body = {
     title,
     description: options.description || "",
     status: "todo",
@@ -142,19 +499,103 @@ async function createTask(projectId, title, options = {}) {
     tags: options.tags || [],
     dueDate: options.dueDate || null,
     worktreeId: options.worktreeId || null,
-  });
+  };
+
+  const result = await withFallback(
+    async () => {
+      const result = await postJson(`${API}/projects/${projectId}/tasks/create`, body);
+      const task = result.item || result;
+      if (task?.id) await upsertTask(await getStoreRoot(), task);
+      return result;
+    },
+    async () => {
+      const id = generateLocalId();
+      await enqueue(await getStoreRoot(), "create", id, { ...body, projectId });
+      return { item: { ...body, id, projectId } };
+    }
+  );
+
+  const taskId = result.item?.id || result.id;
+  if (taskId) {
+    await appendActivity(await getStoreRoot(), taskId, { action: "create", title });
+    await recordJournal({ taskId, op: "create", after: body });
+    if (options.estimate != null) await setTaskEstimate(taskId, options.estimate);
+    if (Array.isArray(options.touches)) await setTaskTouches(taskId, options.touches);
+    emitEvent("task.created", { ...body, ...(result.item || {}), id: taskId });
+  }
+  return result;
 }
 
 async function updateTask(taskId, updates) {
-  return postJson(`${API}/tasks/${taskId}/update`, updates);
+  const before = await snapshotTask(taskId);
+  const result = await withFallback(
+    async () => {
+      const result = await postJson(`${API}/tasks/${taskId}/update`, updates);
+      await upsertTask(await getStoreRoot(), { ...(result.item || {}), ...updates, id: taskId });
+      return result;
+    },
+    async () => {
+      await enqueue(await getStoreRoot(), "update", taskId, updates);
+      return { item: { id: taskId, ...updates } };
+    },
+    // 离线创建、尚未同步的任务只存在于本地
+    isLocalId(taskId)
+  );
+
+  await recordChanges(taskId, before, updates);
+  await clearEscalation(taskId, before, updates);
+  return result;
+}
+
+// 完成或改了截止日期后，逾期升级记录不再适用 (见 lib/due.js)
+async function clearEscalation(taskId, before, changes) {
+  const meta = (await loadMeta(await getStoreRoot()))[taskId];
+  if (!endsEscalation({ ...before, ...meta }, changes)) return;
+  await updateTaskMeta(taskId, ({ escalation, ...fields }) => fields);
 }
 
 async function moveTask(taskId, moveData) {
-  return postJson(`${API}/tasks/${taskId}/move`, moveData);
+  const before = await snapshotTask(taskId);
+  const result = await withFallback(
+    async () => {
+      const result = await postJson(`${API}/tasks/${taskId}/move`, moveData);
+      await upsertTask(await getStoreRoot(), { ...(result.item || {}), ...moveData, id: taskId });
+      return result;
+    },
+    async () => {
+      await enqueue(await getStoreRoot(), "move", taskId, moveData);
+      return { item: { id: taskId, ...moveData } };
+    },
+    // 离线创建、尚未同步的任务只存在于本地
+    isLocalId(taskId)
+  );
+
+  await recordChanges(taskId, before, moveData);
+  await clearEscalation(taskId, before, moveData);
+  return result;
 }
 
 async function deleteTask(taskId) {
-  return postJson(`${API}/tasks/${taskId}/delete`, {});
+  const before = await snapshotTask(taskId);
+  const meta = (await loadMeta(await getStoreRoot()))[taskId];
+  const result = await withFallback(
+    async () => {
+      const result = await postJson(`${API}/tasks/${taskId}/delete`, {});
+      const root = await getStoreRoot();
+      await updateTasks(root, (items) => items.filter((t) => t.id !== taskId));
+      return result;
+    },
+    async () => {
+      await enqueue(await getStoreRoot(), "delete", taskId);
+      return {};
+    },
+    // 离线创建、尚未同步的任务只存在于本地
+    isLocalId(taskId)
+  );
+
+  await appendActivity(await getStoreRoot(), taskId, { action: "delete" });
+  if (before) await recordJournal({ taskId, op: "delete", before, ...(meta ? { meta } : {}) });
+  return result;
 }
 
 async function resolveTaskId(shortId, projectId) {
@@ -162,8 +603,7 @@ async function resolveTaskId(shortId, projectId) {
   if (shortId.length >= 16) return shortId;
 
   // 否则从项目任务列表中前缀匹配
-  const data = await fetchJson(`${API}/projects/${projectId}/tasks`);
-  const tasks = data.items || [];
+  const tasks = await fetchAllTasks(projectId);
   const matches = tasks.filter(t => t.id.startsWith(shortId));
 
   if (matches.length === 0) {
@@ -176,8 +616,79 @@ async function resolveTaskId(shortId, projectId) {
 }
 
 async function getTask(taskId) {
-  const data = await fetchJson(`${API}/tasks/${taskId}`);
-  return data.item || data;
+  const task = await withFallback(
+    async () => {
+      const data = await fetchJson(`${API}/tasks/${taskId}`);
+      return data.item || data;
+    },
+    async () => {
+      const task = (await loadTasks(await getStoreRoot())).find((t) => t.id === taskId);
+      if (!task) throw new Error(`Task not found in local store: ${taskId}`);
+      return task;
+    },
+    // 离线创建、尚未同步的任务只存在于本地
+    isLocalId(taskId)
+  );
+
+  return mergeMeta([task], await loadMeta(await getStoreRoot()))[0];
+}
+
+// ============================================================
+// 评论
+// ============================================================
+
+// 服务端没有评论接口 (404/405) 或不可达时返回 null，评论只保存在本地日志
+async function postComment(taskId, content) {
+  if (offline || isLocalId(taskId)) return null;
+  try {
+    const result = await postJson(`${API}/tasks/${taskId}/comments/create`, { content });
+    return result.item || result;
+  } catch (err) {
+    if (isConnectionError(err) || err.status === 404 || err.status === 405) return null;
+    throw err;
+  }
+}
+
+// 评论写入服务端 (可用时) 和本地活动日志
+async function commentOnTask(taskId, text) {
+  const comment = await postComment(taskId, text);
+  await appendActivity(await getStoreRoot(), taskId, {
+    action: "comment",
+    text,
+    ...(comment?.id ? { commentId: comment.id } : {}),
+  });
+  return comment;
+}
+
+async function fetchComments(taskId) {
+  if (offline || isLocalId(taskId)) return [];
+  try {
+    const data = await fetchJson(`${API}/tasks/${taskId}/comments`);
+    return data.items || [];
+  } catch (err) {
+    if (isConnectionError(err) || err.status === 404 || err.status === 405) return [];
+    throw err;
+  }
+}
+
+// 本地活动日志 + 服务端上其他人添加的评论
+async function getTaskActivity(taskId) {
+  const entries = await loadActivity(await getStoreRoot(), taskId);
+  const known = new Set(entries.map((e) => e.commentId).filter(Boolean));
+
+  for (const c of await fetchComments(taskId)) {
+    if (known.has(c.id)) continue;
+    entries.push({
+      taskId,
+      at: c.createdAt || c.updatedAt || new Date(0).toISOString(),
+      author: c.author || c.authorName || c.createdBy || "server",
+      action: "comment",
+      text: c.content || "",
+      commentId: c.id,
+    });
+  }
+
+  return entries.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
 }
 
 // ============================================================
@@ -190,10 +701,87 @@ async function createWorktree(projectId, branchName) {
   });
 }
 
-async function bindWorktree(taskId, worktreeId) {
-  return putJson(`${API}/tasks/${taskId}/bind-worktree`, {
+async function bindWorktree(taskId, worktreeId, branch) {
+  const before = await snapshotTask(taskId);
+  const result = await putJson(`${API}/tasks/${taskId}/bind-worktree`, {
     worktreeId,
   });
+  await appendActivity(await getStoreRoot(), taskId, { action: "worktree", to: worktreeId, branch });
+  const diff = before && diffFields(before, { worktreeId });
+  if (diff) await recordJournal({ taskId, op: "edit", ...diff });
+  return result;
+}
+
+async function listServerWorktrees(projectId) {
+  return withFallback(
+    async () => (await fetchJson(`${API}/projects/${projectId}/worktrees`)).items || [],
+    async () => []
+  );
+}
+
+async function syncServerWorktrees(projectId) {
+  return withFallback(
+    () => postJson(`${API}/projects/${projectId}/sync-worktrees`, {}),
+    async () => null
+  );
+}
+
+// 项目的非主 worktree 及其关联任务
+async function loadTaskWorktrees(project) {
+  const worktrees = listGitWorktrees(project.path).filter((wt) => !wt.main);
+  return linkWorktrees(worktrees, {
+    tasks: await fetchAllTasks(project.id),
+    serverWorktrees: worktrees.length > 0 ? await listServerWorktrees(project.id) : [],
+    activity: await loadActivity(await getStoreRoot()),
+  });
+}
+
+// 按字段写回任务: status/worktreeId 走 /move，其余走 /update
+async function applyFields(taskId, fields) {
+  const move = {};
+  const update = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === "status") move.status = value;
+    else if (key === "worktreeId") move.worktreeId = value || "";
+    else update[key] = value;
+  }
+  if (Object.keys(update).length > 0) await updateTask(taskId, update);
+  if (Object.keys(move).length > 0) await moveTask(taskId, move);
+}
+
+// 重建已删除的任务 (新 ID)，并把本地字段、依赖、活动日志迁移到新 ID
+async function restoreTask(projectId, task, meta) {
+  const result = await createTask(projectId, task.title, task);
+  const newId = result.item?.id || result.id;
+  if (task.status && task.status !== "todo") await moveTask(newId, { status: task.status });
+
+  const root = await getStoreRoot();
+  const idMap = new Map([[task.id, newId]]);
+  await remapMetaIds(root, idMap);
+  await remapActivityIds(root, idMap);
+  await remapJournalIds(root, idMap);
+  if (meta) await updateMeta(root, newId, () => meta);
+  return newId;
+}
+
+async function confirm(question) {
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+// 预览后确认: --dry-run 只预览，--yes 跳过询问，非交互环境必须 --yes
+async function confirmApply(options, question) {
+  if (options.dryRun) return false;
+  if (options.yes) return true;
+  if (!process.stdin.isTTY) {
+    console.error("\nNot a terminal; re-run with --yes to apply.");
+    process.exit(1);
+  }
+  return confirm(`\n${question}`);
 }
 
 // ============================================================
@@ -201,16 +789,20 @@ async function bindWorktree(taskId, worktreeId) {
 // ============================================================
 
 const PRIORITY_LABELS = ["P0", "P1", "P2", "P3"];
+const SHOW_ACTIVITY_LIMIT = 10;
 const STATUS_ICONS = {
   todo: "○",
   in_progress: "◐",
+  blocked: "⊘",
   done: "●",
 };
 
 function formatTask(task, verbose = false) {
   const icon = STATUS_ICONS[task.status] || "?";
   const priority = PRIORITY_LABELS[task.priority] || `P${task.priority}`;
-  const line = `${icon} [${priority}] ${task.title}`;
+  const progress = checklistProgress(task);
+  const estimate = task.estimate != null ? ` [${task.estimate}pt]` : '';
+  const line = `${icon} [${priority}] ${task.title}${estimate}${progress ? ` ☑ ${progress}` : ''}`;
 
   if (verbose) {
     const parts = [line, `   ID: ${task.id}`, `   Status: ${task.status}`];
@@ -220,12 +812,39 @@ function formatTask(task, verbose = false) {
     if (task.tags?.length > 0) {
       parts.push(`   Tags: ${task.tags.join(', ')}`);
     }
+    if (task.estimate != null) {
+      parts.push(`   Estimate: ${task.estimate} pt`);
+    }
+    if (task.checklist?.length > 0) {
+      parts.push(`   Checklist:\n${formatChecklist(task.checklist).map(l => '     ' + l).join('\n')}`);
+    }
+    if (task.dueDate) {
+      const days = daysUntilDue(task);
+      const hint = task.status !== 'done' && days !== null && days <= 0 ? ` (${formatDueIn(days)})` : '';
+      parts.push(`   Due: ${task.dueDate.split('T')[0]}${hint}`);
+    }
+    if (task.blockers?.length > 0) {
+      parts.push(`   Blocked by: ${task.blockers.map(formatBlocker).join(', ')}`);
+    }
     return parts.join('\n');
   }
 
   return `${line} (${task.id.slice(0, 8)})`;
 }
 
+function formatBlocker(blocker) {
+  return `${blocker.id.slice(0, 8)} [${blocker.status}]`;
+}
+
+// 把依赖 ID 解析为任务对象 (已删除的依赖忽略)
+function attachBlockers(tasks, allTasks = tasks) {
+  const byId = new Map(allTasks.map((t) => [t.id, t]));
+  return tasks.map((t) => ({
+    ...t,
+    blockers: getBlockerIds(t).map((id) => byId.get(id)).filter(Boolean),
+  }));
+}
+
 function formatProjectStatus(project, tasks) {
   const todo = tasks.filter((t) => t.status === "todo").length;
   const inProgress = tasks.filter((t) => t.status === "in_progress").length;
@@ -273,6 +892,15 @@ async function cmdStatus(options) {
   }
 }
 
+const LIST_GROUPS = [
+  ["in_progress", "◐ In Progress"],
+  ["todo", "○ Todo"],
+  ["blocked", "⊘ Blocked"],
+  ["done", "● Done"],
+];
+
+const VIEW_FIELDS = ["status", "priority", "where", "search", "sort"];
+
 async function cmdList(options) {
   const project = await detectProject();
   if (!project) {
@@ -280,7 +908,41 @@ async function cmdList(options) {
     process.exit(1);
   }
 
-  const tasks = await listTasks(project.id, options);
+  const root = await getStoreRoot();
+  const config = await loadConfig(root);
+
+  // list @name: 使用保存的视图，命令行参数覆盖视图中的同名条件
+  const viewName = options.args.find((a) => a.startsWith("@"))?.slice(1);
+  const view = viewName ? config.views?.[viewName] : {};
+  if (!view) {
+    const names = Object.keys(config.views || {});
+    console.error(`Unknown view: @${viewName}${names.length > 0 ? ` (saved: ${names.map((n) => "@" + n).join(", ")})` : ""}`);
+    process.exit(1);
+  }
+
+  const filters = {};
+  for (const field of VIEW_FIELDS) {
+    const value = options[field] ?? view[field];
+    if (value !== undefined) filters[field] = value;
+  }
+
+  // 先编译，查询写错时尽早报错
+  const predicate = compileQuery(filters.where);
+  const comparator = filters.sort ? compileSort(filters.sort) : null;
+
+  if (options.save) {
+    config.views = { ...config.views, [options.save]: filters };
+    await saveConfig(root, config);
+    console.error(`Saved view @${options.save}`);
+  }
+
+  let tasks = (await listTasks(project.id, filters)).filter(predicate);
+  if (filters.search) tasks = tasks.filter((t) => matchesSearch(t, filters.search));
+  if (comparator) tasks.sort(comparator);
+
+  if (options.verbose) {
+    tasks = attachBlockers(tasks, await fetchAllTasks(project.id));
+  }
 
   if (options.json) {
     console.log(JSON.stringify(tasks, null, 2));
@@ -290,26 +952,48 @@ async function cmdList(options) {
       return;
     }
 
-    const grouped = {
-      todo: tasks.filter((t) => t.status === "todo"),
-      in_progress: tasks.filter((t) => t.status === "in_progress"),
-      done: tasks.filter((t) => t.status === "done"),
-    };
-
-    if (grouped.in_progress.length > 0) {
-      console.log("\n◐ In Progress:");
-      grouped.in_progress.forEach((t) => console.log(`  ${formatTask(t, options.verbose)}`));
+    for (const [status, heading] of LIST_GROUPS) {
+      const group = tasks.filter((t) => t.status === status);
+      if (group.length > 0) {
+        console.log(`\n${heading}:`);
+        group.forEach((t) => console.log(`  ${formatTask(t, options.verbose)}`));
+      }
     }
+  }
+}
 
-    if (grouped.todo.length > 0) {
-      console.log("\n○ Todo:");
-      grouped.todo.forEach((t) => console.log(`  ${formatTask(t, options.verbose)}`));
-    }
+async function cmdViews(options) {
+  const root = await getStoreRoot();
+  const config = await loadConfig(root);
+  const views = config.views || {};
 
-    if (grouped.done.length > 0) {
-      console.log("\n● Done:");
-      grouped.done.forEach((t) => console.log(`  ${formatTask(t, options.verbose)}`));
+  if (options.args[0] === "rm" || options.args[0] === "delete") {
+    const name = (options.args[1] || "").replace(/^@/, "");
+    if (!views[name]) {
+      console.error(`Unknown view: @${name}`);
+      process.exit(1);
     }
+    delete views[name];
+    await saveConfig(root, { ...config, views });
+    console.log(`Deleted view @${name}`);
+    return;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(views, null, 2));
+    return;
+  }
+
+  const names = Object.keys(views);
+  if (names.length === 0) {
+    console.log("No saved views. Save one with: kanban list --where \"...\" --save=<name>");
+    return;
+  }
+  for (const name of names) {
+    const desc = VIEW_FIELDS.filter((f) => views[name][f] !== undefined)
+      .map((f) => `${f}=${JSON.stringify(views[name][f])}`)
+      .join(" ");
+    console.log(`  @${name}  ${desc}`);
   }
 }
 
@@ -320,13 +1004,17 @@ async function cmdAdd(title, options) {
     process.exit(1);
   }
 
-  const result = await createTask(project.id, title, options);
+  const estimate = options.estimate !== undefined ? parseEstimate(options.estimate) : undefined;
+  const touches = options.touches !== undefined ? parseResourceList(options.touches) : undefined;
+  const result = await createTask(project.id, title, { ...options, estimate, touches });
   const taskId = result.item?.id || result.id;
   console.log(`Created: ${taskId}`);
 
   // 显示创建的任务详情
   const details = [];
   if (options.priority !== undefined) details.push(`P${options.priority}`);
+  if (estimate != null) details.push(`${estimate}pt`);
+  if (touches) details.push(`touches: ${touches.join(', ') || '(none)'}`);
   if (options.tags?.length > 0) details.push(`tags: ${options.tags.join(', ')}`);
   if (options.description) details.push(`desc: ${options.description.slice(0, 50)}${options.description.length > 50 ? '...' : ''}`);
   if (details.length > 0) {
@@ -341,21 +1029,63 @@ async function cmdDone(shortId) {
     process.exit(1);
   }
   const taskId = await resolveTaskId(shortId, project.id);
+  const open = ((await getTask(taskId)).checklist || []).filter((i) => !i.done);
   await moveTask(taskId, { status: "done" });
   console.log(`Marked as done: ${taskId}`);
+
+  if (open.length > 0) {
+    console.error(`⚠ ${open.length} checklist item(s) still unchecked:`);
+    formatChecklist(open).forEach((l) => console.error(`  ${l}`));
+  }
+
+  const spent = sumIntervals(buildIntervals(await loadActivity(await getStoreRoot(), taskId)).get(taskId));
+  if (spent > 0) console.log(`  Time spent: ${formatDuration(spent)}`);
 }
 
-async function cmdStart(shortId) {
+async function cmdStart(shortId, options) {
   const project = await detectProject();
   if (!project) {
     console.error("No project found for current directory");
     process.exit(1);
   }
   const taskId = await resolveTaskId(shortId, project.id);
+
+  const allTasks = await fetchAllTasks(project.id);
+  enforceBlockers(allTasks, taskId, options);
+  await enforceWipLimit(allTasks, taskId, "in_progress", options);
   await moveTask(taskId, { status: "in_progress" });
   console.log(`Started: ${taskId}`);
 }
 
+// 有未完成的依赖时拒绝开始 (start / move --status=in_progress，--force 跳过)
+function enforceBlockers(tasks, taskId, options) {
+  const task = tasks.find((t) => t.id === taskId);
+  const pending = task ? attachBlockers([task], tasks)[0].blockers.filter((b) => b.status !== "done") : [];
+  if (pending.length === 0) return;
+
+  const list = pending.map((b) => `  ${formatTask(b)}`).join("\n");
+  if (!options.force) {
+    console.error(`Task ${taskId} is blocked by unfinished tasks:\n${list}\n\nUse --force to start anyway.`);
+    process.exit(1);
+  }
+  console.error(`⚠ Starting despite unfinished blockers:\n${list}`);
+}
+
+// 超过 config.wip.limits: warn 时警告，refuse 时退出 (--force 跳过)
+async function enforceWipLimit(tasks, taskId, status, options) {
+  const wip = wipConfig(await loadConfig(await getStoreRoot()));
+  const exceeded = checkWipLimit(tasks, taskId, status, wip);
+  if (!exceeded) return;
+
+  const list = exceeded.tasks.map((t) => `  ${formatTask(t)}`).join("\n");
+  const message = `WIP limit for ${status} is ${exceeded.limit}, this would make ${exceeded.count}:\n${list}`;
+  if (wip.enforce === "refuse" && !options.force) {
+    console.error(`${message}\n\nFinish or move one of them first, or use --force.`);
+    process.exit(1);
+  }
+  console.error(`⚠ ${message}`);
+}
+
 async function cmdMove(shortId, options) {
   const project = await detectProject();
   if (!project) {
@@ -370,15 +1100,20 @@ async function cmdMove(shortId, options) {
   if (options.orderIndex !== undefined) moveData.orderIndex = options.orderIndex;
   if (options.worktreeId !== undefined) moveData.worktreeId = options.worktreeId;
 
-  // priority 需要用 /update API
-  if (options.priority !== undefined) {
-    await updateTask(taskId, { priority: options.priority });
-  }
-
   if (Object.keys(moveData).length === 0 && options.priority === undefined) {
     console.error("Usage: kanban move <id> --status=<s> or --priority=<n> or --worktree=<id>");
     process.exit(1);
   }
+  if (moveData.status) {
+    const allTasks = await fetchAllTasks(project.id);
+    if (moveData.status === "in_progress") enforceBlockers(allTasks, taskId, options);
+    await enforceWipLimit(allTasks, taskId, moveData.status, options);
+  }
+
+  // priority 需要用 /update API
+  if (options.priority !== undefined) {
+    await updateTask(taskId, { priority: options.priority });
+  }
 
   if (Object.keys(moveData).length > 0) {
     await moveTask(taskId, moveData);
@@ -406,14 +1141,24 @@ async function cmdEdit(shortId, options) {
   if (options.priority !== undefined) updates.priority = options.priority;
   if (options.tags !== undefined) updates.tags = options.tags;
   if (options.dueDate !== undefined) updates.dueDate = options.dueDate || null;
+  const estimate = options.estimate !== undefined ? parseEstimate(options.estimate) : undefined;
+  const touches = options.touches !== undefined ? parseResourceList(options.touches) : undefined;
 
-  if (Object.keys(updates).length === 0) {
-    console.error("Usage: kanban edit <id> [new title] --description=<text> --priority=<n> --tags=<t1,t2> --due=<date>");
+  if (Object.keys(updates).length === 0 && estimate === undefined && touches === undefined) {
+    console.error("Usage: kanban edit <id> [new title] --description=<text> --priority=<n> --tags=<t1,t2> --due=<date> --estimate=<n> --touches=<paths>");
     process.exit(1);
   }
 
-  await updateTask(taskId, updates);
+  if (Object.keys(updates).length > 0) await updateTask(taskId, updates);
   const parts = Object.keys(updates).map(k => k);
+  if (estimate !== undefined) {
+    await setTaskEstimate(taskId, estimate);
+    parts.push(`estimate → ${estimate ?? "(none)"}`);
+  }
+  if (touches !== undefined) {
+    await setTaskTouches(taskId, touches);
+    parts.push(`touches → ${touches === null ? "(from description)" : touches.join(", ") || "(none)"}`);
+  }
   console.log(`Updated ${taskId}: ${parts.join(", ")}`);
 }
 
@@ -444,192 +1189,1442 @@ async function cmdShow(shortId, options) {
     console.log(`ID: ${task.id}`);
     console.log(`Status: ${task.status}`);
     console.log(`Priority: P${task.priority}`);
+    if (task.estimate != null) console.log(`Estimate: ${task.estimate} pt`);
+    if (Array.isArray(task.touches)) console.log(`Touches: ${task.touches.join(", ") || "(none)"}`);
     if (task.description) {
       console.log(`\nDescription:\n${task.description}`);
     }
     if (task.tags?.length > 0) {
       console.log(`\nTags: ${task.tags.join(", ")}`);
     }
-  }
-}
+    if (task.checklist?.length > 0) {
+      console.log(`\nChecklist (${checklistProgress(task)}):`);
+      formatChecklist(task.checklist, true).forEach((l) => console.log(`  ${l}`));
+    }
 
-async function cmdProjects(options) {
-  const projects = await listProjects();
+    const allTasks = await fetchAllTasks(project.id);
+    const { blockers } = attachBlockers([task], allTasks)[0];
+    const blocks = allTasks.filter((t) => getBlockerIds(t).includes(task.id));
+    if (blockers.length > 0) {
+      console.log(`\nBlocked by:`);
+      blockers.forEach((b) => console.log(`  ${formatTask(b)}`));
+    }
+    if (blocks.length > 0) {
+      console.log(`\nBlocks:`);
+      blocks.forEach((b) => console.log(`  ${formatTask(b)}`));
+    }
 
-  if (options.json) {
-    console.log(JSON.stringify(projects, null, 2));
-  } else {
-    console.log("\nProjects:\n");
-    for (const p of projects) {
-      console.log(`  ${p.id}: ${p.name}`);
-      console.log(`     ${p.path}\n`);
+    const activity = await getTaskActivity(task.id);
+    if (activity.length > 0) {
+      const recent = activity.slice(-SHOW_ACTIVITY_LIMIT);
+      console.log(`\nActivity:`);
+      if (activity.length > recent.length) {
+        console.log(`  ... ${activity.length - recent.length} earlier (kanban log ${task.id.slice(0, 8)})`);
+      }
+      recent.forEach((e) => console.log(`  ${formatActivity(e)}`));
     }
   }
 }
 
-async function cmdWorktree(taskId) {
+async function cmdComment(shortId, text) {
   const project = await detectProject();
   if (!project) {
-    console.error("No project found");
+    console.error("No project found for current directory");
     process.exit(1);
   }
+  const taskId = await resolveTaskId(shortId, project.id);
 
-  const task = await getTask(taskId);
-  const branchName = `task/${taskId.slice(0, 8)}`;
-
-  console.log(`Creating worktree: ${branchName}`);
-  const worktree = await createWorktree(project.id, branchName);
-  const worktreeId = worktree.item?.id || worktree.id;
-
-  console.log(`Binding to task: ${task.title}`);
-  await bindWorktree(taskId, worktreeId);
-
-  console.log(`Marking as in_progress`);
-  await updateTask(taskId, { status: "in_progress" });
-
-  console.log(`\nWorktree created and bound!`);
-  console.log(`Branch: ${branchName}`);
+  const comment = await commentOnTask(taskId, text);
+  console.log(`Commented on ${taskId}${comment ? "" : " (local only)"}`);
 }
 
-async function cmdImport(filePath) {
+async function cmdLog(shortId, options) {
   const project = await detectProject();
   if (!project) {
-    console.error("No project found");
+    console.error("No project found for current directory");
     process.exit(1);
   }
+  const taskId = await resolveTaskId(shortId, project.id);
+  const activity = await getTaskActivity(taskId);
 
-  const fs = await import("fs");
-  const content = fs.readFileSync(filePath, "utf-8");
-  const tasks = JSON.parse(content);
-
-  console.log(`Importing ${tasks.length} tasks...`);
-
-  for (const task of tasks) {
-    const result = await createTask(project.id, task.title, {
-      priority: task.priority ?? 2,
-      description: task.description || "",
-      tags: task.tags || [],
-    });
-    console.log(`  Created: ${task.title}`);
+  if (options.json) {
+    console.log(JSON.stringify(activity, null, 2));
+  } else if (activity.length === 0) {
+    console.log("No activity recorded");
+  } else {
+    activity.forEach((e) => console.log(formatActivity(e)));
   }
+}
+
+const BULK_ACTIONS = ["move", "tag", "delete"];
 
-  console.log(`\nDone! Imported ${tasks.length} tasks.`);
+function describeFields(before, after) {
+  return Object.keys(after)
+    .map((key) => {
+      if (key === "tags") {
+        const added = after.tags.filter((t) => !(before.tags || []).includes(t));
+        const removed = (before.tags || []).filter((t) => !after.tags.includes(t));
+        return [...added.map((t) => `+${t}`), ...removed.map((t) => `-${t}`)].join(" ");
+      }
+      const show = (v) => (key === "priority" ? `P${v}` : v || "(none)");
+      return `${key} ${show(before[key])} → ${show(after[key])}`;
+    })
+    .join(", ");
 }
 
-async function cmdExport(options) {
+async function cmdBulk(options) {
   const project = await detectProject();
   if (!project) {
-    console.error("No project found");
+    console.error("No project found for current directory");
     process.exit(1);
   }
+  if (options.undo) return undoBulk(project, options);
 
-  const tasks = await listTasks(project.id);
-  const format = options.format || "context";
-
-  if (format === "json") {
-    console.log(JSON.stringify({ project, tasks }, null, 2));
-    return;
+  const action = options.args[0];
+  if (!BULK_ACTIONS.includes(action)) {
+    console.error(`Usage: kanban bulk ${BULK_ACTIONS.join("|")} --where "<query>" [...]  |  kanban bulk --undo`);
+    process.exit(1);
+  }
+  if (!options.where && !options.search) {
+    console.error('bulk requires a selector: --where "<query>" (e.g. --where "tag:audit and status=todo")');
+    process.exit(1);
+  }
+
+  let updates = {};
+  if (action === "move") {
+    if (options.status) updates.status = options.status;
+    if (options.priority !== undefined) updates.priority = options.priority;
+    if (options.worktreeId !== undefined) updates.worktreeId = options.worktreeId || null;
+    if (Object.keys(updates).length === 0) {
+      console.error("Usage: kanban bulk move --where \"<query>\" --status=<s> | --priority=<n> | --worktree=<id>");
+      process.exit(1);
+    }
+  } else if (action === "tag" && !options.add && !options.remove) {
+    console.error("Usage: kanban bulk tag --where \"<query>\" --add=<t1,t2> --remove=<t3>");
+    process.exit(1);
+  }
+
+  const predicate = compileQuery(options.where);
+  let tasks = (await fetchAllTasks(project.id)).filter(predicate);
+  if (options.search) tasks = tasks.filter((t) => matchesSearch(t, options.search));
+
+  const plan = [];
+  for (const task of tasks) {
+    if (action === "delete") {
+      plan.push({ task, op: "delete" });
+      continue;
+    }
+    if (action === "tag") {
+      const tags = [...new Set([...(task.tags || []), ...(options.add || [])])].filter((t) => !(options.remove || []).includes(t));
+      updates = { tags };
+    }
+    const diff = diffFields(task, updates);
+    if (diff) plan.push({ task, op: "edit", ...diff });
+  }
+
+  const matched = tasks.length === plan.length ? "" : ` (${tasks.length - plan.length} matching task(s) already up to date)`;
+  if (plan.length === 0) {
+    console.log(`No tasks to change${matched}`);
+    return;
+  }
+
+  console.log(`${action === "delete" ? "Delete" : "Change"} ${plan.length} task(s)${matched}:`);
+  for (const p of plan) {
+    console.log(`  ${formatTask(p.task)}${p.op === "edit" ? `  ${describeFields(p.before, p.after)}` : ""}`);
+  }
+
+  if (!(await confirmApply(options, `Apply to ${plan.length} task(s)?`))) {
+    if (!options.dryRun) console.log("Aborted");
+    return;
+  }
+
+  let applied = 0;
+  for (const p of plan) {
+    try {
+      if (p.op === "delete") await deleteTask(p.task.id);
+      else await applyFields(p.task.id, p.after);
+      applied++;
+    } catch (err) {
+      console.error(`  Failed: ${p.task.title} - ${err.message}`);
+    }
+  }
+
+  console.log(`\n${action === "delete" ? "Deleted" : "Updated"} ${applied} task(s)${applied > 0 ? " (undo with: kanban bulk --undo)" : ""}`);
+}
+
+async function undoBulk(project, options) {
+  const entry = (await loadJournal(await getStoreRoot())).filter((e) => /^bulk /.test(e.command || "") && !e.undoneAt).pop();
+  if (!entry) {
+    console.log("No bulk operation to undo");
+    return;
+  }
+  await undoEntries(project, [entry], options);
+}
+
+function describeJournalChange(change, task) {
+  const title = `"${change.before?.title || change.after?.title || task?.title || change.taskId}"`;
+  switch (change.op) {
+    case "create":
+      return `created ${title}`;
+    case "delete":
+      return `deleted ${title}`;
+    case "meta":
+      return `${title}  ${Object.keys(change.after).join(", ")} (local)`;
+    default:
+      return `${title}  ${describeFields(change.before, change.after)}`;
+  }
+}
+
+function formatJournalEntry(entry) {
+  const when = new Date(entry.at).toLocaleString();
+  const undone = entry.undoneAt ? "  [undone]" : "";
+  return `#${entry.id}  ${when}  ${entry.author}  ${entry.command || "?"}  (${entry.changes.length} change(s))${undone}`;
+}
+
+// 从新到旧撤销若干条记录: 预览 → 确认 → 逐项回滚 (撤销本身不写入日志)
+async function undoEntries(project, entries, options) {
+  const tasks = await fetchAllTasks(project.id);
+  const state = new Map(tasks.map((t) => [t.id, t]));
+
+  // 先按顺序模拟一遍，同一任务更早的变更基于回滚后的状态判断冲突
+  const steps = [];
+  for (const entry of entries) {
+    for (const change of [...entry.changes].reverse()) {
+      const step = { entry, change, ...inverseChange(change, state.get(change.taskId)) };
+      step.run = Boolean(step.op) && (!step.conflict || options.force);
+      steps.push(step);
+      if (!step.run) continue;
+      if (step.op === "restore") state.set(change.taskId, { ...step.task });
+      else if (step.op === "remove") state.delete(change.taskId);
+      else state.set(change.taskId, { ...state.get(change.taskId), ...step.fields });
+    }
+  }
+
+  for (const entry of entries) {
+    console.log(`Undo ${formatJournalEntry(entry)}`);
+    for (const step of steps.filter((st) => st.entry === entry)) {
+      const what = describeJournalChange(step.change, state.get(step.change.taskId));
+      console.log(step.run ? `  revert ${what}` : `  skip   ${what}: ${step.conflict}`);
+    }
+  }
+
+  const runnable = steps.filter((st) => st.run);
+  if (runnable.length === 0) {
+    console.log("\nNothing can be reverted (use --force to override conflicts)");
+    return;
+  }
+  if (!(await confirmApply(options, `Revert ${runnable.length} change(s)?`))) {
+    if (!options.dryRun) console.log("Aborted");
+    return;
+  }
+
+  if (journalGroup) journalGroup.skip = true;
+  const root = await getStoreRoot();
+  const idMap = new Map();
+  let reverted = 0;
+
+  for (const step of runnable) {
+    const taskId = idMap.get(step.change.taskId) || step.change.taskId;
+    try {
+      switch (step.op) {
+        case "restore": {
+          const newId = await restoreTask(project.id, step.task, step.meta);
+          idMap.set(step.change.taskId, newId);
+          console.log(`  Restored ${step.task.title} as ${newId}`);
+          break;
+        }
+        case "remove":
+          await deleteTask(taskId);
+          break;
+        case "meta": {
+          const { estimate: from = null } = (await loadMeta(root))[taskId] || {};
+          const next = await updateMeta(root, taskId, (fields) => {
+            for (const [key, value] of Object.entries(step.fields)) {
+              if (value === null) delete fields[key];
+              else fields[key] = value;
+            }
+            return fields;
+          });
+          if ((next.estimate ?? null) !== from) {
+            await appendActivity(root, taskId, { action: "estimate", from, to: next.estimate ?? null });
+          }
+          break;
+        }
+        default:
+          await applyFields(taskId, step.fields);
+      }
+      reverted++;
+    } catch (err) {
+      console.error(`  Failed: ${taskId} - ${err.message}`);
+    }
+  }
+
+  await markUndone(root, entries.map((e) => e.id));
+  console.log(`Reverted ${reverted}/${steps.length} change(s)`);
+}
+
+async function cmdUndo(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+
+  const count = options.args[0] ? parseInt(options.args[0], 10) : 1;
+  if (!(count >= 1)) {
+    console.error("Usage: kanban undo [n]");
+    process.exit(1);
+  }
+
+  const entries = (await loadJournal(await getStoreRoot())).filter((e) => !e.undoneAt).slice(-count).reverse();
+  if (entries.length === 0) {
+    console.log("Nothing to undo");
+    return;
+  }
+  await undoEntries(project, entries, options);
+}
+
+const HISTORY_LIMIT = 20;
+
+async function cmdHistory(options) {
+  const root = await getStoreRoot();
+  const journal = await loadJournal(root);
+  const limit = options.args[0] ? parseInt(options.args[0], 10) : HISTORY_LIMIT;
+  const entries = journal.slice(-limit).reverse();
+
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+  if (entries.length === 0) {
+    console.log("No changes recorded");
+    return;
+  }
+
+  // 标题取本地快照，不访问服务端
+  const tasks = new Map((await loadTasks(root)).map((t) => [t.id, t]));
+  for (const entry of entries) {
+    console.log(formatJournalEntry(entry));
+    if (options.verbose) {
+      entry.changes.forEach((c) => console.log(`    ${describeJournalChange(c, tasks.get(c.taskId))}`));
+    }
+  }
+  if (journal.length > entries.length) {
+    console.log(`... ${journal.length - entries.length} older (kanban history <n>)`);
+  }
+}
+
+async function cmdHooks(options) {
+  const root = await getStoreRoot();
+  const hooks = loadHooks(await loadConfig(root));
+  const [sub, event, shortId] = options.args;
+
+  // 手动触发，便于调试钩子配置
+  if (sub === "run") {
+    if (!HOOK_EVENTS.includes(event) || !shortId) {
+      console.error(`Usage: kanban hooks run <${HOOK_EVENTS.join("|")}> <task-id>`);
+      process.exit(1);
+    }
+    const project = await detectProject();
+    const task = await getTask(await resolveTaskId(shortId, project.id));
+    const matched = matchingHooks(hooks, event, task);
+    if (matched.length === 0) {
+      console.log(`No hooks for ${event} match "${task.title}"`);
+      return;
+    }
+    emitEvent(event, task, { from: task.status });
+    await runPendingHooks();
+    console.log(`Ran ${matched.length} hook(s) for ${event}`);
+    return;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(hooks, null, 2));
+    return;
+  }
+  const events = Object.keys(hooks);
+  if (events.length === 0) {
+    console.log('No hooks configured. Add a "hooks" section to .kanban/config.json.');
+    return;
+  }
+  for (const name of events) {
+    console.log(name);
+    for (const hook of hooks[name]) {
+      console.log(`  ${describeHook(hook)}${hook.when ? `  (when ${hook.when})` : ""}`);
+    }
+  }
+}
+
+async function cmdCheck(shortId, options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+  const taskId = await resolveTaskId(shortId, project.id);
+  const task = await getTask(taskId);
+  const root = await getStoreRoot();
+  const [sub, ...rest] = options.args.slice(1);
+  let checklist = task.checklist || [];
+
+  const itemAt = (value) => {
+    const n = parseInt(value, 10);
+    if (!(n >= 1 && n <= checklist.length)) {
+      console.error(`Invalid item number: ${value} (task has ${checklist.length} item(s))`);
+      process.exit(1);
+    }
+    return n - 1;
+  };
+  const save = async (entry) => {
+    await updateTaskMeta(taskId, (fields) => ({ ...fields, checklist }));
+    await appendActivity(root, taskId, { action: "checklist", ...entry });
+  };
+
+  switch (sub) {
+    case "add": {
+      const text = rest.join(" ").trim();
+      if (!text) {
+        console.error('Usage: kanban check <id> add "<item>"');
+        process.exit(1);
+      }
+      checklist = [...checklist, { text, done: false }];
+      await save({ op: "add", item: text });
+      console.log(`Added #${checklist.length}: ${text}`);
+      break;
+    }
+
+    case "toggle": {
+      const i = itemAt(rest[0]);
+      checklist = checklist.map((item, j) => (j === i ? { ...item, done: !item.done } : item));
+      await save({ op: checklist[i].done ? "check" : "uncheck", item: checklist[i].text });
+      console.log(formatChecklist([checklist[i]])[0].slice(2));
+      break;
+    }
+
+    case "rm":
+    case "remove": {
+      const i = itemAt(rest[0]);
+      const [removed] = checklist.splice(i, 1);
+      await save({ op: "remove", item: removed.text });
+      console.log(`Removed: ${removed.text}`);
+      break;
+    }
+
+    case "import": {
+      const merged = mergeChecklist(checklist, parseChecklist(task.description));
+      if (merged.added.length === 0) {
+        console.log("No new checklist items in description");
+        return;
+      }
+      checklist = merged.checklist;
+      await save({ op: "import", count: merged.added.length });
+      console.log(`Imported ${merged.added.length} item(s) from description`);
+      break;
+    }
+
+    case undefined:
+    case "list":
+      if (options.json) {
+        console.log(JSON.stringify(checklist, null, 2));
+        return;
+      }
+      if (checklist.length === 0) {
+        console.log(`No checklist. Add one with: kanban check ${shortId} add "<item>"`);
+        return;
+      }
+      break;
+
+    default:
+      console.error("Usage: kanban check <id> [add \"<item>\" | toggle <n> | rm <n> | import]");
+      process.exit(1);
+  }
+
+  console.log(`\n${task.title} (${checklistProgress({ checklist }) || "0/0"})`);
+  formatChecklist(checklist, true).forEach((l) => console.log(`  ${l}`));
+}
+
+async function cmdTimer(shortId, options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+
+  const now = new Date();
+  const taskId = shortId ? await resolveTaskId(shortId, project.id) : null;
+  const intervals = buildIntervals(await loadActivity(await getStoreRoot(), taskId || undefined));
+
+  if (taskId) {
+    const list = intervals.get(taskId) || [];
+    const total = sumIntervals(list, { now });
+    if (options.json) {
+      console.log(JSON.stringify({ taskId, total, intervals: list }, null, 2));
+      return;
+    }
+    if (list.length === 0) {
+      console.log("No time recorded");
+      return;
+    }
+    for (const i of list) {
+      const end = i.end ? new Date(i.end).toLocaleString() : "running";
+      console.log(`  ${new Date(i.start).toLocaleString()} → ${end}  ${formatDuration(sumIntervals([i], { now }))}  ${i.author}`);
+    }
+    console.log(`Total: ${formatDuration(total)}`);
+    return;
+  }
+
+  const tasks = await fetchAllTasks(project.id);
+  const running = tasks
+    .filter((t) => t.status === "in_progress")
+    .map((t) => {
+      const list = intervals.get(t.id) || [];
+      const open = list.find((i) => i.end === null);
+      return {
+        task: t,
+        since: open?.start || null,
+        elapsed: open ? sumIntervals([open], { now }) : null,
+        total: sumIntervals(list, { now }),
+      };
+    });
+
+  if (options.json) {
+    console.log(JSON.stringify(running.map((r) => ({ ...r, task: { id: r.task.id, title: r.task.title } })), null, 2));
+    return;
+  }
+  if (running.length === 0) {
+    console.log("No task in progress");
+    return;
+  }
+  for (const r of running) {
+    // 服务端直接改状态 (未经本 CLI) 时没有开始时间
+    const elapsed = r.elapsed === null ? "no start recorded" : `running ${formatDuration(r.elapsed)}`;
+    console.log(`⏱ ${formatTask(r.task)}  ${elapsed} (total ${formatDuration(r.total)})`);
+  }
+}
+
+const BURNDOWN_DEFAULT_SINCE = "-14d";
+
+async function cmdReport(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+
+  // 本地时区的整天边界，--until 包含当天
+  const dayStart = (value, offset = 0) => {
+    const d = new Date(`${resolveDate(value)}T00:00:00`);
+    d.setDate(d.getDate() + offset);
+    return d;
+  };
+  const range = {
+    since: options.since ? dayStart(options.since) : null,
+    until: options.until ? dayStart(options.until, 1) : null,
+  };
+
+  const tasks = await fetchAllTasks(project.id);
+  const report = buildReport(tasks, await loadActivity(await getStoreRoot()), range);
+
+  if (options.format === "json") {
+    console.log(JSON.stringify({ project: { id: project.id, name: project.name }, ...report }, null, 2));
+  } else if (!options.format || options.format === "markdown" || options.format === "md") {
+    console.log(formatReportMarkdown(report, project.name));
+  } else {
+    console.error(`Unknown report format: ${options.format} (expected markdown|json)`);
+    process.exit(1);
+  }
+}
+
+async function cmdBurndown(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+
+  let tasks = await fetchAllTasks(project.id);
+  if (options.where) tasks = tasks.filter(compileQuery(options.where));
+  const burndown = buildBurndown(tasks, await loadActivity(await getStoreRoot()), {
+    since: options.since || BURNDOWN_DEFAULT_SINCE,
+    until: options.until,
+    // 已删除的任务无法按 --where 过滤
+    includeDeleted: !options.where,
+  });
+
+  if (options.format === "json") {
+    console.log(JSON.stringify({ project: { id: project.id, name: project.name }, ...burndown }, null, 2));
+  } else if (options.format === "csv") {
+    console.log(formatBurndownCsv(burndown));
+  } else if (!options.format || options.format === "chart") {
+    console.log(formatBurndownChart(burndown, project.name));
+  } else {
+    console.error(`Unknown burndown format: ${options.format} (expected chart|csv|json)`);
+    process.exit(1);
+  }
+}
+
+async function cmdTemplate(options) {
+  const root = await getStoreRoot();
+  const config = await loadConfig(root);
+  const templates = config.templates || {};
+  const [sub, name] = options.args;
+
+  const requireTemplate = () => {
+    if (!templates[name]) {
+      const names = Object.keys(templates);
+      console.error(`Unknown template: ${name}${names.length > 0 ? ` (saved: ${names.join(", ")})` : ""}`);
+      process.exit(1);
+    }
+    return templates[name];
+  };
+
+  switch (sub) {
+    case "save": {
+      const title = options.args.slice(2).join(" ");
+      if (!name || !title) {
+        console.error('Usage: kanban template save <name> "<title>" [--description=...] [--tags=...] [--every=weekly]');
+        process.exit(1);
+      }
+      if (options.every && !RECURRENCES.includes(options.every)) {
+        console.error(`Invalid --every: ${options.every} (expected ${RECURRENCES.join("|")})`);
+        process.exit(1);
+      }
+
+      const template = { title };
+      if (options.description !== undefined) template.description = options.description;
+      if (options.priority !== undefined) template.priority = options.priority;
+      if (options.tags !== undefined) template.tags = options.tags;
+      if (options.dueDate) template.dueDate = options.dueDate;
+      if (options.estimate) template.estimate = parseEstimate(options.estimate);
+      if (options.every) template.every = options.every;
+      if (Object.keys(options.vars).length > 0) template.vars = options.vars;
+
+      // 提前校验日期和 (周期任务的) 变量
+      renderTemplate(template, template.every ? {} : Object.fromEntries(templateVars(template).map((v) => [v, ""])));
+
+      await saveConfig(root, { ...config, templates: { ...templates, [name]: template } });
+      console.log(`Saved template ${name}${template.every ? ` (${template.every})` : ""}`);
+      break;
+    }
+
+    case "apply": {
+      const project = await detectProject();
+      if (!project) {
+        console.error("No project found for current directory");
+        process.exit(1);
+      }
+      const task = renderTemplate(requireTemplate(), options.vars);
+      if (options.priority !== undefined) task.priority = options.priority;
+
+      const result = await createTask(project.id, task.title, task);
+      console.log(`Created: ${result.item?.id || result.id}  ${task.title}`);
+      break;
+    }
+
+    case "rm":
+    case "delete":
+      requireTemplate();
+      delete templates[name];
+      await saveConfig(root, { ...config, templates });
+      console.log(`Deleted template ${name}`);
+      break;
+
+    case undefined:
+    case "list":
+    case "ls": {
+      if (options.json) {
+        console.log(JSON.stringify(templates, null, 2));
+        break;
+      }
+      const names = Object.keys(templates);
+      if (names.length === 0) {
+        console.log('No templates. Save one with: kanban template save <name> "<title>"');
+        break;
+      }
+      const state = await loadRecurringState(root);
+      for (const n of names) {
+        const t = templates[n];
+        const vars = templateVars(t);
+        const extra = [
+          t.every ? `every ${t.every}${state[n] ? `, last ${state[n].period}` : ""}` : null,
+          vars.length > 0 ? `vars: ${vars.join(", ")}` : null,
+        ].filter(Boolean);
+        console.log(`  ${n}  "${t.title}"${extra.length > 0 ? `  (${extra.join("; ")})` : ""}`);
+      }
+      break;
+    }
+
+    default:
+      console.error("Usage: kanban template save|list|apply|rm <name>");
+      process.exit(1);
+  }
+}
+
+async function applyEscalations(tasks, rule, dryRun = false) {
+  const changes = planEscalations(tasks, rule);
+  if (dryRun) return changes;
+
+  for (const { task, from, to } of changes) {
+    await updateTask(task.id, { priority: to });
+    await updateTaskMeta(task.id, (fields) => ({
+      ...fields,
+      escalation: { from, at: new Date().toISOString(), due: task.dueDate ?? null },
+    }));
+    task.priority = to;
+  }
+  return changes;
+}
+
+async function cmdDue(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+
+  const config = dueConfig(await loadConfig(await getStoreRoot()));
+  const tasks = await fetchAllTasks(project.id);
+  // 默认只列出；--apply 才修改优先级
+  const apply = options.escalate && !options.dryRun;
+  const escalations = await applyEscalations(tasks, config.escalate, !apply);
+  const { overdue, soon } = classifyDue(tasks, { soonDays: options.days ?? config.soonDays });
+
+  if (options.json) {
+    const brief = (t) => ({ id: t.id, title: t.title, status: t.status, priority: t.priority, dueDate: t.dueDate, dueIn: t.dueIn });
+    const changes = escalations.map(({ task, previous, to }) => ({ id: task.id, from: previous, to }));
+    console.log(JSON.stringify({
+      overdue: overdue.map(brief),
+      soon: soon.map(brief),
+      escalated: apply ? changes : [],
+      wouldEscalate: apply ? [] : changes,
+    }, null, 2));
+    return;
+  }
+
+  const print = (t) => console.log(`  ${formatTask(t)}  due ${t.dueDate.split("T")[0]} (${formatDueIn(t.dueIn)})`);
+
+  if (overdue.length === 0 && soon.length === 0) {
+    console.log("Nothing overdue or due soon");
+  }
+  if (overdue.length > 0) {
+    console.log(`\n⚠ Overdue (${overdue.length}):`);
+    overdue.forEach(print);
+  }
+  if (soon.length > 0) {
+    console.log(`\n⏰ Due within ${options.days ?? config.soonDays} days (${soon.length}):`);
+    soon.forEach(print);
+  }
+  if (escalations.length > 0) {
+    console.log(`\n${apply ? "Escalated" : "Would escalate"}:`);
+    for (const { task, previous, to, overdueDays } of escalations) {
+      console.log(`  ${task.title} (${task.id.slice(0, 8)}): P${previous} → P${to}, ${overdueDays}d overdue`);
+    }
+    if (!apply && !options.dryRun) console.log("\nRun `kanban due --apply` to raise their priority.");
+  }
+}
+
+async function cmdTick(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+
+  const root = await getStoreRoot();
+  const templates = (await loadConfig(root)).templates || {};
+  const state = await loadRecurringState(root);
+  const openTitles = new Set(
+    (await fetchAllTasks(project.id)).filter((t) => t.status !== "done").map((t) => titleKey(t.title))
+  );
+
+  let created = 0;
+  for (const [name, template] of Object.entries(templates)) {
+    if (!template.every) continue;
+
+    const period = periodKey(template.every);
+    if (state[name]?.period === period) continue;
+
+    let task;
+    try {
+      task = renderTemplate(template);
+    } catch (err) {
+      console.error(`⚠ ${name}: ${err.message}`);
+      continue;
+    }
+
+    if (options.dryRun) {
+      const note = openTitles.has(titleKey(task.title)) ? " already open" : "";
+      console.log(`  ${note ? "=" : "+"} ${name} (${period}): "${task.title}"${note}`);
+      continue;
+    }
+
+    // 别处已经创建过同名的未完成任务 (如共享 config 的其他成员执行了 tick)
+    let taskId = null;
+    if (openTitles.has(titleKey(task.title))) {
+      console.log(`  = ${name} (${period}): "${task.title}" already open`);
+    } else {
+      const result = await createTask(project.id, task.title, task);
+      taskId = result.item?.id || result.id;
+      openTitles.add(titleKey(task.title));
+      created++;
+      console.log(`  + ${name} (${period}): ${taskId}  ${task.title}`);
+    }
+
+    // 每个模板处理完就落盘，中途失败重跑也不会重复创建
+    state[name] = { period, taskId, at: new Date().toISOString() };
+    await saveRecurringState(root, state);
+  }
+
+  // 逾期升级会改优先级，只在配置了 onTick 或显式 --escalate 时执行
+  const rule = dueConfig(await loadConfig(root)).escalate;
+  let escalated = [];
+  if (rule.onTick || options.escalate) {
+    escalated = await applyEscalations(await fetchAllTasks(project.id), rule, options.dryRun);
+    for (const { task, previous, to } of escalated) {
+      console.log(`  ↑ ${task.title} (${task.id.slice(0, 8)}): P${previous} → P${to} (overdue)`);
+    }
+  }
+
+  if (!options.dryRun) console.log(`Tick: ${created} task(s) created, ${escalated.length} escalated`);
+}
+
+async function cmdLink(shortId, options, unlink = false) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+
+  const verb = unlink ? "unlink" : "link";
+  if (!options.blocks && !options.blockedBy) {
+    console.error(`Usage: kanban ${verb} <id> --blocks=<id> or --blocked-by=<id>`);
+    process.exit(1);
+  }
+
+  const taskId = await resolveTaskId(shortId, project.id);
+
+  // [blocker, blocked]: blocker 完成前 blocked 不能开始
+  const edges = [];
+  for (const id of options.blocks || []) edges.push([taskId, await resolveTaskId(id, project.id)]);
+  for (const id of options.blockedBy || []) edges.push([await resolveTaskId(id, project.id), taskId]);
+
+  let tasks = await fetchAllTasks(project.id);
+  const byId = () => new Map(tasks.map((t) => [t.id, t]));
+  const label = (id) => {
+    const t = byId().get(id);
+    return t ? `${t.title} (${id.slice(0, 8)})` : id;
+  };
+
+  // 先在内存中校验全部边，避免写入一半后才发现环
+  const changes = new Map();
+  for (const [blocker, blocked] of edges) {
+    if (blocker === blocked) {
+      console.error(`A task cannot block itself: ${label(blocker)}`);
+      process.exit(1);
+    }
+
+    if (!unlink) {
+      const cycle = findCycle(tasks, blocker, blocked);
+      if (cycle) {
+        console.error(`Refusing to link: would create a dependency cycle (→ = waits for)`);
+        console.error(`  ${cycle.map(label).join("\n  → ")}`);
+        process.exit(1);
+      }
+    }
+
+    const target = byId().get(blocked);
+    const known = new Set(tasks.map((t) => t.id));
+    // 旧任务首次写入结构化依赖时，沿用从描述中解析出的依赖
+    const current = target ? getBlockerIds(target).filter((id) => known.has(id)) : [];
+    const next = unlink ? current.filter((id) => id !== blocker) : [...new Set([...current, blocker])];
+
+    if (target && !hasStructuredDeps(target) && current.length > 0) {
+      console.log(`  Migrated ${current.length} dependency(ies) from description of ${label(blocked)}`);
+    }
+
+    changes.set(blocked, next);
+    tasks = tasks.map((t) => (t.id === blocked ? { ...t, blockedBy: next } : t));
+  }
+
+  for (const [blocked, next] of changes) {
+    await updateTaskMeta(blocked, (fields) => ({ ...fields, blockedBy: next }));
+  }
+
+  for (const [blocker, blocked] of edges) {
+    console.log(`${unlink ? "Unlinked" : "Linked"}: ${label(blocker)} blocks ${label(blocked)}`);
+  }
+}
+
+async function cmdTui() {
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    console.error("kanban tui requires an interactive terminal");
+    process.exit(1);
+  }
+
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+
+  // 首次加载放在进入全屏之前，离线提示等输出不会破坏画面
+  const tasks = await fetchAllTasks(project.id);
+
+  await runBoard({
+    project,
+    tasks,
+    loadTasks: () => fetchAllTasks(project.id),
+    moveTask,
+    updateTask,
+  });
+}
+
+async function cmdProjects(options) {
+  const projects = await listProjects();
+
+  if (options.json) {
+    console.log(JSON.stringify(projects, null, 2));
+  } else {
+    console.log("\nProjects:\n");
+    for (const p of projects) {
+      console.log(`  ${p.id}: ${p.name}`);
+      console.log(`     ${p.path}\n`);
+    }
+  }
+}
+
+const OVERVIEW_STATUSES = ["todo", "in_progress", "blocked", "done"];
+const STALE_DAYS = 3;
+
+async function cmdOverview(options) {
+  const projects = await listProjects();
+  const staleDays = options.days ?? STALE_DAYS;
+  const now = Date.now();
+
+  const rows = [];
+  const p0 = [];
+  const stale = [];
+
+  for (const project of projects) {
+    let tasks;
+    try {
+      tasks = await fetchProjectTasks(project);
+    } catch (err) {
+      rows.push({ project, error: err.message });
+      continue;
+    }
+
+    const open = tasks.filter((t) => t.status !== "done");
+    const status = Object.fromEntries(OVERVIEW_STATUSES.map((s) => [s, tasks.filter((t) => t.status === s).length]));
+    const priority = Object.fromEntries([0, 1, 2, 3].map((n) => [`P${n}`, open.filter((t) => t.priority === n).length]));
+    rows.push({ project, total: tasks.length, status, priority });
+
+    for (const t of open.filter((t) => t.priority === 0)) {
+      p0.push({ project, task: t });
+    }
+    for (const t of tasks.filter((t) => t.status === "in_progress")) {
+      const days = t.updatedAt ? Math.floor((now - Date.parse(t.updatedAt)) / 86400000) : null;
+      if (days !== null && days >= staleDays) stale.push({ project, task: t, days });
+    }
+  }
+  stale.sort((a, b) => b.days - a.days);
+
+  if (options.json) {
+    const ref = ({ project, task, days }) => ({
+      projectId: project.id,
+      projectName: project.name,
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      ...(days !== undefined ? { days } : {}),
+    });
+    console.log(JSON.stringify({
+      generatedAt: new Date(now).toISOString(),
+      projects: rows.map(({ project, ...rest }) => ({ id: project.id, name: project.name, path: project.path, ...rest })),
+      p0: p0.map(ref),
+      stale: stale.map(ref),
+    }, null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log("No projects found");
+    return;
+  }
+
+  const nameWidth = Math.min(30, Math.max(8, ...rows.map((r) => r.project.name.length)));
+  const num = (n) => String(n).padStart(6);
+  console.log(`\n📊 Overview (${rows.length} projects)\n`);
+  console.log(`  ${fit("Project", nameWidth)}  ${["Todo", "Doing", "Block", "Done", "P0", "P1", "P2", "P3"].map((h) => h.padStart(6)).join("")}`);
+  for (const r of rows) {
+    if (r.error) {
+      console.log(`  ${fit(r.project.name, nameWidth)}  ⚠ ${r.error}`);
+      continue;
+    }
+    const counts = [...OVERVIEW_STATUSES.map((s) => r.status[s]), ...Object.values(r.priority)];
+    console.log(`  ${fit(r.project.name, nameWidth)}  ${counts.map(num).join("")}`);
+  }
+  console.log(`\n  (P0-P3: unfinished tasks)`);
+
+  if (p0.length > 0) {
+    console.log(`\n🔴 P0 across projects:`);
+    p0.forEach(({ project, task }) => console.log(`   ${formatTask(task)}  — ${project.name}`));
+  }
+  if (stale.length > 0) {
+    console.log(`\n🐢 In progress, no update for ${staleDays}+ days:`);
+    stale.forEach(({ project, task, days }) => console.log(`   ${formatTask(task)}  — ${project.name}, ${days}d`));
+  }
+}
+
+async function cmdWorktree(taskId) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found");
+    process.exit(1);
+  }
+
+  const task = await getTask(taskId);
+  const branchName = `task/${taskId.slice(0, 8)}`;
+
+  console.log(`Creating worktree: ${branchName}`);
+  const worktree = await createWorktree(project.id, branchName);
+  const worktreeId = worktree.item?.id || worktree.id;
+
+  console.log(`Binding to task: ${task.title}`);
+  await bindWorktree(taskId, worktreeId, branchName);
+
+  console.log(`Marking as in_progress`);
+  await updateTask(taskId, { status: "in_progress" });
+
+  console.log(`\nWorktree created and bound!`);
+  console.log(`Branch: ${branchName}`);
+}
+
+function describeWorktreeTask(wt) {
+  if (wt.task) return formatTask(wt.task);
+  if (wt.deleted) return `(task ${wt.taskId.slice(0, 8)} deleted)`;
+  return "(no task)";
+}
+
+async function cmdWorktreeStatus(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found");
+    process.exit(1);
+  }
+
+  const base = project.defaultBranch || "main";
+  const rows = (await loadTaskWorktrees(project)).map((wt) => ({ ...wt, ...worktreeState(project.path, wt, base) }));
+
+  if (options.json) {
+    console.log(JSON.stringify(rows.map(({ task, ...wt }) => ({
+      ...wt,
+      task: task ? { id: task.id, title: task.title, status: task.status } : null,
+    })), null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log("No worktrees besides the main one");
+    return;
+  }
+
+  console.log(`\nWorktrees (vs ${base}):\n`);
+  for (const wt of rows) {
+    const sync = wt.ahead === null ? "?" : `↑${wt.ahead} ↓${wt.behind}`;
+    const dirty = wt.prunable ? "missing" : wt.dirty ? "dirty" : "clean";
+    console.log(`  ${wt.branch || wt.head.slice(0, 8)}  ${sync}  ${dirty}  ${describeWorktreeTask(wt)}`);
+    console.log(`     ${wt.path}`);
+  }
+}
+
+async function cmdWorktreeFinish(shortId, options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found");
+    process.exit(1);
   }
+  const taskId = await resolveTaskId(shortId, project.id);
+  const repo = project.path;
+  const base = project.defaultBranch || "main";
 
-  // AI-friendly context format
-  const lines = [];
-  lines.push(`# ${project.name} - 任务上下文`);
-  lines.push(`\n> 路径: ${project.path}`);
-  lines.push(`> 分支: ${project.defaultBranch}`);
-  lines.push(`> 生成时间: ${new Date().toISOString()}`);
-
-  // Summary
-  const todo = tasks.filter(t => t.status === "todo");
-  const inProgress = tasks.filter(t => t.status === "in_progress");
-  const done = tasks.filter(t => t.status === "done");
-
-  lines.push(`\n## 概览`);
-  lines.push(`- 待办: ${todo.length}`);
-  lines.push(`- 进行中: ${inProgress.length}`);
-  lines.push(`- 已完成: ${done.length}`);
-
-  // In Progress (highest priority for AI)
-  if (inProgress.length > 0) {
-    lines.push(`\n## 🔄 进行中 (优先处理)`);
-    for (const t of inProgress) {
-      lines.push(`\n### ${t.title}`);
-      lines.push(`- ID: \`${t.id}\``);
-      lines.push(`- 优先级: P${t.priority}`);
-      if (t.dueDate) lines.push(`- 截止: ${t.dueDate.split("T")[0]}`);
-      if (t.description) {
-        lines.push(`\n${t.description}`);
-      }
+  const wt = (await loadTaskWorktrees(project)).find((w) => w.taskId === taskId);
+  if (!wt || !wt.branch) {
+    console.error(`No worktree branch found for task ${taskId}`);
+    process.exit(1);
+  }
+
+  const state = worktreeState(repo, wt, base);
+  if (state.dirty) {
+    console.error(`Worktree ${wt.path} has uncommitted changes. Commit or stash them first.`);
+    process.exit(1);
+  }
+  const current = git(repo, ["rev-parse", "--abbrev-ref", "HEAD"]);
+  if (current !== base) {
+    console.error(`Main worktree ${repo} is on ${current}, expected ${base}`);
+    process.exit(1);
+  }
+  if (git(repo, ["status", "--porcelain", "--untracked-files=no"]) !== "") {
+    console.error(`Main worktree ${repo} has uncommitted changes`);
+    process.exit(1);
+  }
+
+  if (state.ahead === 0) {
+    console.log(`${wt.branch} has no commits beyond ${base}, nothing to merge`);
+  } else {
+    try {
+      integrateBranch(repo, wt, base, { rebase: options.rebase });
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
     }
+    console.log(`${options.rebase ? "Rebased and fast-forwarded" : "Merged"} ${wt.branch} into ${base} (${state.ahead} commit(s))`);
   }
 
-  // P0 Todo
-  const p0 = todo.filter(t => t.priority === 0);
-  if (p0.length > 0) {
-    lines.push(`\n## 🔴 P0 待办 (紧急)`);
-    for (const t of p0) {
-      lines.push(`\n### ${t.title}`);
-      lines.push(`- ID: \`${t.id}\``);
-      if (t.dueDate) lines.push(`- 截止: ${t.dueDate.split("T")[0]}`);
-      if (t.description) {
-        lines.push(`\n${t.description}`);
+  const task = wt.task;
+  await moveTask(taskId, { status: "done", ...(task?.worktreeId ? { worktreeId: "" } : {}) });
+  console.log(`Marked as done${task?.worktreeId ? " and unbound" : ""}: ${taskId}`);
+  console.log(`\nRemove the worktree with: kanban worktree prune`);
+}
+
+async function cmdWorktreePrune(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found");
+    process.exit(1);
+  }
+  const repo = project.path;
+  const base = project.defaultBranch || "main";
+
+  const candidates = (await loadTaskWorktrees(project)).filter((wt) => wt.task?.status === "done" || wt.deleted);
+  if (candidates.length === 0) {
+    console.log("Nothing to prune");
+    return;
+  }
+
+  let removed = 0;
+  for (const wt of candidates) {
+    const label = `${wt.branch || wt.path}  ${describeWorktreeTask(wt)}`;
+    const { dirty } = worktreeState(repo, wt, base);
+
+    if (dirty && !options.force) {
+      console.log(`  ! ${label}: uncommitted changes, skipped (--force to remove)`);
+      continue;
+    }
+    if (options.dryRun) {
+      console.log(`  - ${label}${dirty ? " (uncommitted changes will be lost)" : ""}`);
+      continue;
+    }
+
+    try {
+      if (!wt.prunable) git(repo, ["worktree", "remove", ...(options.force ? ["--force"] : []), wt.path]);
+    } catch (err) {
+      console.error(`  ! ${label}: ${gitError(err)}`);
+      continue;
+    }
+    removed++;
+
+    // 只删除已合并的分支，未合并的保留以免丢失提交
+    let branchNote = "";
+    if (wt.branch) {
+      try {
+        git(repo, ["branch", "-d", wt.branch]);
+      } catch {
+        branchNote = ` (branch ${wt.branch} kept: not merged into ${base}, delete with git branch -D)`;
       }
     }
+    if (wt.task?.worktreeId) await moveTask(wt.task.id, { worktreeId: "" });
+    console.log(`  - ${label}${branchNote}`);
   }
 
-  // P1 Todo
-  const p1 = todo.filter(t => t.priority === 1);
-  if (p1.length > 0) {
-    lines.push(`\n## 🟠 P1 待办 (高优先级)`);
-    for (const t of p1) {
-      lines.push(`\n### ${t.title}`);
-      lines.push(`- ID: \`${t.id}\``);
-      if (t.dueDate) lines.push(`- 截止: ${t.dueDate.split("T")[0]}`);
-      if (t.description) {
-        // Truncate long descriptions for context
-        const desc = t.description.length > 500
-          ? t.description.slice(0, 500) + "\n...(truncated)"
-          : t.description;
-        lines.push(`\n${desc}`);
-      }
+  if (removed > 0) {
+    git(repo, ["worktree", "prune"]);
+    await syncServerWorktrees(project.id);
+  }
+  if (!options.dryRun) console.log(`Pruned ${removed} worktree(s)`);
+}
+
+// ============================================================
+// 提交关联
+// ============================================================
+
+const COMMIT_HOOK_MARKER = "Installed by `kanban install-hook`";
+
+async function cmdCommits(shortId, options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found");
+    process.exit(1);
+  }
+  const task = await getTask(await resolveTaskId(shortId, project.id));
+  const commits = findTaskCommits(project.path, task, project.defaultBranch || "main");
+
+  if (options.json) {
+    console.log(JSON.stringify(commits, null, 2));
+    return;
+  }
+  if (commits.length === 0) {
+    console.log(`No commits for ${task.title} (${shortTaskId(task)})`);
+    console.log(`Mention #${shortTaskId(task)} in commit messages, or run \`kanban install-hook\` to add it automatically.`);
+    return;
+  }
+
+  console.log(`\n${task.title} (${shortTaskId(task)}): ${commits.length} commit(s)\n`);
+  for (const c of commits) {
+    console.log(`  ${c.short}  ${c.date.slice(0, 10)}  ${fit(c.author, 12)}  ${c.subject}${c.via === "message" ? "" : `  (${c.via})`}`);
+  }
+}
+
+// 当前提交对应的任务: task/<id> 分支，否则唯一的进行中任务
+async function currentCommitTask(project) {
+  const tasks = await fetchAllTasks(project.id);
+  const prefix = taskIdFromBranch(git(process.cwd(), ["rev-parse", "--abbrev-ref", "HEAD"]));
+  if (prefix) {
+    const matches = tasks.filter((t) => t.id.startsWith(prefix));
+    if (matches.length === 1) return matches[0];
+  }
+  const active = tasks.filter((t) => t.status === "in_progress");
+  return active.length === 1 ? active[0] : null;
+}
+
+// prepare-commit-msg 钩子调用: 给提交信息加上 "Task: #<短 ID>" trailer
+async function cmdPrepareCommitMsg(options) {
+  const [file, source] = options.args;
+  // merge / squash / --amend 保留原信息
+  if (!file || ["merge", "squash", "commit"].includes(source)) return;
+
+  const project = await detectProject();
+  const task = project && (await currentCommitTask(project));
+  if (!task) return;
+
+  const fs = await import("fs");
+  const short = shortTaskId(task);
+  if (fs.readFileSync(file, "utf-8").includes(short)) return;
+  git(process.cwd(), ["interpret-trailers", "--in-place", "--if-exists", "doNothing", "--trailer", `${TASK_TRAILER}: #${short}`, file]);
+}
+
+async function cmdInstallHook(options, uninstall = false) {
+  const fs = await import("fs");
+  // --git-path 会考虑 core.hooksPath 和 worktree
+  const hookPath = path.resolve(process.cwd(), git(process.cwd(), ["rev-parse", "--git-path", "hooks/prepare-commit-msg"]));
+  const hooksDir = path.dirname(hookPath);
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    console.error(`Git hooks directory ${hooksDir} is not a directory (check \`git config core.hooksPath\`)`);
+    process.exit(1);
+  }
+  const backupPath = `${hookPath}.kanban-backup`;
+  const existing = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, "utf-8") : null;
+  const ours = existing?.includes(COMMIT_HOOK_MARKER);
+
+  if (uninstall) {
+    if (!ours) {
+      console.log(existing ? `${hookPath} was not installed by kanban, left as is` : "No prepare-commit-msg hook installed");
+      return;
     }
+    fs.unlinkSync(hookPath);
+    if (fs.existsSync(backupPath)) {
+      fs.renameSync(backupPath, hookPath);
+      console.log(`Removed kanban hook, restored the previous ${hookPath}`);
+    } else {
+      console.log(`Removed ${hookPath}`);
+    }
+    return;
   }
 
-  // P2+ Todo (brief)
-  const pLow = todo.filter(t => t.priority >= 2);
-  if (pLow.length > 0) {
-    lines.push(`\n## 🟡 P2+ 待办 (可延后)`);
-    for (const t of pLow) {
-      lines.push(`- [P${t.priority}] ${t.title} (\`${t.id.slice(0,8)}\`)`);
+  if (existing && !ours) {
+    if (!options.force) {
+      console.error(`${hookPath} already exists. Use --force to replace it (the old hook is kept as ${path.basename(backupPath)}).`);
+      process.exit(1);
     }
+    fs.renameSync(hookPath, backupPath);
   }
 
-  // Recent Done (for context)
-  if (done.length > 0) {
-    lines.push(`\n## ✅ 最近完成 (参考)`);
-    const recentDone = done.slice(0, 3);
-    for (const t of recentDone) {
-      lines.push(`\n### ${t.title}`);
-      if (t.description) {
-        // Only show summary for done tasks
-        const summary = t.description.split("\n").slice(0, 10).join("\n");
-        lines.push(`\n${summary}`);
-        if (t.description.split("\n").length > 10) {
-          lines.push("...(truncated)");
-        }
+  const cli = fileURLToPath(import.meta.url);
+  // 钩子不能拖慢或阻止提交: 短超时、不重试、任何失败都忽略
+  const script = [
+    "#!/bin/sh",
+    `# ${COMMIT_HOOK_MARKER}: adds "${TASK_TRAILER}: #<task id>" for the current task`,
+    `KANBAN_RETRIES=0 "${process.execPath}" "${cli}" prepare-commit-msg "$1" "$2" --timeout=2 --no-hooks >/dev/null 2>&1 || true`,
+    "",
+  ].join("\n");
+
+  fs.mkdirSync(hooksDir, { recursive: true });
+  fs.writeFileSync(hookPath, script, { mode: 0o755 });
+  fs.chmodSync(hookPath, 0o755);
+  console.log(`Installed ${hookPath}`);
+  console.log(`Commits on task/<id> branches, or while exactly one task is in progress, get "${TASK_TRAILER}: #<id>".`);
+}
+
+// 默认分支上 "fixes #<短 ID>" 的提交把任务标记为完成
+async function cmdScanCommits(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found");
+    process.exit(1);
+  }
+
+  const root = await getStoreRoot();
+  const base = project.defaultBranch || "main";
+  const head = git(project.path, ["rev-parse", base]);
+  const state = await loadCommitScan(root);
+
+  // 增量扫描: 上次扫描到的提交仍在分支上时只看新提交 (--since 时全部重扫)
+  const args = ["--reverse", "--extended-regexp", "--regexp-ignore-case", `--grep=${FIXES_GREP}`];
+  let range = base;
+  if (options.since) {
+    args.push(`--since=${resolveDate(options.since)}`);
+  } else if (state[base]) {
+    try {
+      git(project.path, ["merge-base", "--is-ancestor", state[base], head]);
+      range = `${state[base]}..${head}`;
+    } catch {
+      // 分支被改写，重新扫描全部提交
+    }
+  }
+  const commits = gitLog(project.path, [...args, range]);
+
+  const tasks = await fetchAllTasks(project.id);
+  const closed = [];
+  for (const commit of commits) {
+    for (const ref of parseFixes(`${commit.subject}\n${commit.body}`)) {
+      const matches = tasks.filter((t) => t.id.startsWith(ref.slice(0, SHORT_ID_LENGTH)));
+      if (matches.length !== 1) {
+        console.error(`⚠ ${commit.short}: #${ref} ${matches.length === 0 ? "matches no task" : "is ambiguous"}, skipped`);
+        continue;
       }
+      const task = matches[0];
+      if (task.status === "done" || closed.some((c) => c.task.id === task.id)) continue;
+      closed.push({ task, commit });
+    }
+  }
+
+  if (closed.length === 0) {
+    console.log(`No new "fixes #<id>" commits on ${base} (${commits.length} scanned)`);
+  }
+  for (const { task, commit } of closed) {
+    const line = `${task.title} (${shortTaskId(task)}) ← ${commit.short} ${commit.subject}`;
+    if (options.dryRun) {
+      console.log(`  would close: ${line}`);
+      continue;
+    }
+    await moveTask(task.id, { status: "done" });
+    await commentOnTask(task.id, `Closed by ${commit.short} on ${base}: ${commit.subject}`);
+    console.log(`  ✓ ${line}`);
+  }
+
+  if (!options.dryRun) {
+    await saveCommitScan(root, { ...state, [base]: head });
+  }
+}
+
+async function cmdImport(filePath, options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found");
+    process.exit(1);
+  }
+
+  const fs = await import("fs");
+  const content = fs.readFileSync(filePath, "utf-8");
+  const format = options.format || detectFormat(filePath, content);
+  const tasks = parseImport(content, format).filter((t) => t.title);
+
+  // 按标题去重 (已有任务 + 文件内重复)，重复导入同一文件是幂等的
+  const seen = new Set((await fetchAllTasks(project.id)).map((t) => titleKey(t.title)));
+  const fresh = [];
+  const duplicates = [];
+  for (const task of tasks) {
+    const key = titleKey(task.title);
+    if (seen.has(key)) {
+      duplicates.push(task);
+    } else {
+      seen.add(key);
+      fresh.push(task);
+    }
+  }
+
+  if (options.dryRun) {
+    console.log(`Preview (${format}): ${fresh.length} new, ${duplicates.length} duplicate(s)\n`);
+    for (const task of fresh) {
+      const extra = [task.tags.length > 0 ? `tags: ${task.tags.join(", ")}` : "", task.dueDate ? `due: ${task.dueDate}` : "", task.status !== "todo" ? task.status : ""]
+        .filter(Boolean)
+        .join(" | ");
+      console.log(`  + [P${task.priority}] ${task.title}${extra ? `  (${extra})` : ""}`);
+    }
+    for (const task of duplicates) {
+      console.log(`  = ${task.title} (exists, skipped)`);
+    }
+    return;
+  }
+
+  console.log(`Importing ${fresh.length} tasks (${format})...`);
+
+  for (const task of fresh) {
+    const result = await createTask(project.id, task.title, task);
+    if (task.status !== "todo") {
+      await moveTask(result.item?.id || result.id, { status: task.status });
     }
+    console.log(`  Created: ${task.title}`);
+  }
+  for (const task of duplicates) {
+    console.log(`  Skipped (exists): ${task.title}`);
+  }
+
+  console.log(`\nDone! Imported ${fresh.length} tasks, skipped ${duplicates.length} duplicate(s).`);
+}
+
+async function cmdExport(options) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found");
+    process.exit(1);
   }
 
-  // Instructions for AI
-  lines.push(`\n---`);
-  lines.push(`\n## AI 工作指南`);
-  lines.push(`1. 优先处理"进行中"任务`);
-  lines.push(`2. P0 任务必须尽快完成`);
-  lines.push(`3. 每个任务包含验收标准，完成后逐项确认`);
-  lines.push(`4. 完成任务后执行: \`/kanban done <task-id>\``);
-  lines.push(`5. 开始新任务前执行: \`/kanban start <task-id>\``);
+  const root = await getStoreRoot();
+  const config = await loadConfig(root);
+  const spec = exportOptions(config, {
+    format: options.format,
+    template: options.template,
+    lang: options.lang,
+    sections: options.sections,
+    maxTokens: options.maxTokens,
+  });
+  const tasks = await listTasks(project.id);
+
+  if (spec.format === "json") {
+    console.log(JSON.stringify({ project, tasks }, null, 2));
+    return;
+  }
+  if (spec.format === "ical") {
+    process.stdout.write(formatExportIcal(project, tasks));
+    return;
+  }
 
-  console.log(lines.join("\n"));
+  // Deadlines first so agents see them before anything else
+  const due = classifyDue(tasks, dueConfig(config));
+  let model = buildExport(project, tasks, due, spec);
+  if (spec.maxTokens > 0) model = fitTokenBudget(model, spec.maxTokens);
+
+  let output;
+  if (spec.file) {
+    const fs = await import("fs");
+    output = renderExportTemplate(fs.readFileSync(path.resolve(root, spec.file), "utf-8"), model);
+  } else if (spec.format === "html") {
+    output = formatExportHtml(model);
+  } else {
+    output = formatExportMarkdown(model);
+  }
+  console.log(output);
+
+  // 裁剪报告写到 stderr，不混入导出内容
+  if (model.budget) {
+    console.error(`\nToken budget: ~${estimateTokens(output)}/${spec.maxTokens}`);
+    for (const r of model.budget.sections) {
+      const parts = [`${r.full} full`, r.summarized ? `${r.summarized} title only` : "", r.dropped ? `${r.dropped} dropped` : ""];
+      console.error(`  ${r.name.padEnd(12)} ${parts.filter(Boolean).join(", ")}`);
+    }
+  }
 }
 
 async function cmdBatchUpdate(filePath) {
@@ -671,6 +2666,161 @@ async function cmdBatchUpdate(filePath) {
   console.log(`\nDone! Updated: ${updated}, Skipped: ${skipped}`);
 }
 
+function describeChange(entry) {
+  if (entry.op === "create") return entry.data.title;
+  return Object.entries(entry.data || {})
+    .map(([k, v]) => `${k}=${typeof v === "string" ? v.split("\n")[0].slice(0, 40) : JSON.stringify(v)}`)
+    .join(" ");
+}
+
+async function cmdSync(options) {
+  const root = await getStoreRoot();
+  if (options.drop) return dropQueuedTask(root, options.drop);
+  const queue = await loadQueue(root);
+
+  if (queue.length === 0) {
+    console.log("Nothing to sync");
+    return;
+  }
+
+  if (options.dryRun) {
+    console.log(`${queue.length} pending change(s):`);
+    for (const entry of queue) {
+      const note = entry.unconfirmed ? `  (unconfirmed since ${entry.unconfirmed})` : "";
+      console.log(`  ${entry.queuedAt}  ${entry.op.padEnd(6)} ${entry.taskId}  ${describeChange(entry)}${note}`);
+    }
+    return;
+  }
+
+  const project = await detectProject();
+  if (!project || project.offline) {
+    console.error(offline ? `Kanban server unreachable (${BASE_URL}), cannot sync` : "No project found for current directory");
+    process.exit(1);
+  }
+
+  console.log(`Syncing ${queue.length} change(s) to ${project.name}...`);
+
+  const idMap = new Map();
+  const touched = new Set();
+  const pending = [];
+  let applied = 0;
+  let conflicts = 0;
+  let unconfirmed = 0;
+
+  for (let i = 0; i < queue.length; i++) {
+    const entry = queue[i];
+    const taskId = idMap.get(entry.taskId) || entry.taskId;
+
+    try {
+      if (entry.op === "create") {
+        const { projectId, ...body } = entry.data;
+        // 上次发出后超时: 服务端可能已经创建，确认前不再重发
+        if (entry.unconfirmed && !options.force) {
+          console.log(`  Unconfirmed: ${body.title} (${entry.taskId}) not resent; ${unconfirmedHint(entry.taskId)}`);
+          unconfirmed++;
+          pending.push(entry);
+          continue;
+        }
+        const result = await postJson(`${API}/projects/${project.id}/tasks/create`, body);
+        const newId = result.item?.id || result.id;
+        idMap.set(entry.taskId, newId);
+        touched.add(newId);
+        console.log(`  Created: ${body.title} (${entry.taskId} → ${newId})`);
+        applied++;
+        continue;
+      }
+
+      // 对应的 create 还没同步成功
+      if (isLocalId(taskId)) {
+        pending.push(entry);
+        continue;
+      }
+
+      // 以 updatedAt 判定冲突: 服务端在离线变更之后又被修改过，则服务端优先
+      if (!touched.has(taskId)) {
+        let remote;
+        try {
+          const data = await fetchJson(`${API}/tasks/${taskId}`);
+          remote = data.item || data;
+        } catch (err) {
+          if (err.status !== 404) throw err;
+          remote = null;
+        }
+
+        if (!remote) {
+          console.log(`  Conflict: ${taskId} was deleted on server, dropped ${entry.op}`);
+          conflicts++;
+          continue;
+        }
+
+        const remoteTime = Date.parse(remote.updatedAt || "");
+        if (!options.force && remoteTime > Date.parse(entry.queuedAt)) {
+          console.log(`  Conflict: ${remote.title} changed on server at ${remote.updatedAt}, dropped ${entry.op} (${describeChange(entry)})`);
+          conflicts++;
+          continue;
+        }
+      }
+
+      await postJson(`${API}/tasks/${taskId}/${entry.op}`, entry.op === "delete" ? {} : entry.data);
+      touched.add(taskId);
+      console.log(`  ${entry.op === "delete" ? "Deleted" : "Updated"}: ${taskId} ${describeChange(entry)}`);
+      applied++;
+    } catch (err) {
+      if (isConnectionError(err)) {
+        console.error(`  Connection lost, ${queue.length - i} change(s) left in queue`);
+        pending.push(...queue.slice(i));
+        break;
+      }
+      if (entry.op === "create" && mayHaveApplied(err)) {
+        console.log(`  Unconfirmed: ${entry.data.title} (${entry.taskId}) timed out after it was sent and may exist on the server`);
+        console.log(`    Not resent; ${unconfirmedHint(entry.taskId)}`);
+        unconfirmed++;
+        pending.push({ ...entry, unconfirmed: new Date().toISOString() });
+        continue;
+      }
+      console.log(`  Failed: ${entry.op} ${taskId} - ${err.message}`);
+      pending.push(entry);
+    }
+  }
+
+  // 剩余条目中的本地 ID 换成已创建的真实 ID；同步期间其他命令新加入的变更排在后面
+  const remapEntry = (entry) => ({ ...entry, taskId: idMap.get(entry.taskId) || entry.taskId });
+  const remaining = await withStoreLock(root, async () => {
+    const added = (await loadQueue(root)).slice(queue.length);
+    const next = [...pending, ...added].map(remapEntry);
+    await saveQueue(root, next);
+    await remapMetaIds(root, idMap);
+    await remapActivityIds(root, idMap);
+    await remapJournalIds(root, idMap);
+    return next;
+  });
+  await fetchAllTasks(project.id);
+
+  console.log(`\nDone! Applied: ${applied}, Conflicts: ${conflicts}, Pending: ${remaining.length}`);
+  if (unconfirmed > 0) console.log(`${unconfirmed} create(s) need a check on the board before they are sent again`);
+}
+
+function unconfirmedHint(localId) {
+  return `check the board, then \`kanban sync --force\` to create it anyway or \`kanban sync --drop=${localId}\` if it already exists`;
+}
+
+// 丢弃一个离线任务的全部待同步变更 (如超时后其实已在服务端创建的任务)
+async function dropQueuedTask(root, taskId) {
+  const dropped = await withStoreLock(root, async () => {
+    const queue = await loadQueue(root);
+    const rest = queue.filter((entry) => entry.taskId !== taskId);
+    await saveQueue(root, rest);
+    if (isLocalId(taskId)) await updateTasks(root, (items) => items.filter((t) => t.id !== taskId));
+    return queue.length - rest.length;
+  });
+
+  if (dropped === 0) {
+    console.error(`No queued changes for ${taskId} (see \`kanban sync --dry-run\`)`);
+    process.exit(1);
+  }
+  console.log(`Dropped ${dropped} queued change(s) for ${taskId}`);
+}
+
 // ============================================================
 // Main
 // ============================================================
@@ -684,6 +2834,8 @@ function parseArgs(args) {
     description: undefined,
     tags: undefined,
     dueDate: undefined,
+    estimate: undefined,
+    touches: undefined,
     // move options
     status: undefined,
     worktreeId: undefined,
@@ -692,7 +2844,42 @@ function parseArgs(args) {
     projectId: null,
     json: false,
     verbose: false,
-    format: "context",
+    format: undefined,
+    dryRun: false,
+    force: false,
+    rebase: false,
+    // sync options
+    drop: undefined,
+    // bulk options
+    yes: false,
+    undo: false,
+    add: undefined,
+    remove: undefined,
+    // link options
+    blocks: undefined,
+    blockedBy: undefined,
+    // list options
+    where: undefined,
+    search: undefined,
+    sort: undefined,
+    save: undefined,
+    // template options
+    vars: {},
+    every: undefined,
+    // due options
+    days: undefined,
+    escalate: false,
+    // report options
+    since: undefined,
+    until: undefined,
+    // export options
+    template: undefined,
+    lang: undefined,
+    sections: undefined,
+    maxTokens: undefined,
+    noHooks: false,
+    debug: false,
+    timeout: undefined,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -709,10 +2896,47 @@ function parseArgs(args) {
       options.tags = arg.slice(7).split(",").map(t => t.trim()).filter(Boolean);
     } else if (arg.startsWith("--due=")) {
       options.dueDate = arg.slice(6);
+    } else if (arg.startsWith("--estimate=")) {
+      options.estimate = arg.slice(11);
+    } else if (arg.startsWith("--touches=")) {
+      options.touches = arg.slice(10);
     } else if (arg.startsWith("--worktree=")) {
       options.worktreeId = arg.slice(11);
     } else if (arg.startsWith("--order=")) {
       options.orderIndex = parseInt(arg.slice(8), 10);
+    } else if (arg === "--where" || arg === "--search" || arg === "--sort") {
+      options[arg.slice(2)] = args[++i];
+    } else if (arg.startsWith("--where=")) {
+      options.where = arg.slice(8);
+    } else if (arg.startsWith("--search=")) {
+      options.search = arg.slice(9);
+    } else if (arg.startsWith("--sort=")) {
+      options.sort = arg.slice(7);
+    } else if (arg.startsWith("--save=")) {
+      options.save = arg.slice(7);
+    } else if (arg.startsWith("--var=")) {
+      const [key, ...value] = arg.slice(6).split("=");
+      options.vars[key] = value.join("=");
+    } else if (arg.startsWith("--every=")) {
+      options.every = arg.slice(8);
+    } else if (arg.startsWith("--days=")) {
+      options.days = parseInt(arg.slice(7), 10);
+    } else if (arg.startsWith("--since=")) {
+      options.since = arg.slice(8);
+    } else if (arg.startsWith("--until=")) {
+      options.until = arg.slice(8);
+    } else if (arg.startsWith("--template=")) {
+      options.template = arg.slice(11);
+    } else if (arg.startsWith("--lang=")) {
+      options.lang = arg.slice(7);
+    } else if (arg.startsWith("--max-tokens=")) {
+      options.maxTokens = Number(arg.slice(13));
+    } else if (arg.startsWith("--sections=")) {
+      options.sections = arg.slice(11).split(",").map(t => t.trim()).filter(Boolean);
+    } else if (arg.startsWith("--blocks=")) {
+      options.blocks = arg.slice(9).split(",").map(t => t.trim()).filter(Boolean);
+    } else if (arg.startsWith("--blocked-by=")) {
+      options.blockedBy = arg.slice(13).split(",").map(t => t.trim()).filter(Boolean);
     } else if (arg.startsWith("--project=")) {
       options.projectId = arg.slice(10);
     } else if (arg.startsWith("--format=")) {
@@ -722,6 +2946,30 @@ function parseArgs(args) {
       options.format = "json";
     } else if (arg === "--verbose" || arg === "-v") {
       options.verbose = true;
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--force") {
+      options.force = true;
+    } else if (arg.startsWith("--drop=")) {
+      options.drop = arg.slice(7);
+    } else if (arg === "--rebase") {
+      options.rebase = true;
+    } else if (arg === "--yes" || arg === "-y") {
+      options.yes = true;
+    } else if (arg === "--debug") {
+      options.debug = true;
+    } else if (arg.startsWith("--timeout=")) {
+      options.timeout = Number(arg.slice(10)) || undefined;
+    } else if (arg === "--no-hooks") {
+      options.noHooks = true;
+    } else if (arg === "--undo") {
+      options.undo = true;
+    } else if (arg === "--apply" || arg === "--escalate") {
+      options.escalate = true;
+    } else if (arg.startsWith("--add=")) {
+      options.add = arg.slice(6).split(",").map(t => t.trim()).filter(Boolean);
+    } else if (arg.startsWith("--remove=")) {
+      options.remove = arg.slice(9).split(",").map(t => t.trim()).filter(Boolean);
     } else if (!arg.startsWith("-")) {
       if (!options.command) {
         options.command = arg;
@@ -734,8 +2982,14 @@ function parseArgs(args) {
   return options;
 }
 
+const JOURNAL_COMMAND_MAX = 120;
+
 async function main() {
   const options = parseArgs(process.argv.slice(2));
+  const command = process.argv.slice(2).join(" ");
+  beginJournal(command.length > JOURNAL_COMMAND_MAX ? `${command.slice(0, JOURNAL_COMMAND_MAX - 1)}…` : command);
+  hooksDisabled = options.noHooks || process.env.KANBAN_NO_HOOKS === "1";
+  client = createClient({ baseUrl: BASE_URL, debug: options.debug || undefined, timeout: options.timeout });
 
   try {
     switch (options.command) {
@@ -749,6 +3003,10 @@ async function main() {
         await cmdList(options);
         break;
 
+      case "views":
+        await cmdViews(options);
+        break;
+
       case "add":
       case "create":
         if (options.args.length === 0) {
@@ -772,7 +3030,7 @@ async function main() {
           console.error("Usage: kanban start <task-id>");
           process.exit(1);
         }
-        await cmdStart(options.args[0]);
+        await cmdStart(options.args[0], options);
         break;
 
       case "move":
@@ -812,21 +3070,38 @@ async function main() {
         await cmdProjects(options);
         break;
 
+      case "overview":
+      case "dashboard":
+        await cmdOverview(options);
+        break;
+
       case "worktree":
       case "wt":
         if (options.args.length === 0) {
-          console.error("Usage: kanban worktree <task-id>");
+          console.error("Usage: kanban worktree <task-id> | status | finish <task-id> | prune");
           process.exit(1);
         }
-        await cmdWorktree(options.args[0]);
+        if (options.args[0] === "status") {
+          await cmdWorktreeStatus(options);
+        } else if (options.args[0] === "prune") {
+          await cmdWorktreePrune(options);
+        } else if (options.args[0] === "finish") {
+          if (!options.args[1]) {
+            console.error("Usage: kanban worktree finish <task-id> [--rebase]");
+            process.exit(1);
+          }
+          await cmdWorktreeFinish(options.args[1], options);
+        } else {
+          await cmdWorktree(options.args[0]);
+        }
         break;
 
       case "import":
         if (options.args.length === 0) {
-          console.error("Usage: kanban import <file.json>");
+          console.error(`Usage: kanban import <file> [--format=${IMPORT_FORMATS.join("|")}] [--dry-run]`);
           process.exit(1);
         }
-        await cmdImport(options.args[0]);
+        await cmdImport(options.args[0], options);
         break;
 
       case "update":
@@ -843,13 +3118,124 @@ async function main() {
         await cmdExport(options);
         break;
 
+      case "sync":
+        await cmdSync(options);
+        break;
+
+      case "comment":
+        if (options.args.length < 2) {
+          console.error('Usage: kanban comment <task-id> "<text>"');
+          process.exit(1);
+        }
+        await cmdComment(options.args[0], options.args.slice(1).join(" ").replace(/\\n/g, "\n"));
+        break;
+
+      case "log":
+        if (options.args.length === 0) {
+          console.error("Usage: kanban log <task-id>");
+          process.exit(1);
+        }
+        await cmdLog(options.args[0], options);
+        break;
+
+      case "timer":
+        await cmdTimer(options.args[0], options);
+        break;
+
+      case "report":
+        await cmdReport(options);
+        break;
+
+      case "burndown":
+        await cmdBurndown(options);
+        break;
+
+      case "template":
+      case "tpl":
+        await cmdTemplate(options);
+        break;
+
+      case "tick":
+        await cmdTick(options);
+        break;
+
+      case "due":
+        await cmdDue(options);
+        break;
+
+      case "bulk":
+        await cmdBulk(options);
+        break;
+
+      case "undo":
+        await cmdUndo(options);
+        break;
+
+      case "history":
+        await cmdHistory(options);
+        break;
+
+      case "hooks":
+        await cmdHooks(options);
+        break;
+
+      case "commits":
+        if (options.args.length === 0) {
+          console.error("Usage: kanban commits <task-id>");
+          process.exit(1);
+        }
+        await cmdCommits(options.args[0], options);
+        break;
+
+      case "scan-commits":
+        await cmdScanCommits(options);
+        break;
+
+      case "install-hook":
+      case "uninstall-hook":
+        await cmdInstallHook(options, options.command === "uninstall-hook");
+        break;
+
+      case "prepare-commit-msg":
+        await cmdPrepareCommitMsg(options);
+        break;
+
+      case "check":
+      case "checklist":
+        if (options.args.length === 0) {
+          console.error('Usage: kanban check <task-id> [add "<item>" | toggle <n> | rm <n> | import]');
+          process.exit(1);
+        }
+        await cmdCheck(options.args[0], options);
+        break;
+
+      case "tui":
+      case "board":
+        await cmdTui();
+        break;
+
+      case "link":
+      case "unlink":
+        if (options.args.length === 0) {
+          console.error(`Usage: kanban ${options.command} <task-id> --blocks=<id> or --blocked-by=<id>`);
+          process.exit(1);
+        }
+        await cmdLink(options.args[0], options, options.command === "unlink");
+        break;
+
       default:
         console.error(`Unknown command: ${options.command}`);
-        console.error("\nCommands: list, add, done, start, delete, show, projects, worktree, import, update, export");
+        console.error("\nCommands: list, views, add, done, start, delete, show, projects, overview, worktree, import, update, export, sync, link, unlink, tui, comment, log, timer, report, burndown, template, tick, due, check, bulk, undo, history, hooks, commits, scan-commits, install-hook, uninstall-hook");
         process.exit(1);
     }
+    await flushJournal();
+    await runPendingHooks();
   } catch (err) {
+    // 出错前已完成的变更仍然可以撤销，也照常触发钩子
+    await flushJournal().catch(() => {});
+    await runPendingHooks().catch(() => {});
     console.error("Error:", err.message);
+    if (isConnectionError(err)) console.error(`\n${serverHint(BASE_URL)}`);
     process.exit(1);
   }
 }
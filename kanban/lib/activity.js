@@ -0,0 +1,158 @@
+/**
+ * Kanban 活动日志 - 每个任务的只追加历史
+ *
+ * 记录状态变更、编辑、评论、清单、Worktree 绑定等操作，保存在
+ * .kanban/activity.jsonl，每行一条: { taskId, at, author, action, ... }
+ */
+
+import { execFileSync } from 'child_process';
+import os from 'os';
+import { readStoreLines, appendStoreLine, writeStoreLines, withStoreLock } from './store.js';
+
+const ACTIVITY_FILE = 'activity.jsonl';
+
+let cachedAuthor = null;
+
+/**
+ * Who is acting: KANBAN_AUTHOR, then git user.name, then the OS user
+ * @returns {string}
+ */
+export function getAuthor() {
+  if (cachedAuthor) return cachedAuthor;
+
+  cachedAuthor = process.env.KANBAN_AUTHOR;
+  if (!cachedAuthor) {
+    try {
+      cachedAuthor = execFileSync('git', ['config', 'user.name'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch {
+      // git 不可用或未配置
+    }
+  }
+  if (!cachedAuthor) {
+    try {
+      cachedAuthor = os.userInfo().username;
+    } catch {
+      cachedAuthor = 'unknown';
+    }
+  }
+  return cachedAuthor;
+}
+
+/**
+ * Append an activity entry for a task
+ * @param {string} root - Store root
+ * @param {string} taskId
+ * @param {{action: string} & Record<string, any>} entry
+ * @returns {Promise<object>} The stored entry
+ */
+export async function appendActivity(root, taskId, entry) {
+  const record = { taskId, at: new Date().toISOString(), author: getAuthor(), ...entry };
+  await appendStoreLine(root, ACTIVITY_FILE, record);
+  return record;
+}
+
+/**
+ * Load the activity of one task (or all tasks), oldest first
+ * @param {string} root
+ * @param {string} [taskId]
+ * @returns {Promise<object[]>}
+ */
+export async function loadActivity(root, taskId) {
+  const entries = await readStoreLines(root, ACTIVITY_FILE);
+  const filtered = taskId ? entries.filter((e) => e.taskId === taskId) : entries;
+  return filtered.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+/**
+ * Rewrite task IDs after offline tasks were synced
+ * @param {string} root
+ * @param {Map<string, string>} idMap
+ * @returns {Promise<void>}
+ */
+export async function remapActivityIds(root, idMap) {
+  if (idMap.size === 0) return;
+  await withStoreLock(root, async () => {
+    const entries = await readStoreLines(root, ACTIVITY_FILE);
+    if (!entries.some((e) => idMap.has(e.taskId))) return;
+
+    await writeStoreLines(
+      root,
+      ACTIVITY_FILE,
+      entries.map((e) => ({ ...e, taskId: idMap.get(e.taskId) || e.taskId }))
+    );
+  });
+}
+
+/**
+ * Describe what changed between a task and an update
+ * @param {object|undefined} before - Task before the change
+ * @param {object} updates
+ * @returns {object[]} Activity entries (without taskId/at/author)
+ */
+export function diffActivity(before, updates) {
+  const entries = [];
+
+  if (updates.status !== undefined && updates.status !== before?.status) {
+    entries.push({ action: 'status', from: before?.status ?? null, to: updates.status });
+  }
+  if (updates.priority !== undefined && updates.priority !== before?.priority) {
+    entries.push({ action: 'priority', from: before?.priority ?? null, to: updates.priority });
+  }
+  if (updates.worktreeId !== undefined && updates.worktreeId !== before?.worktreeId) {
+    entries.push({ action: 'worktree', from: before?.worktreeId || null, to: updates.worktreeId || null });
+  }
+
+  const fields = ['title', 'description', 'tags', 'dueDate'].filter(
+    (k) => updates[k] !== undefined && JSON.stringify(updates[k]) !== JSON.stringify(before?.[k])
+  );
+  if (fields.length > 0) {
+    entries.push({ action: 'edit', fields });
+  }
+
+  return entries;
+}
+
+/**
+ * Local "YYYY-MM-DD HH:mm"
+ * @param {string} iso
+ * @returns {string}
+ */
+function formatTime(iso) {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * One-line (comments: multi-line) rendering of an entry
+ * @param {object} entry
+ * @returns {string}
+ */
+export function formatActivity(entry) {
+  const head = `${formatTime(entry.at)}  ${entry.author}`;
+
+  switch (entry.action) {
+    case 'create':
+      return `${head}  created "${entry.title}"`;
+    case 'delete':
+      return `${head}  deleted`;
+    case 'status':
+      return `${head}  status ${entry.from ?? '?'} → ${entry.to}`;
+    case 'priority':
+      return `${head}  priority P${entry.from ?? '?'} → P${entry.to}`;
+    case 'worktree':
+      return `${head}  worktree ${entry.to ? `→ ${entry.to}` : 'unbound'}${entry.branch ? ` (${entry.branch})` : ''}`;
+    case 'estimate':
+      return `${head}  estimate ${entry.from ?? '-'} → ${entry.to ?? '-'}`;
+    case 'edit':
+      return `${head}  edited ${entry.fields.join(', ')}`;
+    case 'checklist':
+      return entry.op === 'import'
+        ? `${head}  checklist imported ${entry.count} item(s)`
+        : `${head}  checklist ${entry.op} "${entry.item}"`;
+    case 'comment':
+      return `${head}  💬 ${entry.text.split('\n').join('\n' + ' '.repeat(head.length + 5))}`;
+    default:
+      return `${head}  ${entry.action}`;
+  }
+}
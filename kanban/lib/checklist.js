@@ -0,0 +1,67 @@
+/**
+ * Kanban 任务清单 - 结构化的子任务 / 验收标准
+ *
+ * 清单项保存在 meta.json 的 checklist 字段: [{ text, done }]
+ * 描述中已有的 `- [ ]` / `- [x]` 行可通过 `kanban check <id> import` 导入。
+ */
+
+const CHECKBOX_LINE = /^\s*[-*+]\s+\[([ xX])\]\s+(.+?)\s*$/;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function itemKey(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Extract checkbox lines from a Markdown description
+ * @param {string} description
+ * @returns {{text: string, done: boolean}[]}
+ */
+export function parseChecklist(description) {
+  return String(description || '')
+    .split(/\r?\n/)
+    .map((line) => line.match(CHECKBOX_LINE))
+    .filter(Boolean)
+    .map((m) => ({ text: m[2], done: m[1] !== ' ' }));
+}
+
+/**
+ * Append items whose text is not already in the checklist
+ * @param {{text: string, done: boolean}[]} checklist
+ * @param {{text: string, done: boolean}[]} items
+ * @returns {{checklist: object[], added: object[]}}
+ */
+export function mergeChecklist(checklist, items) {
+  const seen = new Set(checklist.map((i) => itemKey(i.text)));
+  const added = items.filter((i) => {
+    const key = itemKey(i.text);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { checklist: [...checklist, ...added], added };
+}
+
+/**
+ * "3/5", or "" for tasks without a checklist
+ * @param {object} task
+ * @returns {string}
+ */
+export function checklistProgress(task) {
+  const items = task.checklist || [];
+  if (items.length === 0) return '';
+  return `${items.filter((i) => i.done).length}/${items.length}`;
+}
+
+/**
+ * Markdown lines for a checklist
+ * @param {{text: string, done: boolean}[]} items
+ * @param {boolean} [numbered] - Prefix 1-based indexes (for toggle / rm)
+ * @returns {string[]}
+ */
+export function formatChecklist(items, numbered = false) {
+  return (items || []).map((item, i) => `${numbered ? `${String(i + 1).padStart(2)}. ` : '- '}[${item.done ? 'x' : ' '}] ${item.text}`);
+}
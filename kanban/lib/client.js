@@ -0,0 +1,248 @@
+/**
+ * Kanban HTTP 客户端 - 超时、重试、请求 ID、调试输出 (CLI 与 planner 共用)
+ *
+ * 环境变量:
+ *   KANBAN_URL       服务地址 (默认 http://127.0.0.1:3007)
+ *   KANBAN_TIMEOUT   单次请求超时秒数 (默认 10)
+ *   KANBAN_RETRIES   失败重试次数 (0-10，默认 2，指数退避；其他值按默认)
+ *   KANBAN_DEBUG=1   打印每个请求的方法、URL、请求体和响应 (同 --debug)
+ *
+ * 重试:
+ *   - 连接阶段失败 (ECONNREFUSED / ENOTFOUND / 连接超时)、502/503/504: 请求没有被处理，任何方法都重试
+ *   - 请求发出后超时或连接被重置: 服务端可能已经处理，只重试 GET
+ *   - 其他 5xx: 除 POST 外重试
+ *
+ * 写请求发出后失败不算 "服务不可达" (isConnectionError 为 false)，不会切换到离线模式
+ * 再写一次本地队列，以免 sync 时重复创建。
+ */
+
+import { randomBytes } from 'crypto';
+
+export const DEFAULT_BASE_URL = process.env.KANBAN_URL || 'http://127.0.0.1:3007';
+
+const DEFAULT_TIMEOUT = 10;
+const DEFAULT_RETRIES = 2;
+const MAX_RETRIES = 10;
+const RETRY_DELAY_MS = 300;
+const DEBUG_BODY_MAX = 2000;
+
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ETIMEDOUT',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
+
+// 连接没有建立，请求一定没有送达服务端
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+// 请求可能已经送达并被处理
+const SENT_ERROR_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'UND_ERR_SOCKET']);
+const UNPROCESSED_STATUSES = new Set([502, 503, 504]);
+
+/**
+ * A failed API request: HTTP error status, or a network failure (status 0)
+ */
+export class KanbanApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{method: string, url: string, requestId: string, status?: number, code?: string, body?: string}} details
+   */
+  constructor(message, { method, url, requestId, status = 0, code, body }) {
+    super(message);
+    this.name = 'KanbanApiError';
+    this.method = method;
+    this.url = url;
+    this.requestId = requestId;
+    this.status = status;
+    this.code = code;
+    this.body = body;
+  }
+}
+
+/**
+ * Whether an error means the server could not be reached
+ * @param {Error & {code?: string, cause?: {code?: string}}} err
+ * @returns {boolean}
+ */
+export function isConnectionError(err) {
+  const code = err.cause?.code || err.code;
+  if (mayHaveApplied(err)) return false;
+  if (code && CONNECTION_ERROR_CODES.has(code)) return true;
+  return err instanceof TypeError && err.message === 'fetch failed';
+}
+
+/**
+ * Whether a failed write was sent before it failed (timeout, connection reset),
+ * so the server may or may not have applied it
+ * @param {Error & {method?: string, code?: string, cause?: {code?: string}}} err
+ * @returns {boolean}
+ */
+export function mayHaveApplied(err) {
+  return Boolean(err.method) && err.method !== 'GET' && SENT_ERROR_CODES.has(err.cause?.code || err.code);
+}
+
+/**
+ * How to get the server running, for when it cannot be reached
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function serverHint(baseUrl) {
+  let port = '3007';
+  try {
+    port = new URL(baseUrl).port || port;
+  } catch {
+    // 非法 URL 时用默认端口
+  }
+  return [
+    `Kanban server is not reachable at ${baseUrl}.`,
+    `  Start it:      npx codekanban --port ${port}`,
+    '  Other server:  export KANBAN_URL=http://<host>:<port>',
+    '  Work offline:  export KANBAN_OFFLINE=1 (kanban CLI only; `kanban sync` later)',
+  ].join('\n');
+}
+
+/**
+ * The most useful part of an error response body
+ * @param {string} text
+ * @returns {string}
+ */
+function errorDetail(text) {
+  try {
+    const data = JSON.parse(text);
+    const detail = data.message || data.error?.message || data.error || data.detail;
+    if (typeof detail === 'string') return detail;
+  } catch {
+    // 不是 JSON
+  }
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function clipBody(text) {
+  return text.length > DEBUG_BODY_MAX ? `${text.slice(0, DEBUG_BODY_MAX)}… (${text.length} bytes)` : text;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Retry count from an option or KANBAN_RETRIES; anything but an integer in 0..MAX_RETRIES falls back to the default
+ * @param {number|string|undefined} value
+ * @returns {number}
+ */
+function retryCount(value) {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(n) && n >= 0 && n <= MAX_RETRIES ? n : DEFAULT_RETRIES;
+}
+
+/**
+ * @param {{baseUrl?: string, timeout?: number, retries?: number, debug?: boolean, log?: (line: string) => void}} [options]
+ *   timeout in seconds; log receives debug and retry lines (default stderr)
+ * @returns {{baseUrl: string, request: Function, get: Function, post: Function, put: Function, del: Function}}
+ */
+export function createClient(options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+  const timeout = options.timeout ?? (Number(process.env.KANBAN_TIMEOUT) || DEFAULT_TIMEOUT);
+  const retries = retryCount(options.retries ?? process.env.KANBAN_RETRIES);
+  const debug = options.debug ?? process.env.KANBAN_DEBUG === '1';
+  const log = options.log || ((line) => console.error(line));
+
+  /**
+   * One attempt; throws KanbanApiError
+   * @returns {Promise<any>}
+   */
+  async function attempt(method, url, body, requestId) {
+    const started = Date.now();
+    if (debug) {
+      log(`→ ${method} ${url} [${requestId}]`);
+      if (body !== undefined) log(`  ${clipBody(JSON.stringify(body))}`);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'X-Request-Id': requestId,
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeout * 1000),
+      });
+    } catch (err) {
+      const timedOut = err.name === 'TimeoutError';
+      const code = timedOut ? 'ETIMEDOUT' : err.cause?.code || err.code;
+      const reason = timedOut ? `timed out after ${timeout}s` : err.cause?.message || err.message;
+      if (debug) log(`← ${reason} (${Date.now() - started}ms)`);
+      const unsure = method !== 'GET' && SENT_ERROR_CODES.has(code) ? ' (the server may have applied it; check before retrying)' : '';
+      throw new KanbanApiError(`${method} ${url} failed: ${reason}${unsure} [request ${requestId}]`, {
+        method,
+        url,
+        requestId,
+        code,
+      });
+    }
+
+    const text = await response.text();
+    if (debug) log(`← ${response.status} ${response.statusText} (${Date.now() - started}ms) ${clipBody(text)}`);
+
+    if (!response.ok) {
+      const detail = errorDetail(text);
+      throw new KanbanApiError(
+        `HTTP ${response.status} ${response.statusText}: ${method} ${url}${detail ? ` - ${detail}` : ''} [request ${requestId}]`,
+        { method, url, requestId, status: response.status, body: text }
+      );
+    }
+    if (!text) return {};
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new KanbanApiError(
+        `${method} ${url} returned a non-JSON response (HTTP ${response.status}): ${errorDetail(text)} [request ${requestId}]`,
+        { method, url, requestId, status: response.status, body: text }
+      );
+    }
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} url - Absolute, or a path relative to baseUrl
+   * @param {any} [body] - Sent as JSON
+   * @returns {Promise<any>} Parsed JSON response
+   */
+  async function request(method, url, body) {
+    const target = /^https?:\/\//.test(url) ? url : `${baseUrl}${url}`;
+    const requestId = randomBytes(4).toString('hex');
+
+    for (let i = 0; ; i++) {
+      try {
+        return await attempt(method, target, body, requestId);
+      } catch (err) {
+        const retryable =
+          CONNECT_ERROR_CODES.has(err.code) ||
+          (method === 'GET' && SENT_ERROR_CODES.has(err.code)) ||
+          UNPROCESSED_STATUSES.has(err.status) ||
+          (err.status >= 500 && method !== 'POST');
+        if (!retryable || i >= retries) throw err;
+
+        const delay = RETRY_DELAY_MS * 2 ** i;
+        log(`⚠ ${err.status ? `HTTP ${err.status}` : err.code} from ${method} ${target}, retrying in ${delay}ms (${i + 1}/${retries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    baseUrl,
+    request,
+    get: (url) => request('GET', url),
+    post: (url, body) => request('POST', url, body),
+    put: (url, body) => request('PUT', url, body),
+    del: (url) => request('DELETE', url),
+  };
+}
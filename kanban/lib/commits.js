@@ -0,0 +1,96 @@
+/**
+ * Kanban 提交关联 - git 提交 ↔ 任务
+ *
+ * 提交按以下方式关联到任务:
+ *   1. 提交信息中出现任务短 ID (前 8 位)，如 "Task: #a1b2c3d4" (prepare-commit-msg 钩子自动添加)
+ *   2. 在任务分支 task/<短 ID> 上、尚未合入默认分支的提交
+ *
+ * 默认分支上带 "fixes #<短 ID>" (fix / close / resolve 的各种时态) 的提交由
+ * `kanban scan-commits` 把对应任务标记为完成。
+ */
+
+import { git, taskIdFromBranch } from './worktrees.js';
+
+export const SHORT_ID_LENGTH = 8;
+
+/** Trailer the prepare-commit-msg hook adds */
+export const TASK_TRAILER = 'Task';
+
+// 字段 / 记录分隔符，提交信息中不会出现
+const LOG_FORMAT = ['%H', '%h', '%an', '%aI', '%s', '%b'].join('%x1f') + '%x1e';
+
+const FIXES_RE = /\b(?:fix(?:e[sd])?|close[sd]?|resolve[sd]?):?\s+#([A-Za-z0-9_-]{4,})/gi;
+
+/** Same keywords as FIXES_RE, for `git log --grep` (POSIX ERE, case-insensitive) */
+export const FIXES_GREP = '(fix|fixe[sd]|close[sd]?|resolve[sd]?):?[[:space:]]+#';
+
+/**
+ * @param {object} task
+ * @returns {string}
+ */
+export function shortTaskId(task) {
+  return task.id.slice(0, SHORT_ID_LENGTH);
+}
+
+/**
+ * Run `git log` and parse the commits
+ * @param {string} repo
+ * @param {string[]} args - Revisions and filters
+ * @returns {{hash: string, short: string, author: string, date: string, subject: string, body: string}[]}
+ */
+export function gitLog(repo, args) {
+  return git(repo, ['log', `--format=${LOG_FORMAT}`, ...args])
+    .split('\x1e')
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, short, author, date, subject, body = ''] = record.split('\x1f');
+      return { hash, short, author, date, subject, body: body.trim() };
+    });
+}
+
+/**
+ * Task short IDs a commit message closes ("fixes #a1b2c3d4", "Closes: #a1b2c3d4")
+ * @param {string} message
+ * @returns {string[]}
+ */
+export function parseFixes(message) {
+  return [...new Set([...String(message || '').matchAll(FIXES_RE)].map((m) => m[1]))];
+}
+
+/**
+ * Commits linked to a task, newest first
+ * @param {string} repo
+ * @param {object} task
+ * @param {string} base - Default branch
+ * @returns {object[]} Commits with `via`: "message" or "branch task/..."
+ */
+export function findTaskCommits(repo, task, base) {
+  const byHash = new Map();
+
+  for (const commit of gitLog(repo, ['--all', '--fixed-strings', `--grep=${shortTaskId(task)}`])) {
+    byHash.set(commit.hash, { ...commit, via: 'message' });
+  }
+
+  const branches = git(repo, ['for-each-ref', '--format=%(refname:short)', 'refs/heads/task/'])
+    .split('\n')
+    .filter((branch) => {
+      const prefix = taskIdFromBranch(branch);
+      return prefix && task.id.startsWith(prefix);
+    });
+
+  for (const branch of branches) {
+    let commits;
+    try {
+      commits = gitLog(repo, [`${base}..${branch}`]);
+    } catch {
+      // 默认分支不存在: 列出分支上的全部提交
+      commits = gitLog(repo, [branch]);
+    }
+    for (const commit of commits) {
+      if (!byHash.has(commit.hash)) byHash.set(commit.hash, { ...commit, via: `branch ${branch}` });
+    }
+  }
+
+  return [...byHash.values()].sort((a, b) => b.date.localeCompare(a.date));
+}
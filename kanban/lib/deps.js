@@ -0,0 +1,176 @@
+/**
+ * Kanban 任务依赖 - 结构化 blockedBy 字段 + 旧版描述解析
+ *
+ * 新任务的依赖保存在 .kanban/meta.json 的 blockedBy 数组中
+ * (由 `kanban link` 维护)；没有该字段的旧任务回退到从描述中
+ * 解析 `blocked by [id]` / `depends on [id]` 等写法。
+ *
+ * `kanban link` 建立依赖时用 findCycle 拒绝成环；描述解析没有这道检查，
+ * 规划器用 findCycles 找出已有的环并报告每条边的来源 (dependencySource)；
+ * `run` 用 outsideBlockers 找出不在本次计划中、尚未完成的依赖。
+ */
+
+// 依赖解析正则 (旧版描述写法)
+export const DEP_PATTERNS = [
+  /blocked\s+by[:\s]+\[([a-zA-Z0-9]+)\]/gi,
+  /depends\s+on[:\s]+\[([a-zA-Z0-9]+)\]/gi,
+  /after[:\s]+\[([a-zA-Z0-9]+)\]/gi,
+  /requires[:\s]+\[([a-zA-Z0-9]+)\]/gi,
+];
+
+/**
+ * Parse legacy dependency references from a task description
+ * @param {string} taskDescription
+ * @returns {string[]} Referenced task IDs
+ */
+export function parseDependencies(taskDescription) {
+  if (!taskDescription) return [];
+
+  const deps = new Set();
+
+  for (const pattern of DEP_PATTERNS) {
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(taskDescription)) !== null) {
+      deps.add(match[1]);
+    }
+  }
+
+  return Array.from(deps);
+}
+
+/**
+ * Whether the task carries structured links (as opposed to a legacy task)
+ * @param {object} task
+ * @returns {boolean}
+ */
+export function hasStructuredDeps(task) {
+  return Array.isArray(task.blockedBy);
+}
+
+/**
+ * IDs of the tasks blocking this one
+ * @param {object} task
+ * @returns {string[]}
+ */
+export function getBlockerIds(task) {
+  return hasStructuredDeps(task) ? task.blockedBy : parseDependencies(task.description);
+}
+
+/**
+ * Find the dependency path that adding `blocked ← blocker` would close.
+ * Returns the cycle as task IDs (starting and ending at blockedId), or null.
+ * @param {object[]} tasks
+ * @param {string} blockerId - Task that must finish first
+ * @param {string} blockedId - Task that waits for blockerId
+ * @returns {string[]|null}
+ */
+export function findCycle(tasks, blockerId, blockedId) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const visited = new Set();
+
+  // 从 blocker 沿 blockedBy 向上游搜索，若能到达 blocked 即成环
+  function walk(id, trail) {
+    if (id === blockedId) return [...trail, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    const task = byId.get(id);
+    if (!task) return null;
+
+    for (const dep of getBlockerIds(task)) {
+      const found = walk(dep, [...trail, id]);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  return walk(blockerId, [blockedId]);
+}
+
+/**
+ * Where a dependency comes from: a `kanban link` or a line of the description
+ * @param {object} task - The waiting task
+ * @param {string} blockerId
+ * @returns {{kind: 'link'} | {kind: 'description', line: number, text: string}}
+ */
+export function dependencySource(task, blockerId) {
+  if (hasStructuredDeps(task)) return { kind: 'link' };
+
+  const lines = String(task.description || '').split('\n');
+  const index = lines.findIndex((line) => parseDependencies(line).includes(blockerId));
+  return { kind: 'description', line: index + 1, text: index >= 0 ? lines[index].trim() : '' };
+}
+
+/**
+ * Find dependency cycles one at a time. Each cycle is cut at the edge `pickEdge`
+ * chooses before looking for the next, so every reported cycle is concrete and
+ * cutting all returned edges leaves the graph acyclic. The input is not modified.
+ * @param {{id: string, deps: string[]}[]} nodes
+ * @param {(cycle: string[]) => {from: string, to: string}} pickEdge - Edge to cut (from blocks to)
+ * @returns {{cycle: string[], cut: {from: string, to: string}}[]}
+ *   cycle[i] blocks cycle[i + 1], the last one blocks cycle[0]
+ */
+export function findCycles(nodes, pickEdge) {
+  const deps = new Map(nodes.map((n) => [n.id, [...n.deps]]));
+  const found = [];
+
+  // 沿 deps (等待 → 被等待) 深度优先，遇到栈上的节点即成环
+  function search() {
+    const state = new Map();
+    const stack = [];
+
+    function visit(id) {
+      state.set(id, 'active');
+      stack.push(id);
+      for (const dep of deps.get(id) || []) {
+        if (!deps.has(dep)) continue;
+        if (state.get(dep) === 'active') return stack.slice(stack.indexOf(dep));
+        if (!state.has(dep)) {
+          const cycle = visit(dep);
+          if (cycle) return cycle;
+        }
+      }
+      stack.pop();
+      state.set(id, 'done');
+      return null;
+    }
+
+    for (const id of deps.keys()) {
+      if (state.has(id)) continue;
+      const cycle = visit(id);
+      if (cycle) return cycle.reverse();
+    }
+    return null;
+  }
+
+  for (let cycle = search(); cycle; cycle = search()) {
+    const cut = pickEdge(cycle);
+    deps.set(cut.to, deps.get(cut.to).filter((d) => d !== cut.from));
+    found.push({ cycle, cut });
+  }
+  return found;
+}
+
+/**
+ * Unfinished blockers that are not among the given tasks, e.g. an in_progress
+ * task, or a todo task of another priority when planning one priority only.
+ * Blockers that are done or no longer exist are ignored.
+ * @param {object[]} tasks - Tasks being planned
+ * @param {object[]} allTasks - Every task of the project
+ * @returns {Map<string, object[]>} Task ID → its outside blockers (only tasks that have some)
+ */
+export function outsideBlockers(tasks, allTasks) {
+  const planned = new Set(tasks.map((t) => t.id));
+  const byId = new Map(allTasks.map((t) => [t.id, t]));
+  const found = new Map();
+
+  for (const task of tasks) {
+    const blockers = getBlockerIds(task)
+      .filter((id) => !planned.has(id))
+      .map((id) => byId.get(id))
+      .filter((t) => t && t.status !== 'done');
+    if (blockers.length > 0) found.set(task.id, blockers);
+  }
+  return found;
+}
@@ -0,0 +1,138 @@
+/**
+ * Kanban 截止日期 - 逾期 / 即将到期检测与逾期升级
+ *
+ * 配置 (.kanban/config.json):
+ *   "due": {
+ *     "soonDays": 3,
+ *     "escalate": { "enabled": true, "afterDays": 1, "everyDays": 3, "limit": 0, "onTick": false }
+ *   }
+ *
+ * 逾期 afterDays 天的 todo 任务优先级提升一级，之后每 everyDays 天再提升
+ * 一级，最高到 P<limit>。升级前的优先级和当时的截止日期记录在 meta.json 的
+ * escalation 字段，目标优先级始终由它计算，重复执行不会重复升级。任务完成或
+ * 截止日期改变后记录作废 (endsEscalation)，之后按当前优先级重新计算。
+ *
+ * 升级只在 `due --apply` 时执行；onTick 为 true 时 `tick` 也会执行。
+ */
+
+import { resolveDate } from './query.js';
+
+export const DEFAULT_DUE_CONFIG = {
+  soonDays: 3,
+  escalate: { enabled: true, afterDays: 1, everyDays: 3, limit: 0, onTick: false },
+};
+
+/**
+ * Merge the project's "due" config over the defaults
+ * @param {object} [config] - Project config
+ * @returns {typeof DEFAULT_DUE_CONFIG}
+ */
+export function dueConfig(config = {}) {
+  const due = config.due || {};
+  return {
+    ...DEFAULT_DUE_CONFIG,
+    ...due,
+    escalate: { ...DEFAULT_DUE_CONFIG.escalate, ...due.escalate },
+  };
+}
+
+/**
+ * Whole days from a to b ("YYYY-MM-DD" strings)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function daysBetween(a, b) {
+  const utc = (day) => Date.UTC(+day.slice(0, 4), +day.slice(5, 7) - 1, +day.slice(8, 10));
+  return Math.round((utc(b) - utc(a)) / 86400000);
+}
+
+/**
+ * Days until a task is due (negative = overdue), null without a due date
+ * @param {object} task
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+export function daysUntilDue(task, now = new Date()) {
+  if (!task.dueDate || !/^\d{4}-\d{2}-\d{2}/.test(task.dueDate)) return null;
+  return daysBetween(resolveDate('today', now), String(task.dueDate).slice(0, 10));
+}
+
+/**
+ * "3d overdue" / "today" / "tomorrow" / "in 5d"
+ * @param {number} days - From daysUntilDue
+ * @returns {string}
+ */
+export function formatDueIn(days) {
+  if (days < 0) return `${-days}d overdue`;
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days}d`;
+}
+
+/**
+ * Split unfinished tasks into overdue and due-soon, most urgent first
+ * @param {object[]} tasks
+ * @param {{soonDays?: number, now?: Date}} [options]
+ * @returns {{overdue: object[], soon: object[]}}
+ */
+export function classifyDue(tasks, { soonDays = DEFAULT_DUE_CONFIG.soonDays, now = new Date() } = {}) {
+  const overdue = [];
+  const soon = [];
+
+  for (const task of tasks) {
+    if (task.status === 'done') continue;
+    const days = daysUntilDue(task, now);
+    if (days === null) continue;
+    if (days < 0) overdue.push({ ...task, dueIn: days });
+    else if (days <= soonDays) soon.push({ ...task, dueIn: days });
+  }
+
+  const byUrgency = (a, b) => a.dueIn - b.dueIn || a.priority - b.priority;
+  return { overdue: overdue.sort(byUrgency), soon: soon.sort(byUrgency) };
+}
+
+const dueDay = (value) => (value ? String(value).slice(0, 10) : null);
+
+/**
+ * Whether a change ends a task's escalation record: the task is done, or its
+ * due date moved (so the escalated priority no longer follows from it)
+ * @param {object} task - With meta merged (escalation.due)
+ * @param {{status?: string, dueDate?: string|null}} changes
+ * @returns {boolean}
+ */
+export function endsEscalation(task, changes) {
+  if (!task?.escalation) return false;
+  if (changes.status === 'done') return true;
+  return changes.dueDate !== undefined && dueDay(changes.dueDate) !== dueDay(task.dueDate);
+}
+
+/**
+ * Priority changes the escalation rule asks for
+ * @param {object[]} tasks - Tasks with meta merged (escalation.from)
+ * @param {typeof DEFAULT_DUE_CONFIG.escalate} rule
+ * @param {Date} [now]
+ * @returns {{task: object, from: number, previous: number, to: number, overdueDays: number}[]}
+ */
+export function planEscalations(tasks, rule, now = new Date()) {
+  if (!rule.enabled) return [];
+  const changes = [];
+
+  for (const task of tasks) {
+    if (task.status !== 'todo') continue;
+    const days = daysUntilDue(task, now);
+    if (days === null || -days < rule.afterDays) continue;
+
+    // 截止日期在别处 (如网页) 被改过的记录不再适用
+    const record = task.escalation;
+    const stale = record?.due !== undefined && dueDay(record.due) !== dueDay(task.dueDate);
+    const from = record && !stale ? record.from : task.priority;
+    const steps = 1 + Math.floor((-days - rule.afterDays) / Math.max(1, rule.everyDays));
+    const to = Math.max(rule.limit, from - steps);
+    if (to < task.priority) {
+      changes.push({ task, from, previous: task.priority, to, overdueDays: -days });
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,258 @@
+/**
+ * Kanban 估算 - 任务估算 (故事点)、WIP 限制与燃尽图
+ *
+ * 估算保存在 meta.json 的 estimate 字段 (本地字段，不同步到服务端)，
+ * 每次修改写入活动日志 { action: 'estimate', from, to }。
+ *
+ * 配置 (.kanban/config.json):
+ *   "wip": {
+ *     "limits": { "in_progress": 3, "blocked": 5 },
+ *     "enforce": "warn"
+ *   }
+ *
+ * 任务进入某状态后该状态的任务数超过上限时，enforce 为 warn 只警告，
+ * 为 refuse 拒绝 (--force 仍可执行)。
+ *
+ * 燃尽图从活动日志回放每个任务在每天结束时的状态和估算，剩余量为未完成
+ * 任务的估算之和 (没有任何估算时按任务数)。
+ */
+
+import { resolveDate } from './query.js';
+
+export const WIP_ENFORCE_MODES = ['warn', 'refuse'];
+
+const STATUSES = ['todo', 'in_progress', 'blocked', 'done'];
+const CHART_WIDTH = 40;
+
+/**
+ * Parse an --estimate value: "3", "0.5", "5pt" / "5sp"; "" or "none" clears
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parseEstimate(value) {
+  const v = String(value).trim().toLowerCase();
+  if (v === '' || v === 'none') return null;
+  const match = v.match(/^(\d+(?:\.\d+)?)\s*(?:pts?|sp)?$/);
+  if (!match) throw new Error(`Invalid estimate: ${value} (expected a number of points, e.g. 3 or 0.5)`);
+  return Number(match[1]);
+}
+
+/**
+ * Validate the "wip" config
+ * @param {object} [config] - Project config
+ * @returns {{limits: Record<string, number>, enforce: 'warn'|'refuse'}}
+ */
+export function wipConfig(config = {}) {
+  const wip = config.wip || {};
+  const enforce = wip.enforce || 'warn';
+  if (!WIP_ENFORCE_MODES.includes(enforce)) {
+    throw new Error(`Invalid wip.enforce "${enforce}" (expected ${WIP_ENFORCE_MODES.join('|')})`);
+  }
+
+  const limits = {};
+  for (const [status, limit] of Object.entries(wip.limits || {})) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown status in wip.limits: ${status} (expected ${STATUSES.join(', ')})`);
+    }
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`Invalid wip.limits.${status}: ${limit} (expected a non-negative integer)`);
+    }
+    limits[status] = limit;
+  }
+
+  return { limits, enforce };
+}
+
+/**
+ * Whether moving a task into a status exceeds that status's WIP limit
+ * @param {object[]} tasks - All tasks of the project
+ * @param {string} taskId - Task being moved
+ * @param {string} status - Target status
+ * @param {ReturnType<typeof wipConfig>} wip
+ * @returns {{status: string, limit: number, count: number, tasks: object[]}|null}
+ *   count includes the moved task; null when within the limit
+ */
+export function checkWipLimit(tasks, taskId, status, wip) {
+  const limit = wip.limits[status];
+  if (limit === undefined || tasks.find((t) => t.id === taskId)?.status === status) return null;
+
+  const others = tasks.filter((t) => t.status === status && t.id !== taskId);
+  if (others.length + 1 <= limit) return null;
+  return { status, limit, count: others.length + 1, tasks: others };
+}
+
+// ============================================================
+// 燃尽图
+// ============================================================
+
+/**
+ * Local midnight of a "YYYY-MM-DD" day, shifted by whole days
+ * @param {string} day
+ * @param {number} [offset]
+ * @returns {Date}
+ */
+function dayStart(day, offset = 0) {
+  const d = new Date(`${day}T00:00:00`);
+  d.setDate(d.getDate() + offset);
+  return d;
+}
+
+/**
+ * Per-task timeline replayed from the activity log
+ * @param {object[]} tasks - Current tasks (with meta)
+ * @param {object[]} entries - Activity entries, oldest first
+ * @param {boolean} includeDeleted - Also replay tasks that only remain in the log
+ * @returns {{created: number, deleted: number, status: string, estimate: number|null, changes: object[]}[]}
+ */
+function buildTimelines(tasks, entries, includeDeleted) {
+  const byTask = new Map();
+  for (const entry of entries) {
+    if (!byTask.has(entry.taskId)) byTask.set(entry.taskId, []);
+    byTask.get(entry.taskId).push(entry);
+  }
+
+  const ids = includeDeleted ? new Set([...tasks.map((t) => t.id), ...byTask.keys()]) : tasks.map((t) => t.id);
+  const current = new Map(tasks.map((t) => [t.id, t]));
+  const timelines = [];
+
+  for (const id of ids) {
+    const task = current.get(id);
+    const log = byTask.get(id) || [];
+    const created = log.find((e) => e.action === 'create');
+    const deleted = log.find((e) => e.action === 'delete');
+    const statuses = log.filter((e) => e.action === 'status');
+    const estimates = log.filter((e) => e.action === 'estimate');
+
+    // 只有活动日志、没有创建记录的已删除任务无法确定范围
+    if (!task && !created) continue;
+
+    timelines.push({
+      created: Date.parse(created?.at || task?.createdAt) || 0,
+      deleted: deleted ? Date.parse(deleted.at) : Infinity,
+      // 初始状态: 第一次状态变更前的状态 (没有变更则为当前状态)
+      status: statuses[0]?.from ?? task?.status ?? 'todo',
+      estimate: estimates.length > 0 ? estimates[0].from ?? null : task?.estimate ?? null,
+      changes: [...statuses, ...estimates].sort((a, b) => Date.parse(a.at) - Date.parse(b.at)),
+    });
+  }
+
+  return timelines;
+}
+
+/**
+ * Remaining work at the end of each day in a range
+ * @param {object[]} tasks - Current tasks (with meta)
+ * @param {object[]} entries - Activity entries, oldest first
+ * @param {{since: string, until?: string, includeDeleted?: boolean, now?: Date}} range
+ *   since/until are dates (YYYY-MM-DD / today / -14d); until defaults to today
+ * @returns {{since: string, until: string, unit: 'points'|'tasks', days: {date: string, remaining: number, ideal: number|null, open: number, scope: number}[]}}
+ */
+export function buildBurndown(tasks, entries, { since, until = 'today', includeDeleted = true, now = new Date() }) {
+  const first = resolveDate(since, now);
+  const last = resolveDate(until, now);
+  if (first > last) throw new Error(`--since (${first}) is after --until (${last})`);
+
+  const timelines = buildTimelines(tasks, entries, includeDeleted);
+  const dates = [];
+  for (let d = dayStart(first); resolveDate('today', d) <= last; d.setDate(d.getDate() + 1)) {
+    dates.push(resolveDate('today', d));
+  }
+
+  const samples = dates.map((date) => {
+    const end = Math.min(dayStart(date, 1).getTime(), now.getTime());
+    let points = 0;
+    let scope = 0;
+    let open = 0;
+    let total = 0;
+
+    for (const timeline of timelines) {
+      if (timeline.created >= end || timeline.deleted < end) continue;
+      let { status, estimate } = timeline;
+      for (const change of timeline.changes) {
+        if (Date.parse(change.at) >= end) break;
+        if (change.action === 'status') status = change.to;
+        else estimate = change.to ?? null;
+      }
+      total++;
+      scope += estimate || 0;
+      if (status !== 'done') {
+        open++;
+        points += estimate || 0;
+      }
+    }
+
+    return { date, points, scope, open, total };
+  });
+
+  // 没有任何估算时按任务数燃尽
+  const unit = samples.some((s) => s.scope > 0) ? 'points' : 'tasks';
+  const round = (n) => Math.round(n * 10) / 10;
+  const days = samples.map((s) => ({
+    date: s.date,
+    remaining: unit === 'points' ? round(s.points) : s.open,
+    open: s.open,
+    scope: unit === 'points' ? round(s.scope) : s.total,
+  }));
+
+  // 理想线: 从第一个有任务的日子的剩余量匀速降到最后一天为 0 (之前为 null)
+  const startIndex = Math.max(days.findIndex((d) => d.scope > 0), 0);
+  const start = days[startIndex]?.remaining || 0;
+  const span = days.length - 1 - startIndex;
+  days.forEach((day, i) => {
+    if (i < startIndex) day.ideal = null;
+    else day.ideal = span > 0 ? round(start * (1 - (i - startIndex) / span)) : start;
+  });
+
+  return { since: first, until: last, unit, days };
+}
+
+/**
+ * @param {number} n
+ * @returns {string}
+ */
+function formatAmount(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(1);
+}
+
+/**
+ * Horizontal ASCII bars, one per day, with the ideal line marked
+ * @param {ReturnType<typeof buildBurndown>} burndown
+ * @param {string} title
+ * @returns {string}
+ */
+export function formatBurndownChart(burndown, title) {
+  const { days, unit } = burndown;
+  const max = Math.max(...days.map((d) => Math.max(d.remaining, d.ideal ?? 0)), 0);
+  const scale = (n) => (max > 0 ? Math.round((n / max) * CHART_WIDTH) : 0);
+  const amountWidth = Math.max(...days.map((d) => formatAmount(d.remaining).length));
+
+  const lines = [`Burndown: ${title} (${burndown.since} → ${burndown.until}, ${unit})`, ''];
+  for (const day of days) {
+    const bar = Array.from({ length: CHART_WIDTH + 1 }, (_, i) => (i < scale(day.remaining) ? '█' : ' '));
+    if (day.ideal !== null && scale(day.ideal) >= scale(day.remaining)) bar[scale(day.ideal)] = '┊';
+    const amount = formatAmount(day.remaining).padStart(amountWidth);
+    const notes = [
+      day.ideal !== null ? `ideal ${formatAmount(day.ideal)}` : null,
+      unit === 'points' ? `${day.open} open` : null,
+    ].filter(Boolean);
+    lines.push(`${day.date}  ${bar.join('')} ${amount}${notes.length > 0 ? `  (${notes.join(', ')})` : ''}`);
+  }
+
+  const latest = days[days.length - 1];
+  if (latest) {
+    lines.push('', `█ remaining  ┊ ideal    scope ${formatAmount(latest.scope)} ${unit}, ${formatAmount(latest.remaining)} remaining`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @param {ReturnType<typeof buildBurndown>} burndown
+ * @returns {string}
+ */
+export function formatBurndownCsv(burndown) {
+  const rows = ['date,remaining,ideal,open_tasks,scope'];
+  for (const day of burndown.days) {
+    rows.push([day.date, day.remaining, day.ideal, day.open, day.scope].join(','));
+  }
+  return rows.join('\n');
+}
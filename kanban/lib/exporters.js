@@ -0,0 +1,816 @@
+/**
+ * Kanban 任务导出 - context / markdown / html / json / ical
+ *
+ * 配置 (.kanban/config.json):
+ *   "export": {
+ *     "lang": "en",
+ *     "sections": ["deadlines", "in_progress", { "name": "p1", "truncate": 200 }, "guide"],
+ *     "templates": {
+ *       "short": { "sections": ["in_progress", "p0"], "lang": "en" },
+ *       "review": { "file": "docs/kanban-export.md" }
+ *     }
+ *   }
+ *
+ * 区块 (按列出的顺序输出):
+ *   deadlines summary in_progress p0 p1 backlog done guide
+ * 区块选项: truncate (描述最多字符数) / lines (描述最多行数) / limit (任务数)，0 为不限
+ *
+ * maxTokens (或 --max-tokens) 按估算的 token 数裁剪: 概览和指南始终计入预算，截止日期
+ * 按顺序列出放得下的部分 (其余汇总成 "N more" 一行)；任务区块先保证进行中 / P0 / P1
+ * 每个任务至少有一行摘要，再依次展开详情，剩余预算才留给 P2+ 和已完成任务。
+ * 连这些都放不下时报错，不会超出预算输出。
+ *
+ * 模板文件 (相对项目根目录) 支持:
+ *   {{project.name}} {{generatedAt}} {{counts.todo}}   变量
+ *   {{section "p0"}}                                   按当前语言渲染的区块
+ *   {{#each p0}}- {{title}} ({{shortId}}){{/each}}      任务列表 (同类块不可嵌套)
+ *   {{#if overdue}}...{{else}}...{{/if}}                条件
+ */
+
+export const EXPORT_FORMATS = ['context', 'markdown', 'html', 'json', 'ical'];
+
+// --max-tokens 按 Markdown 渲染估算，只用于这两种格式
+const BUDGET_FORMATS = ['context', 'markdown'];
+
+const SECTION_DEFAULTS = {
+  deadlines: {},
+  summary: {},
+  in_progress: { truncate: 0, lines: 0 },
+  p0: { truncate: 0, lines: 0 },
+  p1: { truncate: 500, lines: 0 },
+  backlog: {},
+  done: { truncate: 0, lines: 10, limit: 3 },
+  guide: {},
+};
+
+export const SECTION_NAMES = Object.keys(SECTION_DEFAULTS);
+
+// markdown / html 给人看: 不含 AI 指南，不截断，列出全部已完成任务
+const FORMAT_DEFAULTS = {
+  context: { sections: SECTION_NAMES, limits: {} },
+  markdown: { sections: SECTION_NAMES.filter((s) => s !== 'guide'), limits: { truncate: 0, lines: 0, limit: 0 } },
+  html: { sections: SECTION_NAMES.filter((s) => s !== 'guide'), limits: { truncate: 0, lines: 0, limit: 0 } },
+};
+
+const STRINGS = {
+  zh: {
+    title: { context: '任务上下文', board: '任务看板' },
+    path: '路径',
+    branch: '分支',
+    generated: '生成时间',
+    sections: {
+      deadlines: '⏰ 截止日期 (最先处理)',
+      summary: '概览',
+      in_progress: '🔄 进行中 (优先处理)',
+      p0: '🔴 P0 待办 (紧急)',
+      p1: '🟠 P1 待办 (高优先级)',
+      backlog: '🟡 P2+ 待办 (可延后)',
+      done: '✅ 最近完成 (参考)',
+      guide: 'AI 工作指南',
+    },
+    counts: { todo: '待办', in_progress: '进行中', done: '已完成' },
+    priority: '优先级',
+    due: '截止',
+    checklist: '清单',
+    overdue: (days) => `已逾期 ${days} 天`,
+    dueIn: (days) => (days === 0 ? '今天到期' : `${days} 天后到期`),
+    more: (n) => `… 另有 ${n} 个，执行 \`/kanban due\` 查看`,
+    short: { in_progress: '进行中', p0: 'P0', p1: 'P1', backlog: 'P2+', done: '已完成' },
+    budget: (max, summarized, dropped, detail) =>
+      `受 token 预算 (${max}) 限制: ${summarized} 个任务只列出标题，${dropped} 个任务未列出${detail ? ` (${detail})` : ''}。需要时执行 \`/kanban show <task-id>\` 或 \`/kanban list\` 查看`,
+    guide: {
+      overdue: '先处理已逾期任务，无法按期完成时在任务上评论说明',
+      steps: [
+        '优先处理"进行中"任务',
+        'P0 任务必须尽快完成',
+        '每个任务包含验收标准，完成后逐项确认 (有清单的任务执行 `/kanban check <task-id> toggle <n>`)',
+        '完成任务后执行: `/kanban done <task-id>`',
+        '开始新任务前执行: `/kanban start <task-id>`',
+      ],
+    },
+  },
+  en: {
+    title: { context: 'Task Context', board: 'Task Board' },
+    path: 'Path',
+    branch: 'Branch',
+    generated: 'Generated',
+    sections: {
+      deadlines: '⏰ Deadlines (handle first)',
+      summary: 'Summary',
+      in_progress: '🔄 In Progress (continue these first)',
+      p0: '🔴 P0 Todo (urgent)',
+      p1: '🟠 P1 Todo (high priority)',
+      backlog: '🟡 P2+ Todo (can wait)',
+      done: '✅ Recently Done (for reference)',
+      guide: 'Working Guide',
+    },
+    counts: { todo: 'Todo', in_progress: 'In progress', done: 'Done' },
+    priority: 'Priority',
+    due: 'Due',
+    checklist: 'Checklist',
+    overdue: (days) => `${days}d overdue`,
+    dueIn: (days) => (days === 0 ? 'due today' : `due in ${days}d`),
+    more: (n) => `… ${n} more; run \`/kanban due\` to see them`,
+    short: { in_progress: 'in progress', p0: 'P0', p1: 'P1', backlog: 'P2+', done: 'done' },
+    budget: (max, summarized, dropped, detail) =>
+      `Trimmed to a ${max}-token budget: ${summarized} task(s) listed by title only, ${dropped} task(s) omitted${detail ? ` (${detail})` : ''}. Run \`/kanban show <task-id>\` or \`/kanban list\` when you need them`,
+    guide: {
+      overdue: 'Handle overdue tasks first; if one cannot make its deadline, comment on the task',
+      steps: [
+        'Continue "In Progress" tasks before starting new ones',
+        'P0 tasks must be finished as soon as possible',
+        'Each task has acceptance criteria; confirm them one by one when done (for checklists run `/kanban check <task-id> toggle <n>`)',
+        'After finishing a task run: `/kanban done <task-id>`',
+        'Before starting a new task run: `/kanban start <task-id>`',
+      ],
+    },
+  },
+};
+
+export const LANGUAGES = Object.keys(STRINGS);
+
+const TRUNCATED = '...(truncated)';
+
+// ============================================================
+// 选项
+// ============================================================
+
+/**
+ * @param {string|object} spec - Section name or { name, truncate, lines, limit }
+ * @returns {{name: string, truncate?: number, lines?: number, limit?: number}}
+ */
+function normalizeSection(spec) {
+  const section = typeof spec === 'string' ? { name: spec } : { ...spec };
+  if (!SECTION_NAMES.includes(section.name)) {
+    throw new Error(`Unknown export section "${section.name}". Available: ${SECTION_NAMES.join(', ')}`);
+  }
+  return section;
+}
+
+/**
+ * Resolve export settings: CLI flags over the named template over the
+ * project's "export" config. A template name containing "/" or "." that is
+ * not configured is treated as a template file path. A token budget is only
+ * accepted for Markdown output (context / markdown), since it is measured
+ * on that rendering; the project-wide default budget is ignored elsewhere.
+ * @param {object} [config] - Project config
+ * @param {{format?: string, template?: string, lang?: string, sections?: string[], maxTokens?: number}} [flags]
+ * @returns {{format: string, lang: string, sections: object[], file: string|null, maxTokens: number}}
+ */
+export function exportOptions(config = {}, flags = {}) {
+  const base = config.export || {};
+  let preset = {};
+
+  if (flags.template) {
+    preset = base.templates?.[flags.template];
+    if (!preset && /[\\/.]/.test(flags.template)) preset = { file: flags.template };
+    if (!preset) {
+      const names = Object.keys(base.templates || {});
+      throw new Error(`Unknown export template "${flags.template}". Available: ${names.join(', ') || '(none)'}`);
+    }
+  }
+
+  const pick = (key) => flags[key] ?? preset[key] ?? base[key];
+  const format = pick('format') || 'context';
+  const lang = pick('lang') || 'zh';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Available: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!LANGUAGES.includes(lang)) {
+    throw new Error(`Unknown export language "${lang}". Available: ${LANGUAGES.join(', ')}`);
+  }
+  const file = preset.file || null;
+  // 预算按 Markdown 渲染估算并裁剪；项目级的默认预算不套用到其他输出
+  const markdown = !file && BUDGET_FORMATS.includes(format);
+  const maxTokens = flags.maxTokens ?? preset.maxTokens ?? (markdown ? base.maxTokens : undefined) ?? 0;
+  if (!Number.isInteger(maxTokens) || maxTokens < 0) {
+    throw new Error(`Invalid token budget "${maxTokens}", expected a positive integer`);
+  }
+  if (maxTokens > 0 && !markdown) {
+    throw new Error(
+      `A token budget only applies to the ${BUDGET_FORMATS.join(' and ')} formats, not to ${file ? `template file ${file}` : `${format} output`}. ` +
+        'Drop --max-tokens or export as context'
+    );
+  }
+
+  const defaults = FORMAT_DEFAULTS[format] || FORMAT_DEFAULTS.context;
+  const sections = (pick('sections') || defaults.sections).map((spec) => {
+    const section = normalizeSection(spec);
+    return { ...SECTION_DEFAULTS[section.name], ...defaults.limits, ...section };
+  });
+
+  return { format, lang, sections, file, maxTokens };
+}
+
+// ============================================================
+// 内容模型
+// ============================================================
+
+const shortId = (task) => task.id.slice(0, 8);
+const dueDay = (task) => (task.dueDate ? String(task.dueDate).split('T')[0] : '');
+
+/**
+ * Shorten a description by characters and/or lines (0 = unlimited)
+ * @param {string} text
+ * @param {{truncate?: number, lines?: number}} limits
+ * @returns {string}
+ */
+function clip(text, { truncate = 0, lines = 0 }) {
+  let result = text;
+  let cut = false;
+  if (lines > 0 && result.split('\n').length > lines) {
+    result = result.split('\n').slice(0, lines).join('\n');
+    cut = true;
+  }
+  if (truncate > 0 && result.length > truncate) {
+    result = result.slice(0, truncate);
+    cut = true;
+  }
+  return cut ? `${result}\n${TRUNCATED}` : result;
+}
+
+/**
+ * Group tasks the way the export sections use them
+ * @param {object[]} tasks - With meta merged
+ * @param {{overdue: object[], soon: object[]}} due - From classifyDue
+ * @returns {Record<string, object[]>}
+ */
+export function groupTasks(tasks, { overdue, soon }) {
+  const todo = tasks.filter((t) => t.status === 'todo');
+  return {
+    overdue,
+    soon,
+    todo,
+    in_progress: tasks.filter((t) => t.status === 'in_progress'),
+    p0: todo.filter((t) => t.priority === 0),
+    p1: todo.filter((t) => t.priority === 1),
+    backlog: todo.filter((t) => t.priority >= 2),
+    // 最近完成的在前
+    done: tasks
+      .filter((t) => t.status === 'done')
+      .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || ''))),
+  };
+}
+
+/**
+ * A task rendered in full: heading, labelled fields, checklist and description
+ * @param {object} task
+ * @param {object} s - Language strings
+ * @param {{truncate?: number, lines?: number}} limits
+ * @param {string[]} fields - Which of id / priority / due / checklist to show
+ * @returns {{title: string, brief: string, fields: [string, string][], checklist: object[], body: string}}
+ */
+function taskEntry(task, s, limits, fields) {
+  const entry = {
+    title: task.title,
+    brief: `[P${task.priority}] ${task.title} (\`${shortId(task)}\`)`,
+    fields: [],
+    checklist: [],
+    body: '',
+  };
+  if (fields.includes('id')) entry.fields.push(['ID', `\`${task.id}\``]);
+  if (fields.includes('priority')) entry.fields.push([s.priority, `P${task.priority}`]);
+  if (fields.includes('due') && task.dueDate) entry.fields.push([s.due, dueDay(task)]);
+  if (fields.includes('checklist') && task.checklist?.length) {
+    const done = task.checklist.filter((i) => i.done).length;
+    entry.fields.push([s.checklist, `${done}/${task.checklist.length}`]);
+    entry.checklist = task.checklist;
+  }
+  if (task.description) entry.body = clip(task.description, limits);
+  return entry;
+}
+
+/**
+ * Build one section; null when it has nothing to show
+ * @param {object} section - From exportOptions
+ * @param {Record<string, object[]>} groups - From groupTasks
+ * @param {object} s - Language strings
+ * @returns {{name: string, title: string, kind: 'list'|'ordered'|'tasks', items: any[]}|null}
+ */
+function buildSection(section, groups, s) {
+  const { name } = section;
+  const title = s.sections[name];
+  const limit = (list) => (section.limit > 0 ? list.slice(0, section.limit) : list);
+
+  switch (name) {
+    case 'deadlines': {
+      const items = [
+        ...groups.overdue.map(
+          (t) => `**${s.overdue(-t.dueIn)}** [P${t.priority}] ${t.title} (\`${shortId(t)}\`, ${t.status}, ${s.due} ${dueDay(t)})`
+        ),
+        ...groups.soon.map((t) => `${s.dueIn(t.dueIn)} [P${t.priority}] ${t.title} (\`${shortId(t)}\`, ${s.due} ${dueDay(t)})`),
+      ];
+      return items.length > 0 ? { name, title, kind: 'list', items: limit(items) } : null;
+    }
+    case 'summary':
+      return {
+        name,
+        title,
+        kind: 'list',
+        items: ['todo', 'in_progress', 'done'].map((key) => `${s.counts[key]}: ${groups[key].length}`),
+      };
+    case 'in_progress':
+    case 'p0':
+    case 'p1': {
+      const fields = name === 'in_progress' ? ['id', 'priority', 'due', 'checklist'] : ['id', 'due', 'checklist'];
+      const tasks = limit(groups[name]);
+      return tasks.length > 0 ? { name, title, kind: 'tasks', items: tasks.map((t) => taskEntry(t, s, section, fields)) } : null;
+    }
+    case 'backlog': {
+      const tasks = limit(groups.backlog);
+      return tasks.length > 0
+        ? { name, title, kind: 'list', items: tasks.map((t) => `[P${t.priority}] ${t.title} (\`${shortId(t)}\`)`) }
+        : null;
+    }
+    case 'done': {
+      const tasks = limit(groups.done);
+      return tasks.length > 0 ? { name, title, kind: 'tasks', items: tasks.map((t) => taskEntry(t, s, section, [])) } : null;
+    }
+    case 'guide':
+      return {
+        name,
+        title,
+        kind: 'ordered',
+        items: [...(groups.overdue.length > 0 ? [s.guide.overdue] : []), ...s.guide.steps],
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Language-independent export model shared by every text format
+ * @param {object} project
+ * @param {object[]} tasks - With meta merged
+ * @param {{overdue: object[], soon: object[]}} due - From classifyDue
+ * @param {{format: string, lang: string, sections: object[]}} options - From exportOptions
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export function buildExport(project, tasks, due, options, now = new Date()) {
+  const s = STRINGS[options.lang];
+  const groups = groupTasks(tasks, due);
+  return {
+    project,
+    lang: options.lang,
+    strings: s,
+    title: `${project.name} - ${options.format === 'context' ? s.title.context : s.title.board}`,
+    generatedAt: now.toISOString(),
+    groups,
+    sections: options.sections.map((section) => buildSection(section, groups, s)).filter(Boolean),
+  };
+}
+
+// ============================================================
+// Markdown (context / markdown)
+// ============================================================
+
+/**
+ * @param {object} section - From buildExport
+ * @returns {string[]}
+ */
+function sectionMarkdown(section) {
+  const lines = [];
+  if (section.name === 'guide') lines.push(`\n---`);
+  lines.push(`\n## ${section.title}`);
+
+  if (section.kind === 'list') {
+    section.items.forEach((item) => lines.push(`- ${item}`));
+  } else if (section.kind === 'ordered') {
+    section.items.forEach((item, i) => lines.push(`${i + 1}. ${item}`));
+  } else {
+    for (const entry of section.items.filter((e) => !e.summarized)) {
+      lines.push(`\n### ${entry.title}`);
+      entry.fields.forEach(([label, value]) => lines.push(`- ${label}: ${value}`));
+      entry.checklist.forEach((item) => lines.push(`  - [${item.done ? 'x' : ' '}] ${item.text}`));
+      if (entry.body) lines.push(`\n${entry.body}`);
+    }
+    const summarized = section.items.filter((e) => e.summarized);
+    if (summarized.length > 0) lines.push('', ...summarized.map((e) => `- ${e.brief}`));
+  }
+  return lines;
+}
+
+/**
+ * @param {object} model - From buildExport
+ * @returns {string}
+ */
+export function formatExportMarkdown(model) {
+  const s = model.strings;
+  const lines = [`# ${model.title}`];
+  lines.push(`\n> ${s.path}: ${model.project.path}`);
+  lines.push(`> ${s.branch}: ${model.project.defaultBranch}`);
+  lines.push(`> ${s.generated}: ${model.generatedAt}`);
+  model.sections.forEach((section) => lines.push(...sectionMarkdown(section)));
+  const note = budgetNote(model);
+  if (note) lines.push(`\n> ${note}`);
+  return lines.join('\n');
+}
+
+// ============================================================
+// Token 预算
+// ============================================================
+
+const BUDGET_SECTIONS = ['in_progress', 'p0', 'p1', 'backlog', 'done'];
+
+// 先让紧急任务都有一行摘要，再展开其详情，最后才轮到 P2+ 和已完成任务
+const BUDGET_TIERS = [
+  { sections: ['in_progress', 'p0', 'p1'], mode: 'brief' },
+  { sections: ['in_progress', 'p0', 'p1'], mode: 'full' },
+  { sections: ['backlog', 'done'], mode: 'brief' },
+  { sections: ['done'], mode: 'full' },
+];
+
+// 预留给裁剪说明的 token
+const BUDGET_NOTE_TOKENS = 80;
+
+/**
+ * Rough token count: one per CJK character, one per four other characters
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return Math.ceil(cjk + (text.length - cjk) / 4);
+}
+
+/**
+ * Greedily fit the export into a token budget. Summary and guide are always
+ * kept; deadlines are listed in order while they fit, the rest collapsed into
+ * one "N more" line. Tasks that do not fit in full are listed by title, and
+ * dropped when even that does not fit.
+ * @param {object} model - From buildExport
+ * @param {number} maxTokens
+ * @returns {object} Model with trimmed sections and a budget report
+ * @throws {Error} When the budget cannot hold even the fixed sections
+ */
+export function fitTokenBudget(model, maxTokens) {
+  const s = model.strings;
+  const flexible = model.sections.filter((section) => BUDGET_SECTIONS.includes(section.name));
+  const states = new Map(flexible.map((section) => [section.name, section.items.map(() => 'dropped')]));
+  const deadlines = model.sections.find((section) => section.name === 'deadlines');
+  const deadlineItems = deadlines ? deadlines.items : [];
+
+  // 最小输出: 任务区块为空，截止日期只剩 "N more" 一行
+  const trimDeadlines = (shown) =>
+    shown < deadlineItems.length ? [...deadlineItems.slice(0, shown), s.more(deadlineItems.length - shown)] : deadlineItems;
+  const shell = {
+    ...model,
+    sections: model.sections.map((sec) => {
+      if (states.has(sec.name)) return { ...sec, items: [] };
+      return sec === deadlines ? { ...sec, items: trimDeadlines(0) } : sec;
+    }),
+  };
+  const minimum = estimateTokens(formatExportMarkdown(shell)) + BUDGET_NOTE_TOKENS;
+  if (minimum > maxTokens) {
+    throw new Error(
+      `Token budget ${maxTokens} is too small: the header, deadlines, summary and guide need about ${minimum} tokens. ` +
+        'Raise --max-tokens or leave sections out with --sections='
+    );
+  }
+  let remaining = maxTokens - minimum;
+
+  const briefCost = (item) => estimateTokens(`- ${typeof item === 'string' ? item : item.brief}\n`);
+  const fullCost = (section, item) => estimateTokens(sectionMarkdown({ ...section, items: [item] }).slice(1).join('\n'));
+
+  // 截止日期最先处理: 按顺序列出，放不下的从这里开始都算进 "N more"
+  let shownDeadlines = 0;
+  while (shownDeadlines < deadlineItems.length) {
+    const last = shownDeadlines === deadlineItems.length - 1;
+    const cost = briefCost(deadlineItems[shownDeadlines]) - (last ? briefCost(s.more(1)) : 0);
+    if (cost > remaining) break;
+    shownDeadlines++;
+    remaining -= cost;
+  }
+
+  for (const tier of BUDGET_TIERS) {
+    for (const name of tier.sections) {
+      const section = flexible.find((sec) => sec.name === name);
+      if (!section) continue;
+      const state = states.get(name);
+
+      section.items.forEach((item, i) => {
+        if (tier.mode === 'brief' && state[i] === 'dropped') {
+          const cost = briefCost(item);
+          if (cost > remaining) return;
+          state[i] = 'brief';
+          remaining -= cost;
+        } else if (tier.mode === 'full' && state[i] === 'brief') {
+          const cost = fullCost(section, item) - briefCost(item);
+          if (cost > remaining) return;
+          state[i] = 'full';
+          remaining -= cost;
+        }
+      });
+    }
+  }
+
+  const report = flexible.map((section) => {
+    const state = states.get(section.name);
+    const count = (value) => state.filter((s) => s === value).length;
+    // backlog 本来就是一行一个任务，列出即完整
+    return section.kind === 'list'
+      ? { name: section.name, full: count('brief'), summarized: 0, dropped: count('dropped') }
+      : { name: section.name, full: count('full'), summarized: count('brief'), dropped: count('dropped') };
+  });
+  if (deadlines) {
+    report.unshift({ name: 'deadlines', full: shownDeadlines, summarized: 0, dropped: deadlineItems.length - shownDeadlines });
+  }
+
+  const sections = model.sections
+    .map((section) => {
+      if (section === deadlines) return { ...section, items: trimDeadlines(shownDeadlines) };
+      const state = states.get(section.name);
+      if (!state) return section;
+      const items = section.items
+        .map((item, i) => (state[i] === 'brief' && section.kind === 'tasks' ? { ...item, summarized: true } : item))
+        .filter((_, i) => state[i] !== 'dropped');
+      return { ...section, items };
+    })
+    .filter((section) => !states.has(section.name) || section.items.length > 0);
+
+  return { ...model, sections, budget: { maxTokens, sections: report } };
+}
+
+/**
+ * What the budget left out, for the reader of the export; null when nothing was
+ * @param {object} model
+ * @returns {string|null}
+ */
+function budgetNote(model) {
+  if (!model.budget) return null;
+  const s = model.strings;
+  // 截止日期自己有 "N more" 一行，且这些任务通常也在任务区块中
+  const reports = model.budget.sections.filter((r) => r.name !== 'deadlines');
+  const summarized = reports.reduce((n, r) => n + r.summarized, 0);
+  const dropped = reports.filter((r) => r.dropped > 0);
+  if (summarized === 0 && dropped.length === 0) return null;
+
+  const total = dropped.reduce((n, r) => n + r.dropped, 0);
+  return s.budget(model.budget.maxTokens, summarized, total, dropped.map((r) => `${s.short[r.name]} ${r.dropped}`).join(', '));
+}
+
+// ============================================================
+// HTML
+// ============================================================
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * Escape, then render the inline Markdown the sections use (**bold**, `code`)
+ * @param {string} text
+ * @returns {string}
+ */
+function inlineHtml(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+const HTML_STYLE = `
+  body { font: 15px/1.5 -apple-system, "Segoe UI", sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #222; }
+  h1 { margin-bottom: 0.2em; }
+  .meta { color: #666; font-size: 0.9em; }
+  h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.2em; margin-top: 1.6em; }
+  article { border-left: 3px solid #ccc; padding: 0.2em 0 0.2em 1em; margin: 1em 0; }
+  article h3 { margin: 0 0 0.3em; }
+  ul.fields, ul.checklist { list-style: none; padding-left: 0; margin: 0.3em 0; }
+  pre { white-space: pre-wrap; background: #f6f8fa; padding: 0.6em; border-radius: 4px; }
+  code { background: #f0f0f0; padding: 0 0.25em; border-radius: 3px; }`;
+
+/**
+ * Self-contained HTML page
+ * @param {object} model - From buildExport
+ * @returns {string}
+ */
+export function formatExportHtml(model) {
+  const s = model.strings;
+  const out = [
+    '<!DOCTYPE html>',
+    `<html lang="${model.lang}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(model.title)}</title>`,
+    `<style>${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(model.title)}</h1>`,
+    `<p class="meta">${escapeHtml(s.path)}: ${escapeHtml(model.project.path)} · ${escapeHtml(s.branch)}: ${escapeHtml(
+      model.project.defaultBranch
+    )} · ${escapeHtml(s.generated)}: ${escapeHtml(model.generatedAt)}</p>`,
+  ];
+
+  for (const section of model.sections) {
+    out.push(`<section id="${section.name}">`, `<h2>${escapeHtml(section.title)}</h2>`);
+    if (section.kind === 'tasks') {
+      for (const entry of section.items.filter((e) => !e.summarized)) {
+        out.push('<article>', `<h3>${escapeHtml(entry.title)}</h3>`);
+        if (entry.fields.length > 0) {
+          out.push(
+            '<ul class="fields">',
+            ...entry.fields.map(([label, value]) => `<li>${escapeHtml(label)}: ${inlineHtml(value)}</li>`),
+            '</ul>'
+          );
+        }
+        if (entry.checklist.length > 0) {
+          out.push(
+            '<ul class="checklist">',
+            ...entry.checklist.map(
+              (item) => `<li><input type="checkbox" disabled${item.done ? ' checked' : ''}> ${escapeHtml(item.text)}</li>`
+            ),
+            '</ul>'
+          );
+        }
+        if (entry.body) out.push(`<pre>${escapeHtml(entry.body)}</pre>`);
+        out.push('</article>');
+      }
+      const summarized = section.items.filter((e) => e.summarized);
+      if (summarized.length > 0) {
+        out.push('<ul>', ...summarized.map((e) => `<li>${inlineHtml(e.brief)}</li>`), '</ul>');
+      }
+    } else {
+      const tag = section.kind === 'ordered' ? 'ol' : 'ul';
+      out.push(`<${tag}>`, ...section.items.map((item) => `<li>${inlineHtml(item)}</li>`), `</${tag}>`);
+    }
+    out.push('</section>');
+  }
+
+  const note = budgetNote(model);
+  if (note) out.push(`<p class="meta">${inlineHtml(note)}</p>`);
+  out.push('</body>', '</html>');
+  return out.join('\n');
+}
+
+// ============================================================
+// iCalendar
+// ============================================================
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcal(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1) without splitting characters
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcal(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // 续行以空格开头，占 1 个字节
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const icalDate = (day) => day.replace(/-/g, '');
+
+/**
+ * All-day events on the due dates of unfinished tasks
+ * @param {object} project
+ * @param {object[]} tasks
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function formatExportIcal(project, tasks, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Code Kanban//kanban-cli//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcal(project.name)}`,
+  ];
+
+  for (const task of tasks) {
+    const day = dueDay(task);
+    if (task.status === 'done' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) continue;
+    const next = new Date(`${day}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${task.id}@code-kanban`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icalDate(day)}`,
+      `DTEND;VALUE=DATE:${icalDate(next.toISOString().slice(0, 10))}`,
+      `SUMMARY:${escapeIcal(`[P${task.priority}] ${task.title}`)}`
+    );
+    if (task.description) lines.push(`DESCRIPTION:${escapeIcal(task.description)}`);
+    if (task.tags?.length) lines.push(`CATEGORIES:${task.tags.map(escapeIcal).join(',')}`);
+    lines.push(`PRIORITY:${task.priority + 1}`, 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcal).join('\r\n') + '\r\n';
+}
+
+// ============================================================
+// 模板文件
+// ============================================================
+
+// 一次替换完成，代入的值 (如描述中的 {{...}}) 不会再被解析
+const TOKEN_RE =
+  /\{\{#(each|if)\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{\s*section\s+"([\w-]+)"\s*\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Fields a template can use for each task
+ * @param {object} task
+ * @returns {Record<string, string|number>}
+ */
+function taskView(task) {
+  const checklist = task.checklist || [];
+  return {
+    id: task.id,
+    shortId: shortId(task),
+    title: task.title,
+    status: task.status,
+    priority: `P${task.priority}`,
+    due: dueDay(task),
+    dueIn: task.dueIn ?? '',
+    tags: (task.tags || []).join(', '),
+    description: task.description || '',
+    progress: checklist.length > 0 ? `${checklist.filter((i) => i.done).length}/${checklist.length}` : '',
+    checklist: checklist.map((i) => `- [${i.done ? 'x' : ' '}] ${i.text}`).join('\n'),
+  };
+}
+
+/**
+ * @param {object} scope
+ * @param {string} key - Dotted path
+ * @returns {any} undefined when the path does not exist
+ */
+function lookup(scope, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), scope);
+}
+
+/**
+ * @param {string} source
+ * @param {object} scope
+ * @param {Map<string, string>} sections - Rendered sections by name
+ * @returns {string}
+ */
+function renderTemplate(source, scope, sections) {
+  const value = (key) => {
+    const found = lookup(scope, key);
+    if (found === undefined) throw new Error(`Unknown template variable "${key}"`);
+    return found;
+  };
+
+  return source.replace(TOKEN_RE, (_, type, key, inner, section, name) => {
+    if (section) {
+      normalizeSection(section);
+      // 未选中或为空的区块 (如没有 P0 任务) 渲染为空
+      return sections.get(section) || '';
+    }
+    if (name) {
+      const found = value(name);
+      return found === null ? '' : String(found);
+    }
+
+    const list = value(key);
+    if (type === 'each') {
+      return (Array.isArray(list) ? list : []).map((item) => renderTemplate(inner, { ...scope, ...item }, sections)).join('');
+    }
+    const [then, otherwise = ''] = inner.split('{{else}}');
+    const truthy = Array.isArray(list) ? list.length > 0 : Boolean(list);
+    return renderTemplate(truthy ? then : otherwise, scope, sections);
+  });
+}
+
+/**
+ * Render a user template file against the export model
+ * @param {string} source - Template file content
+ * @param {object} model - From buildExport
+ * @returns {string}
+ */
+export function renderExportTemplate(source, model) {
+  const sections = new Map(model.sections.map((section) => [section.name, sectionMarkdown(section).join('\n').trim()]));
+  const lists = Object.fromEntries(Object.entries(model.groups).map(([key, list]) => [key, list.map(taskView)]));
+  const scope = {
+    project: { name: model.project.name, path: model.project.path, branch: model.project.defaultBranch },
+    title: model.title,
+    generatedAt: model.generatedAt,
+    lang: model.lang,
+    counts: Object.fromEntries(Object.entries(model.groups).map(([key, list]) => [key, list.length])),
+    ...lists,
+  };
+
+  return renderTemplate(source, scope, sections);
+}
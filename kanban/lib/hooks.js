@@ -0,0 +1,207 @@
+/**
+ * Kanban 事件钩子 - 任务变化时执行本地命令或 POST 到 URL
+ *
+ * 配置 (.kanban/config.json):
+ *   "hooks": {
+ *     "task.done": [
+ *       "pi test affected",
+ *       { "run": "pi audit archive", "when": "tag:audit", "timeout": 600 },
+ *       { "url": "https://hooks.example.com/kanban", "headers": { "Authorization": "Bearer xxx" } }
+ *     ],
+ *     "task.moved": "echo \"$KANBAN_TASK_TITLE: $KANBAN_FROM_STATUS -> $KANBAN_TASK_STATUS\""
+ *   }
+ *
+ * 事件:
+ *   task.created  创建任务
+ *   task.started  状态变为 in_progress
+ *   task.done     状态变为 done
+ *   task.moved    任意状态变化 (started / done 时同样触发)
+ *
+ * 命令在项目根目录用 sh 执行，stdin 为 JSON 事件，输出写到 stderr；URL 收到
+ * 同样的 JSON (POST)。when 为查询表达式 (语法同 list --where)，只对匹配的任务
+ * 触发，加载配置时即检查语法。钩子失败只警告，不影响已完成的操作；命令执行后
+ * 触发钩子时，配置有误的钩子同样只警告并跳过。
+ *
+ * 钩子依次执行，命令默认超时 60 秒 (URL 10 秒)，超时结束命令的整个进程组。
+ */
+
+import { spawn } from 'child_process';
+import { compileQuery } from './query.js';
+
+export const HOOK_EVENTS = ['task.created', 'task.started', 'task.done', 'task.moved'];
+
+// 秒；钩子在命令结束后依次执行，慢的钩子会拖住每次 done / move，耗时长的命令单独设置 timeout
+const DEFAULT_TIMEOUT = { run: 60, url: 10 };
+
+/**
+ * Events a status change fires
+ * @param {string|null|undefined} from - Previous status (unknown when not cached)
+ * @param {string} to
+ * @returns {string[]}
+ */
+export function statusEvents(from, to) {
+  if (!to || from === to) return [];
+  const events = ['task.moved'];
+  if (to === 'in_progress') events.push('task.started');
+  if (to === 'done') events.push('task.done');
+  return events;
+}
+
+/**
+ * Validate the "hooks" config into a list per event, including the syntax of
+ * each "when" query
+ * @param {object} [config] - Project config
+ * @param {{onInvalid?: (message: string) => void}} [options] - With onInvalid,
+ *   invalid events / hooks are reported and skipped instead of thrown
+ * @returns {Record<string, {run?: string, url?: string, when?: string, headers?: object, timeout?: number}[]>}
+ */
+export function loadHooks(config = {}, { onInvalid } = {}) {
+  const hooks = {};
+  const invalid = (message) => {
+    if (!onInvalid) throw new Error(message);
+    onInvalid(message);
+  };
+
+  for (const [event, value] of Object.entries(config.hooks || {})) {
+    if (!HOOK_EVENTS.includes(event)) {
+      invalid(`Unknown hook event "${event}". Available: ${HOOK_EVENTS.join(', ')}`);
+      continue;
+    }
+    hooks[event] = [];
+    for (const hook of Array.isArray(value) ? value : [value]) {
+      const normalized = typeof hook === 'string' ? { run: hook } : hook;
+      if (!normalized || Boolean(normalized.run) === Boolean(normalized.url)) {
+        invalid(`Invalid hook for ${event}: expected a command string, { "run" } or { "url" }`);
+        continue;
+      }
+      if (normalized.when !== undefined) {
+        try {
+          compileQuery(String(normalized.when));
+        } catch (err) {
+          invalid(`Invalid "when" in ${event} hook ${describeHook(normalized)}: ${err.message}`);
+          continue;
+        }
+      }
+      hooks[event].push(normalized);
+    }
+  }
+
+  return hooks;
+}
+
+/**
+ * Hooks to run for an event on a task
+ * @param {ReturnType<typeof loadHooks>} hooks
+ * @param {string} event
+ * @param {object} task
+ * @param {(hook: object, err: Error) => void} [onError] - A hook whose "when"
+ *   fails is reported and skipped instead of thrown
+ * @returns {object[]}
+ */
+export function matchingHooks(hooks, event, task, onError) {
+  return (hooks[event] || []).filter((hook) => {
+    try {
+      return !hook.when || compileQuery(String(hook.when))(task);
+    } catch (err) {
+      if (!onError) throw err;
+      onError(hook, err);
+      return false;
+    }
+  });
+}
+
+/**
+ * Short label for messages
+ * @param {{run?: string, url?: string}} hook
+ * @returns {string}
+ */
+export function describeHook(hook) {
+  return hook.run ? `\`${hook.run}\`` : `POST ${hook.url}`;
+}
+
+/**
+ * @param {string} command
+ * @param {object} payload
+ * @param {{cwd: string, timeout: number}} options
+ * @returns {Promise<void>}
+ */
+function runCommand(command, payload, { cwd, timeout }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('sh', ['-c', command], {
+      cwd,
+      // 独立进程组: 超时时结束命令启动的全部子进程
+      detached: true,
+      // 命令输出写到 stderr，不混入 --json 等输出
+      stdio: ['pipe', 2, 2],
+      env: {
+        ...process.env,
+        KANBAN_EVENT: payload.event,
+        KANBAN_TASK_ID: payload.task.id,
+        KANBAN_TASK_TITLE: payload.task.title || '',
+        KANBAN_TASK_STATUS: payload.task.status || '',
+        KANBAN_FROM_STATUS: payload.from || '',
+      },
+    });
+
+    const timer = setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGTERM');
+      } catch {
+        // 进程已退出
+      }
+      reject(new Error(`timed out after ${timeout}s`));
+    }, timeout * 1000);
+
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(signal ? `killed by ${signal}` : `exit code ${code}`));
+    });
+
+    // 命令不读 stdin 时忽略 EPIPE
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * @param {{url: string, headers?: object}} hook
+ * @param {object} payload
+ * @param {number} timeout
+ * @returns {Promise<void>}
+ */
+async function postHook(hook, payload, timeout) {
+  const response = await fetch(hook.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...hook.headers },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeout * 1000),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+}
+
+/**
+ * Run one hook; failures are reported, never thrown
+ * @param {{run?: string, url?: string, headers?: object, timeout?: number}} hook
+ * @param {{event: string, task: object, from?: string|null}} payload
+ * @param {{cwd: string}} options
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function runHook(hook, payload, { cwd }) {
+  const timeout = hook.timeout ?? (hook.run ? DEFAULT_TIMEOUT.run : DEFAULT_TIMEOUT.url);
+  try {
+    if (hook.run) await runCommand(hook.run, payload, { cwd, timeout });
+    else await postHook(hook, payload, timeout);
+    return { ok: true };
+  } catch (err) {
+    if (err.name === 'TimeoutError') return { ok: false, error: `timed out after ${timeout}s` };
+    // fetch 的网络错误只有 "fetch failed"，原因在 cause 中
+    return { ok: false, error: err.cause?.message || err.message };
+  }
+}
@@ -0,0 +1,358 @@
+/**
+ * Kanban 任务导入 - JSON / Markdown 清单 / CSV / GitHub Issues
+ *
+ * 所有解析器输出统一结构:
+ *   { title, description, priority, tags, dueDate, status }
+ */
+
+import path from 'path';
+
+export const IMPORT_FORMATS = ['json', 'markdown', 'csv', 'github'];
+
+const DEFAULT_PRIORITY = 2;
+
+// ============================================================
+// 公共
+// ============================================================
+
+/**
+ * @param {Partial<object>} task
+ * @returns {{title: string, description: string, priority: number, tags: string[], dueDate: string|null, status: string}}
+ */
+function normalizeTask(task) {
+  return {
+    title: String(task.title || '').trim(),
+    description: task.description || '',
+    priority: Number.isInteger(task.priority) ? task.priority : DEFAULT_PRIORITY,
+    tags: task.tags || [],
+    dueDate: task.dueDate || null,
+    status: task.status || 'todo',
+  };
+}
+
+/**
+ * Parse "P0" / "p1" / "0" into a priority number
+ * @param {string|number} value
+ * @returns {number|undefined}
+ */
+function parsePriority(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value || '').trim().match(/^p?([0-3])$/i);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+/**
+ * Normalize a title for duplicate detection
+ * @param {string} title
+ * @returns {string}
+ */
+export function titleKey(title) {
+  return String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// ============================================================
+// JSON
+// ============================================================
+
+/**
+ * @param {string} content - JSON array of tasks (or { items: [...] })
+ * @returns {object[]}
+ */
+export function parseJsonTasks(content) {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : data.items || [];
+  return items.map((t) => normalizeTask({ ...t, priority: parsePriority(t.priority) }));
+}
+
+// ============================================================
+// Markdown 清单
+// ============================================================
+
+const CHECKBOX_RE = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.+)$/;
+
+/**
+ * Extract #tag / P0 / due:YYYY-MM-DD tokens from a checklist title
+ * @param {string} text
+ * @returns {{title: string, tags: string[], priority?: number, dueDate?: string}}
+ */
+function parseTitleTokens(text) {
+  const tags = [];
+  let priority;
+  let dueDate;
+
+  const words = text.split(/\s+/).filter((word) => {
+    if (/^#[\w/.-]+$/.test(word)) {
+      tags.push(word.slice(1));
+      return false;
+    }
+    if (priority === undefined && /^P[0-3]$/.test(word)) {
+      priority = parseInt(word.slice(1), 10);
+      return false;
+    }
+    const due = word.match(/^due:(\d{4}-\d{2}-\d{2})$/);
+    if (due) {
+      dueDate = due[1];
+      return false;
+    }
+    return true;
+  });
+
+  return { title: words.join(' '), tags, priority, dueDate };
+}
+
+/**
+ * Parse a Markdown checklist. Top-level `- [ ] title` items become tasks;
+ * lines indented below an item become its description.
+ * @param {string} content
+ * @returns {object[]}
+ */
+export function parseMarkdownTasks(content) {
+  const tasks = [];
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const body = current.body;
+    while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+    const indent = Math.min(...body.filter((l) => l.trim()).map((l) => l.match(/^\s*/)[0].length));
+    current.task.description = body.map((l) => l.slice(Number.isFinite(indent) ? indent : 0)).join('\n');
+    tasks.push(normalizeTask(current.task));
+    current = null;
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(CHECKBOX_RE);
+
+    // 与当前任务同级或更浅的清单项 → 新任务
+    if (match && (!current || match[1].length <= current.indent)) {
+      flush();
+      const tokens = parseTitleTokens(match[3]);
+      current = {
+        indent: match[1].length,
+        body: [],
+        task: { ...tokens, status: match[2] === ' ' ? 'todo' : 'done' },
+      };
+      continue;
+    }
+
+    if (!current) continue;
+
+    const indent = line.match(/^\s*/)[0].length;
+    if (line.trim() === '' || indent > current.indent) {
+      current.body.push(line);
+    } else {
+      // 非缩进的普通文本结束当前任务
+      flush();
+    }
+  }
+  flush();
+
+  return tasks;
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+/**
+ * Split CSV text into rows (RFC 4180: quoted fields, "" escapes, embedded newlines)
+ * @param {string} content
+ * @returns {string[][]}
+ */
+export function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((f) => f.trim() !== ''));
+}
+
+// 表头别名 → 字段
+const CSV_COLUMNS = {
+  title: 'title',
+  name: 'title',
+  summary: 'title',
+  description: 'description',
+  desc: 'description',
+  body: 'description',
+  priority: 'priority',
+  tags: 'tags',
+  labels: 'tags',
+  due: 'dueDate',
+  duedate: 'dueDate',
+  due_date: 'dueDate',
+  status: 'status',
+};
+
+/**
+ * Parse CSV with a header row (title, description, priority, tags, due, status)
+ * @param {string} content
+ * @returns {object[]}
+ */
+export function parseCsvTasks(content) {
+  const [header, ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map((h) => CSV_COLUMNS[h.trim().toLowerCase().replace(/\s+/g, '_')]);
+  if (!columns.includes('title')) {
+    throw new Error(`CSV header must contain a "title" column (got: ${header.join(', ')})`);
+  }
+
+  return rows.map((cells) => {
+    const raw = {};
+    columns.forEach((col, i) => {
+      if (col && cells[i] !== undefined) raw[col] = cells[i].trim();
+    });
+
+    return normalizeTask({
+      title: raw.title,
+      description: raw.description?.replace(/\\n/g, '\n'),
+      priority: parsePriority(raw.priority),
+      tags: raw.tags ? raw.tags.split(/[;,|]/).map((t) => t.trim()).filter(Boolean) : [],
+      dueDate: raw.dueDate || null,
+      status: raw.status || undefined,
+    });
+  });
+}
+
+// ============================================================
+// GitHub Issues
+// ============================================================
+
+/**
+ * Map GitHub labels to a priority (P0, priority:high, priority/p1 ...)
+ * @param {string[]} labels
+ * @returns {{priority?: number, tags: string[]}}
+ */
+function splitPriorityLabels(labels) {
+  const named = { critical: 0, urgent: 0, high: 1, medium: 2, low: 3 };
+  let priority;
+  const tags = [];
+
+  for (const label of labels) {
+    const match = label.match(/^(?:priority[:/ -]?)?(p[0-3]|critical|urgent|high|medium|low)$/i);
+    const isPriority = match && (/^p[0-3]$/i.test(match[1]) || /^priority/i.test(label));
+    if (isPriority && priority === undefined) {
+      priority = parsePriority(match[1]) ?? named[match[1].toLowerCase()];
+    } else {
+      tags.push(label);
+    }
+  }
+
+  return { priority, tags };
+}
+
+/**
+ * Parse a GitHub issues export (`gh issue list --json ...` or REST API output)
+ * @param {string} content
+ * @returns {object[]}
+ */
+export function parseGithubIssues(content) {
+  const data = JSON.parse(content);
+  const issues = Array.isArray(data) ? data : data.items || [];
+
+  return issues
+    .filter((issue) => !issue.pull_request)
+    .map((issue) => {
+      const labels = (issue.labels || []).map((l) => (typeof l === 'string' ? l : l.name)).filter(Boolean);
+      const { priority, tags } = splitPriorityLabels(labels);
+      const url = issue.html_url || issue.url;
+      const ref = issue.number ? `GitHub: #${issue.number}${url ? ` (${url})` : ''}` : '';
+
+      return normalizeTask({
+        title: issue.title,
+        description: [issue.body || '', ref].filter(Boolean).join('\n\n'),
+        priority,
+        tags,
+        dueDate: issue.milestone?.due_on || issue.milestone?.dueOn || null,
+        status: String(issue.state || '').toLowerCase() === 'closed' ? 'done' : 'todo',
+      });
+    });
+}
+
+// ============================================================
+// 格式检测
+// ============================================================
+
+/**
+ * Guess the import format from extension and content
+ * @param {string} filePath
+ * @param {string} content
+ * @returns {string}
+ */
+export function detectFormat(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.md' || ext === '.markdown') return 'markdown';
+  if (ext === '.csv') return 'csv';
+
+  try {
+    const data = JSON.parse(content);
+    const first = (Array.isArray(data) ? data : data.items || [])[0];
+    if (first && typeof first.number === 'number' && ('body' in first || 'labels' in first)) {
+      return 'github';
+    }
+    return 'json';
+  } catch {
+    return CHECKBOX_RE.test(content.split(/\r?\n/).find((l) => l.trim()) || '') ? 'markdown' : 'json';
+  }
+}
+
+/**
+ * Parse an import file
+ * @param {string} content
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {object[]}
+ */
+export function parseImport(content, format) {
+  switch (format) {
+    case 'json':
+      return parseJsonTasks(content);
+    case 'markdown':
+    case 'md':
+      return parseMarkdownTasks(content);
+    case 'csv':
+      return parseCsvTasks(content);
+    case 'github':
+    case 'gh':
+      return parseGithubIssues(content);
+    default:
+      throw new Error(`Unknown import format: ${format} (expected ${IMPORT_FORMATS.join('|')})`);
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Kanban 变更日志 - 可撤销的操作记录
+ *
+ * .kanban/journal.jsonl 每行一次操作:
+ *   { id, at, author, command, where?, changes: [...], undoneAt? }
+ *
+ * 每次 CLI 调用 (含 tui 会话) 的全部变更合并为一条记录。
+ *
+ * change:
+ *   { taskId, op: 'create', after }           after 为创建时的字段
+ *   { taskId, op: 'edit', before, after }     before/after 只含被修改的字段
+ *   { taskId, op: 'meta', before, after }     本地字段 (清单、依赖等)，同上
+ *   { taskId, op: 'delete', before, meta }    before 为删除前的完整任务
+ */
+
+import { readStoreLines, appendStoreLine, writeStoreLines, withStoreLock } from './store.js';
+import { getAuthor } from './activity.js';
+
+const JOURNAL_FILE = 'journal.jsonl';
+
+/** Task fields a journal entry can restore */
+export const JOURNAL_FIELDS = ['title', 'description', 'priority', 'tags', 'dueDate', 'status', 'worktreeId'];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * @param {string} root
+ * @returns {Promise<object[]>} Oldest first
+ */
+export async function loadJournal(root) {
+  return readStoreLines(root, JOURNAL_FILE);
+}
+
+/**
+ * Record an operation; entries without changes are not stored
+ * @param {string} root
+ * @param {{command: string, changes: object[]} & Record<string, any>} entry
+ * @returns {Promise<object|null>}
+ */
+export async function appendJournal(root, entry) {
+  if (entry.changes.length === 0) return null;
+  // 读取最后一个 ID 和追加之间持有锁，并行的 kanban 进程不会分到同一个 ID
+  return withStoreLock(root, async () => {
+    const journal = await loadJournal(root);
+    const record = {
+      id: (journal[journal.length - 1]?.id || 0) + 1,
+      at: new Date().toISOString(),
+      author: getAuthor(),
+      ...entry,
+    };
+    await appendStoreLine(root, JOURNAL_FILE, record);
+    return record;
+  });
+}
+
+/**
+ * Flag entries as undone
+ * @param {string} root
+ * @param {number[]} ids
+ * @returns {Promise<void>}
+ */
+export async function markUndone(root, ids) {
+  const at = new Date().toISOString();
+  await withStoreLock(root, async () => {
+    const journal = await loadJournal(root);
+    await writeStoreLines(
+      root,
+      JOURNAL_FILE,
+      journal.map((e) => (ids.includes(e.id) ? { ...e, undoneAt: at } : e))
+    );
+  });
+}
+
+/**
+ * Rewrite task IDs (offline tasks synced, deleted tasks restored)
+ * @param {string} root
+ * @param {Map<string, string>} idMap
+ * @returns {Promise<void>}
+ */
+export async function remapJournalIds(root, idMap) {
+  if (idMap.size === 0) return;
+  await withStoreLock(root, async () => {
+    const journal = await loadJournal(root);
+    const remap = (id) => idMap.get(id) || id;
+    // 依赖 (blockedBy) 中的任务 ID 也要一起替换，否则撤销时会误判为冲突
+    const remapFields = (fields) =>
+      fields && Array.isArray(fields.blockedBy) ? { ...fields, blockedBy: fields.blockedBy.map(remap) } : fields;
+
+    await writeStoreLines(
+      root,
+      JOURNAL_FILE,
+      journal.map((e) => ({
+        ...e,
+        changes: e.changes.map((c) => ({
+          ...c,
+          taskId: remap(c.taskId),
+          ...(c.op === 'meta' ? { before: remapFields(c.before), after: remapFields(c.after) } : {}),
+        })),
+      }))
+    );
+  });
+}
+
+/**
+ * The before/after values of the fields an update actually changes
+ * @param {object} task
+ * @param {object} updates
+ * @returns {{before: object, after: object}|null} null when nothing changes
+ */
+export function diffFields(task, updates) {
+  const before = {};
+  const after = {};
+  for (const key of JOURNAL_FIELDS) {
+    if (updates[key] === undefined || same(task[key], updates[key])) continue;
+    before[key] = task[key] ?? null;
+    after[key] = updates[key];
+  }
+  return Object.keys(after).length > 0 ? { before, after } : null;
+}
+
+/**
+ * The before/after values of changed local (meta) fields
+ * @param {object} before
+ * @param {object} after
+ * @returns {{before: object, after: object}|null}
+ */
+export function diffMeta(before, after) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter((k) => !same(before[k], after[k]));
+  if (keys.length === 0) return null;
+  return {
+    before: Object.fromEntries(keys.map((k) => [k, before[k] ?? null])),
+    after: Object.fromEntries(keys.map((k) => [k, after[k] ?? null])),
+  };
+}
+
+/**
+ * How to revert one change given the task's current state. `conflict` is set
+ * when the task changed since; `op` is null when the change cannot be reverted.
+ * @param {object} change
+ * @param {object|undefined} current - Task as it is now (with meta merged)
+ * @returns {{op: 'edit'|'meta'|'remove'|'restore'|null, fields?: object, task?: object, meta?: object, conflict?: string}}
+ */
+export function inverseChange(change, current) {
+  if (change.op === 'delete') {
+    return current
+      ? { op: null, conflict: 'task exists again' }
+      : { op: 'restore', task: change.before, meta: change.meta };
+  }
+  if (!current) {
+    return { op: null, conflict: 'task no longer exists' };
+  }
+
+  const fields = change.op === 'create' ? JOURNAL_FIELDS.filter((k) => k in change.after) : Object.keys(change.after);
+  const drifted = fields.filter((k) => !same(current[k], change.after[k]));
+  const conflict = drifted.length > 0 ? `changed since (${drifted.join(', ')})` : undefined;
+
+  if (change.op === 'create') return { op: 'remove', conflict };
+  return { op: change.op, fields: change.before, conflict };
+}
@@ -0,0 +1,352 @@
+/**
+ * Kanban 执行计划可视化 - Mermaid / Graphviz DOT 依赖图和 HTML 甘特图
+ *
+ * 输入为 kanban-planner.js 生成的计划 (即 --json 的输出)。
+ *
+ * 依赖图: 每一波是一个子图，关键路径上的任务和依赖加粗标红；因文件冲突延后的任务
+ * 用虚线连到与它冲突的任务，--break-cycles 忽略的依赖画成点线；循环依赖上没有
+ * 排期的任务单独成组。
+ *
+ * HTML: 单个自包含文件 (内联样式，没有脚本和外部资源)，按 `run` 的逐波执行方式
+ * 画出每个任务的开始和结束时间，可以直接附到 PR 或发给不用命令行的同事。
+ */
+
+import { formatScheduleAmount } from './schedule.js';
+
+export const PLAN_FORMATS = ['markdown', 'json', 'mermaid', 'dot', 'html'];
+
+// 节点底色 / 甘特条颜色，按优先级 P0-P3
+const PRIORITY_FILLS = ['#fde2e2', '#fff1d6', '#e6f0ff', '#f0f0f0'];
+const PRIORITY_BARS = ['#e5534b', '#e8a33d', '#4a86e8', '#9aa0a6'];
+const CRITICAL_COLOR = '#c62828';
+const MUTED_COLOR = '#999999';
+
+const priorityIndex = (p) => Math.min(Math.max(Number(p) || 0, 0), PRIORITY_FILLS.length - 1);
+
+/**
+ * Nodes and edges shared by the graph formats
+ * @param {object} plan
+ * @returns {{waves: {level: number, tasks: object[]}[], unscheduled: object[], edges: {from: string, to: string, kind: 'dep'|'critical'|'conflict'|'ignored', label?: string}[], critical: Set<string>}}
+ */
+function planGraph(plan) {
+  const path = plan.schedule?.criticalPath.tasks || [];
+  const critical = new Set(path);
+  const criticalEdges = new Set(path.slice(1).map((id, i) => `${path[i]}>${id}`));
+  const known = new Set([...plan.waves.flatMap((w) => w.tasks), ...(plan.unscheduled || [])].map((t) => t.id));
+  const edges = [];
+
+  for (const task of [...plan.waves.flatMap((w) => w.tasks), ...(plan.unscheduled || [])]) {
+    for (const dep of task.deps.filter((d) => known.has(d))) {
+      edges.push({ from: dep, to: task.id, kind: criticalEdges.has(`${dep}>${task.id}`) ? 'critical' : 'dep' });
+    }
+    for (const d of task.deferred || []) {
+      edges.push({ from: d.conflictsWith.id, to: task.id, kind: 'conflict', label: d.path });
+    }
+  }
+  for (const cycle of plan.cycles || []) {
+    if (cycle.broken) edges.push({ from: cycle.cut.from, to: cycle.cut.to, kind: 'ignored', label: 'ignored' });
+  }
+
+  return { waves: plan.waves, unscheduled: plan.unscheduled || [], edges, critical };
+}
+
+/**
+ * Node label lines: title, then priority and duration
+ * @param {object} task
+ * @param {object} [schedule]
+ * @returns {string[]}
+ */
+function nodeLabel(task, schedule) {
+  const details = [`P${task.priority}`];
+  if (schedule && task.duration !== undefined) {
+    details.push(`${formatScheduleAmount(task.duration, schedule.unit)}${task.durationSource === 'estimate' ? '' : '?'}`);
+  }
+  return [task.title, details.join(' · ')];
+}
+
+// ============================================================
+// Mermaid
+// ============================================================
+
+const mermaidId = (id) => `t_${id.replace(/\W/g, '_')}`;
+
+const mermaidText = (text) =>
+  String(text).replace(/["<>#]/g, (c) => ({ '"': '#quot;', '<': '#lt;', '>': '#gt;', '#': '#35;' })[c]);
+
+/**
+ * Mermaid flowchart (renders in GitHub / GitLab Markdown inside a ```mermaid block)
+ * @param {object} plan
+ * @returns {string}
+ */
+export function formatPlanAsMermaid(plan) {
+  const { waves, unscheduled, edges, critical } = planGraph(plan);
+  const node = (task) => `${mermaidId(task.id)}["${nodeLabel(task, plan.schedule).map(mermaidText).join('<br/>')}"]`;
+  const lines = ['flowchart LR'];
+
+  for (const wave of waves) {
+    lines.push(`  subgraph wave${wave.level}["Wave ${wave.level}"]`);
+    wave.tasks.forEach((task) => lines.push(`    ${node(task)}`));
+    lines.push('  end');
+  }
+  if (unscheduled.length > 0) {
+    lines.push('  subgraph unscheduled["未排期 (循环依赖)"]');
+    unscheduled.forEach((task) => lines.push(`    ${node(task)}`));
+    lines.push('  end');
+  }
+
+  const arrows = { dep: '-->', critical: '==>', conflict: '-.->', ignored: '-.-x' };
+  for (const edge of edges) {
+    const label = edge.label ? `|"${mermaidText(edge.label)}"|` : '';
+    lines.push(`  ${mermaidId(edge.from)} ${arrows[edge.kind]}${label} ${mermaidId(edge.to)}`);
+  }
+
+  lines.push('');
+  PRIORITY_FILLS.forEach((fill, p) => lines.push(`  classDef p${p} fill:${fill},stroke:#888`));
+  lines.push(`  classDef critical stroke:${CRITICAL_COLOR},stroke-width:3px`);
+  const tasks = [...waves.flatMap((w) => w.tasks), ...unscheduled];
+  for (let p = 0; p < PRIORITY_FILLS.length; p++) {
+    const ids = tasks.filter((t) => priorityIndex(t.priority) === p).map((t) => mermaidId(t.id));
+    if (ids.length > 0) lines.push(`  class ${ids.join(',')} p${p}`);
+  }
+  if (critical.size > 0) lines.push(`  class ${[...critical].map(mermaidId).join(',')} critical`);
+
+  // 关键路径上的依赖 (==>) 标红
+  const criticalLinks = edges.map((e, i) => (e.kind === 'critical' ? i : -1)).filter((i) => i >= 0);
+  if (criticalLinks.length > 0) {
+    lines.push(`  linkStyle ${criticalLinks.join(',')} stroke:${CRITICAL_COLOR},stroke-width:3px`);
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================================
+// Graphviz DOT
+// ============================================================
+
+const dotString = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+/**
+ * Graphviz digraph (`dot -Tsvg plan.dot > plan.svg`)
+ * @param {object} plan
+ * @returns {string}
+ */
+export function formatPlanAsDot(plan) {
+  const { waves, unscheduled, edges, critical } = planGraph(plan);
+  const node = (task) => {
+    const attrs = [`label=${dotString(nodeLabel(task, plan.schedule).join('\n'))}`, `fillcolor="${PRIORITY_FILLS[priorityIndex(task.priority)]}"`];
+    if (critical.has(task.id)) attrs.push(`color="${CRITICAL_COLOR}"`, 'penwidth=2');
+    return `${dotString(task.id)} [${attrs.join(', ')}];`;
+  };
+  const cluster = (name, label, tasks) => [
+    `  subgraph ${name} {`,
+    `    label=${dotString(label)};`,
+    `    style="rounded,dashed";`,
+    `    color="${MUTED_COLOR}";`,
+    ...tasks.map((task) => `    ${node(task)}`),
+    '  }',
+  ];
+
+  const lines = [
+    'digraph plan {',
+    `  graph [rankdir=LR, fontname="Helvetica", labelloc=t, label=${dotString(`Kanban 执行计划: ${plan.project.name}`)}];`,
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=11];',
+    '  edge [color="#666666"];',
+    '',
+  ];
+  for (const wave of waves) lines.push(...cluster(`cluster_wave${wave.level}`, `Wave ${wave.level}`, wave.tasks));
+  if (unscheduled.length > 0) lines.push(...cluster('cluster_unscheduled', '未排期 (循环依赖)', unscheduled));
+
+  lines.push('');
+  const styles = {
+    dep: [],
+    critical: [`color="${CRITICAL_COLOR}"`, 'penwidth=2'],
+    conflict: ['style=dashed', `color="${MUTED_COLOR}"`, `fontcolor="${MUTED_COLOR}"`],
+    ignored: ['style=dotted', `color="${MUTED_COLOR}"`, `fontcolor="${MUTED_COLOR}"`, 'constraint=false'],
+  };
+  for (const edge of edges) {
+    const attrs = [...styles[edge.kind], ...(edge.label ? [`label=${dotString(edge.label)}`, 'fontsize=9'] : [])];
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)}${attrs.length > 0 ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+  lines.push('}');
+
+  return lines.join('\n');
+}
+
+// ============================================================
+// HTML 甘特图
+// ============================================================
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const HTML_STYLE = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", sans-serif; max-width: 1100px; margin: 2em auto; padding: 0 1em; color: #222; }
+  h1 { margin-bottom: 0.2em; }
+  h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.2em; margin-top: 1.6em; }
+  .meta { color: #666; font-size: 0.9em; }
+  .gantt { display: grid; grid-template-columns: 280px 1fr; border: 1px solid #ddd; border-radius: 4px; }
+  .gantt > div { border-top: 1px solid #eee; min-height: 28px; }
+  .label { padding: 4px 8px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .label small { color: #888; }
+  .track { position: relative; }
+  .axis { border-top: none !important; color: #888; font-size: 0.8em; }
+  .tick { position: absolute; top: 0; bottom: 0; border-left: 1px dashed #e3e3e3; padding-left: 3px; }
+  .wave-label { background: #fafafa; font-weight: 600; padding: 4px 8px; }
+  .wave-span { position: absolute; top: 6px; bottom: 6px; background: #f0f0f0; border-radius: 3px; }
+  .bar { position: absolute; top: 5px; height: 18px; border-radius: 3px; color: #fff; font-size: 0.8em; padding: 0 4px;
+         min-width: 2px; overflow: hidden; white-space: nowrap; box-sizing: border-box; }
+  .bar.critical { outline: 2px solid ${CRITICAL_COLOR}; outline-offset: 1px; }
+  .bar.guess { opacity: 0.75; }
+  .legend span { display: inline-block; margin-right: 1.2em; }
+  .legend i { display: inline-block; width: 12px; height: 12px; border-radius: 2px; vertical-align: -1px; margin-right: 4px; }
+  code { background: #f0f0f0; padding: 0 0.25em; border-radius: 3px; }`;
+
+/**
+ * Round step for the time axis (1, 2 or 5 × 10^n)
+ * @param {number} total
+ * @returns {number}
+ */
+function axisStep(total) {
+  const raw = total / 8;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map((m) => m * magnitude).find((step) => step >= raw);
+}
+
+/**
+ * Start / finish of each task on the chart; plans without a schedule use one unit per wave
+ * @param {object} plan
+ * @returns {{unit: string, total: number, timing: (task: object, wave: object) => {start: number, finish: number}}}
+ */
+function chartTiming(plan) {
+  if (plan.schedule) {
+    const tasks = plan.waves.flatMap((w) => w.tasks);
+    return {
+      unit: plan.schedule.unit,
+      total: Math.max(0, ...tasks.map((t) => t.finish)),
+      timing: (task) => ({ start: task.start, finish: task.finish }),
+    };
+  }
+  return {
+    unit: 'waves',
+    total: plan.waves.length,
+    timing: (task, wave) => ({ start: wave.level, finish: wave.level + 1 }),
+  };
+}
+
+/**
+ * Hover text of a bar
+ * @param {object} task
+ * @param {(value: number) => string} amount
+ * @returns {string}
+ */
+function barTooltip(task, amount) {
+  const lines = [`${task.title} (P${task.priority}) ${task.id}`];
+  if (task.duration !== undefined) {
+    lines.push(`${amount(task.start)} → ${amount(task.finish)}, ${task.critical ? '关键' : `松弛 ${amount(task.slack)}`}`);
+  }
+  if (task.deps.length > 0) lines.push(`deps: ${task.deps.join(', ')}`);
+  if (task.resources) lines.push(`文件: ${task.resources.map((r) => r.path).join(', ')}`);
+  for (const d of task.deferred || []) lines.push(`延后: Wave ${d.wave} 中的 "${d.conflictsWith.title}" 同样修改 ${d.path}`);
+  return lines.join('\n');
+}
+
+/**
+ * Self-contained HTML page with a Gantt chart of the plan
+ * @param {object} plan
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function formatPlanAsHtml(plan, now = new Date()) {
+  const { unit, total, timing } = chartTiming(plan);
+  const amount = (value) => (unit === 'waves' ? `Wave ${value}` : formatScheduleAmount(value, unit));
+  const pct = (value) => (total > 0 ? (value / total) * 100 : 0).toFixed(2);
+  const title = `Kanban 执行计划: ${plan.project.name}`;
+  const step = total > 0 ? axisStep(total) : 1;
+
+  const out = [
+    '<!DOCTYPE html>',
+    '<html lang="zh-CN">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p class="meta">${escapeHtml(plan.project.path || '')} · 生成于 ${escapeHtml(now.toISOString())}</p>`,
+    '<ul>',
+    `<li>总任务: ${plan.summary.totalTasks}，执行波次: ${plan.summary.totalWaves}，最大并行: ${plan.summary.maxParallel}</li>`,
+  ];
+  if (plan.schedule) {
+    out.push(
+      `<li>预计完工 (逐波执行，即 <code>run</code>): ${escapeHtml(amount(plan.schedule.makespan.waves))}；` +
+        `依赖就绪即开始: ${escapeHtml(amount(plan.schedule.makespan.dependencies))}</li>`,
+      `<li>关键路径: ${escapeHtml(amount(plan.schedule.criticalPath.length))}</li>`
+    );
+  }
+  if (plan.summary.deferred > 0) out.push(`<li>因文件冲突延后: ${plan.summary.deferred} 个任务</li>`);
+  out.push('</ul>');
+
+  out.push('<p class="legend">');
+  PRIORITY_BARS.forEach((color, p) => out.push(`<span><i style="background:${color}"></i>P${p}</span>`));
+  out.push(`<span><i style="outline:2px solid ${CRITICAL_COLOR};background:#fff"></i>关键路径</span>`);
+  if (plan.schedule) out.push('<span><i style="background:#999;opacity:0.75"></i>没有估算 (推测时长)</span>');
+  out.push('</p>');
+
+  // 时间轴
+  const ticks = [];
+  for (let t = 0; t <= total + 1e-9 && unit !== 'waves'; t += step) {
+    ticks.push(`<span class="tick" style="left:${pct(t)}%">${escapeHtml(formatScheduleAmount(t, unit))}</span>`);
+  }
+  out.push('<div class="gantt">', '<div class="label axis"></div>', `<div class="track axis">${ticks.join('')}</div>`);
+
+  for (const wave of plan.waves) {
+    const spans = wave.tasks.map((task) => timing(task, wave));
+    const start = Math.min(...spans.map((s) => s.start));
+    const finish = Math.max(...spans.map((s) => s.finish));
+    out.push(
+      `<div class="wave-label">Wave ${wave.level}${wave.parallel ? ` (并行, 最多 ${wave.maxParallel} 个)` : ''}</div>`,
+      `<div class="track"><span class="wave-span" style="left:${pct(start)}%;width:${pct(finish - start)}%"></span></div>`
+    );
+
+    wave.tasks.forEach((task, i) => {
+      const classes = ['bar'];
+      if (task.critical) classes.push('critical');
+      if (task.durationSource && task.durationSource !== 'estimate') classes.push('guess');
+      const length = task.duration !== undefined ? formatScheduleAmount(task.duration, unit) : '';
+      out.push(
+        `<div class="label" title="${escapeHtml(task.title)}">${escapeHtml(task.title)} <small>P${task.priority} · ${escapeHtml(task.id.slice(0, 8))}</small></div>`,
+        `<div class="track"><span class="${classes.join(' ')}" style="left:${pct(spans[i].start)}%;width:${pct(
+          spans[i].finish - spans[i].start
+        )}%;background:${PRIORITY_BARS[priorityIndex(task.priority)]}" title="${escapeHtml(barTooltip(task, amount))}">${escapeHtml(length)}</span></div>`
+      );
+    });
+  }
+  out.push('</div>');
+
+  if (plan.schedule && plan.schedule.criticalPath.tasks.length > 0) {
+    const byId = new Map(plan.waves.flatMap((w) => w.tasks).map((t) => [t.id, t]));
+    const path = plan.schedule.criticalPath.tasks.map((id) => byId.get(id));
+    out.push('<h2>关键路径</h2>', `<p>${path.map((t) => `${escapeHtml(t.title)} (P${t.priority}, ${escapeHtml(amount(t.duration))})`).join(' → ')}</p>`);
+  }
+
+  const deferred = plan.waves.flatMap((w) => w.tasks).filter((t) => t.deferred);
+  if (deferred.length > 0) {
+    out.push('<h2>因文件冲突延后</h2>', '<ul>');
+    for (const task of deferred) {
+      for (const d of task.deferred) {
+        out.push(`<li><strong>${escapeHtml(task.title)}</strong>: Wave ${d.wave} 中的 "${escapeHtml(d.conflictsWith.title)}" 同样修改 <code>${escapeHtml(d.path)}</code></li>`);
+      }
+    }
+    out.push('</ul>');
+  }
+
+  if (plan.unscheduled) {
+    out.push('<h2>未排期 (循环依赖)</h2>', '<ul>');
+    plan.unscheduled.forEach((t) => out.push(`<li><strong>${escapeHtml(t.title)}</strong> (P${t.priority}) <code>${escapeHtml(t.id)}</code></li>`));
+    out.push('</ul>');
+  }
+
+  out.push('</body>', '</html>');
+  return out.join('\n');
+}
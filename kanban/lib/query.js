@@ -0,0 +1,366 @@
+/**
+ * Kanban 查询语言 - `list --where` / 保存的视图 / 批量选择器
+ *
+ * Syntax:
+ *   priority<=1 and tag:security and due<2025-02-01
+ *   status=todo,in_progress or (tag:bug and not title~flaky)
+ *   "login bug"                 裸词 / 引号字符串 = 全文搜索
+ *
+ * Fields:  priority status tag due created updated title desc id worktree estimate
+ * Ops:     = != < <= > >= : (等于 / 包含标签)  ~ (子串，忽略大小写)
+ * Dates:   YYYY-MM-DD | today | tomorrow | yesterday | +7d | -3d | none
+ */
+
+const STATUS_ORDER = ['in_progress', 'todo', 'blocked', 'done'];
+
+const FIELD_ALIASES = {
+  p: 'priority',
+  priority: 'priority',
+  status: 'status',
+  s: 'status',
+  tag: 'tag',
+  tags: 'tag',
+  due: 'due',
+  duedate: 'due',
+  created: 'created',
+  updated: 'updated',
+  title: 'title',
+  desc: 'description',
+  description: 'description',
+  id: 'id',
+  worktree: 'worktree',
+  estimate: 'estimate',
+  est: 'estimate',
+  points: 'estimate',
+  text: 'text',
+};
+
+export const QUERY_FIELDS = [...new Set(Object.values(FIELD_ALIASES))];
+
+const DATE_FIELDS = { due: 'dueDate', created: 'createdAt', updated: 'updatedAt' };
+
+// ============================================================
+// 值解析
+// ============================================================
+
+/**
+ * Resolve a date literal to a "YYYY-MM-DD" day string
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function resolveDate(value, now = new Date()) {
+  const v = value.toLowerCase();
+  const offset = { today: 0, tomorrow: 1, yesterday: -1 }[v];
+  const relative = v.match(/^([+-]\d+)d$/);
+
+  if (offset !== undefined || relative) {
+    const d = new Date(now);
+    d.setDate(d.getDate() + (relative ? parseInt(relative[1], 10) : offset));
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+  throw new Error(`Invalid date in query: ${value}`);
+}
+
+/**
+ * @param {string} value
+ * @returns {number}
+ */
+function parsePriorityValue(value) {
+  const match = value.match(/^p?(\d)$/i);
+  if (!match) throw new Error(`Invalid priority in query: ${value}`);
+  return parseInt(match[1], 10);
+}
+
+/**
+ * @param {string} value
+ * @returns {number}
+ */
+function parseEstimateValue(value) {
+  if (!/^\d+(\.\d+)?$/.test(value)) throw new Error(`Invalid estimate in query: ${value}`);
+  return Number(value);
+}
+
+/**
+ * Day string of a task date field, or null
+ * @param {object} task
+ * @param {string} field
+ * @returns {string|null}
+ */
+function taskDay(task, field) {
+  const raw = task[DATE_FIELDS[field]];
+  if (!raw) return null;
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) return String(raw).slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * @param {any} a
+ * @param {string} op
+ * @param {any} b
+ * @returns {boolean}
+ */
+function compare(a, op, b) {
+  switch (op) {
+    case '=':
+    case ':':
+      return a === b;
+    case '!=':
+      return a !== b;
+    case '<':
+      return a < b;
+    case '<=':
+      return a <= b;
+    case '>':
+      return a > b;
+    case '>=':
+      return a >= b;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Case-insensitive free-text match over title and description
+ * @param {object} task
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function matchesSearch(task, text) {
+  const needle = text.toLowerCase();
+  return `${task.title || ''}\n${task.description || ''}`.toLowerCase().includes(needle);
+}
+
+// ============================================================
+// 词法 / 语法
+// ============================================================
+
+/**
+ * Split a query into tokens: parens, quoted strings, words (quotes inside a
+ * word such as title~"two words" stay in the same token)
+ * @param {string} input
+ * @returns {string[]}
+ */
+export function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push(ch);
+      i++;
+    } else {
+      let token = '';
+      while (i < input.length && !/[\s()]/.test(input[i])) {
+        if (input[i] === '"' || input[i] === "'") {
+          const quote = input[i];
+          const end = input.indexOf(quote, i + 1);
+          if (end < 0) throw new Error(`Unterminated quote in query: ${input}`);
+          token += input.slice(i, end + 1);
+          i = end + 1;
+        } else {
+          token += input[i++];
+        }
+      }
+      tokens.push(token);
+    }
+  }
+
+  return tokens;
+}
+
+const unquote = (s) => s.replace(/^(["'])(.*)\1$/, '$2');
+
+/**
+ * Build a predicate for one `field op value` term
+ * @param {string} token
+ * @returns {(task: object) => boolean}
+ */
+function compileTerm(token) {
+  const match = token.match(/^([a-zA-Z_]+)(<=|>=|!=|=|<|>|~|:)(.+)$/);
+  if (!match) {
+    const text = unquote(token);
+    return (task) => matchesSearch(task, text);
+  }
+
+  const field = FIELD_ALIASES[match[1].toLowerCase()];
+  if (!field) {
+    throw new Error(`Unknown query field: ${match[1]} (expected ${QUERY_FIELDS.join(', ')})`);
+  }
+  const op = match[2];
+  const raw = unquote(match[3]);
+  // 引号内的逗号不作为 "任一" 分隔
+  const values = /^["']/.test(match[3]) ? [raw] : raw.split(',');
+  const any = (fn) => (task) => values.some((v) => fn(task, v));
+
+  switch (field) {
+    case 'priority': {
+      const nums = values.map(parsePriorityValue);
+      if (op === '!=') return (task) => !nums.includes(task.priority);
+      return (task) => nums.some((n) => compare(task.priority, op, n));
+    }
+    case 'status':
+      if (op === '!=') return (task) => !values.includes(task.status);
+      if (op === '~') return any((task, v) => String(task.status).includes(v));
+      return (task) => values.includes(task.status);
+    case 'estimate': {
+      if (raw.toLowerCase() === 'none') {
+        return op === '!=' ? (task) => task.estimate != null : (task) => task.estimate == null;
+      }
+      const nums = values.map(parseEstimateValue);
+      if (op === '!=') return (task) => task.estimate == null || !nums.includes(task.estimate);
+      return (task) => task.estimate != null && nums.some((n) => compare(task.estimate, op, n));
+    }
+    case 'tag': {
+      const has = (task, v) =>
+        (task.tags || []).some((t) => (op === '~' ? t.toLowerCase().includes(v.toLowerCase()) : t === v));
+      if (op === '!=') return (task) => !values.some((v) => has(task, v));
+      return any(has);
+    }
+    case 'due':
+    case 'created':
+    case 'updated': {
+      if (raw.toLowerCase() === 'none') {
+        return op === '!=' ? (task) => taskDay(task, field) !== null : (task) => taskDay(task, field) === null;
+      }
+      const day = resolveDate(raw);
+      return (task) => {
+        const value = taskDay(task, field);
+        return value !== null && compare(value, op, day);
+      };
+    }
+    case 'text':
+      return (task) => matchesSearch(task, raw) === (op !== '!=');
+    default: {
+      if (field === 'worktree' && raw.toLowerCase() === 'none') {
+        return op === '!=' ? (task) => Boolean(task.worktreeId) : (task) => !task.worktreeId;
+      }
+      const key = { title: 'title', description: 'description', id: 'id', worktree: 'worktreeId' }[field];
+      const get = (task) => String(task[key] || '');
+      if (op === '~') return any((task, v) => get(task).toLowerCase().includes(v.toLowerCase()));
+      if (op === '!=') return (task) => !values.includes(get(task));
+      if (field === 'id') return any((task, v) => get(task).startsWith(v));
+      return any((task, v) => compare(get(task), op, v));
+    }
+  }
+}
+
+/**
+ * Compile a query string into a task predicate
+ * @param {string} query
+ * @returns {(task: object) => boolean}
+ */
+export function compileQuery(query) {
+  const tokens = tokenize(query || '');
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isWord = (w) => (peek() || '').toLowerCase() === w;
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isWord('or')) {
+      pos++;
+      const a = left;
+      const b = parseAnd();
+      left = (task) => a(task) || b(task);
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    // 相邻的条件之间默认 and
+    while (pos < tokens.length && peek() !== ')' && !isWord('or')) {
+      if (isWord('and')) pos++;
+      const a = left;
+      const b = parseUnary();
+      left = (task) => a(task) && b(task);
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token === undefined) throw new Error(`Unexpected end of query: ${query}`);
+
+    if (token.toLowerCase() === 'not') {
+      pos++;
+      const inner = parseUnary();
+      return (task) => !inner(task);
+    }
+    if (token === '(') {
+      pos++;
+      const inner = parseOr();
+      if (peek() !== ')') throw new Error(`Missing ")" in query: ${query}`);
+      pos++;
+      return inner;
+    }
+    if (token === ')') throw new Error(`Unexpected ")" in query: ${query}`);
+
+    pos++;
+    return compileTerm(token);
+  }
+
+  if (tokens.length === 0) return () => true;
+  const predicate = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}" in query: ${query}`);
+  return predicate;
+}
+
+// ============================================================
+// 排序
+// ============================================================
+
+const SORT_KEYS = {
+  priority: (t) => t.priority,
+  due: (t) => t.dueDate || null,
+  created: (t) => t.createdAt || null,
+  updated: (t) => t.updatedAt || null,
+  title: (t) => (t.title || '').toLowerCase(),
+  status: (t) => STATUS_ORDER.indexOf(t.status),
+  estimate: (t) => t.estimate ?? null,
+};
+
+export const SORT_FIELDS = Object.keys(SORT_KEYS);
+
+/**
+ * Build a comparator from "due,priority" / "-updated" (missing values sort last)
+ * @param {string} spec
+ * @returns {(a: object, b: object) => number}
+ */
+export function compileSort(spec) {
+  const keys = String(spec || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const desc = s.startsWith('-');
+      const name = s.replace(/^[-+]/, '').toLowerCase();
+      const field = name === 'duedate' ? 'due' : name;
+      if (!SORT_KEYS[field]) {
+        throw new Error(`Unknown sort field: ${name} (expected ${SORT_FIELDS.join(', ')})`);
+      }
+      return { get: SORT_KEYS[field], dir: desc ? -1 : 1 };
+    });
+
+  return (a, b) => {
+    for (const { get, dir } of keys) {
+      const va = get(a);
+      const vb = get(b);
+      if (va === vb) continue;
+      if (va === null || va === undefined) return 1;
+      if (vb === null || vb === undefined) return -1;
+      return (va < vb ? -1 : 1) * dir;
+    }
+    return 0;
+  };
+}
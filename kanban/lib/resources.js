@@ -0,0 +1,194 @@
+/**
+ * Kanban 任务资源 - 任务会修改的文件 / 目录 / 模块，用于避免同一波中的冲突
+ *
+ * 资源依次取:
+ *   1. 声明: meta.json 的 touches 字段 (`kanban edit <id> --touches=src/api/,lib/db.js`)
+ *   2. 从描述推断: "Touches: / Files: / Modules:" 行 (逗号分隔，none 表示不修改文件，
+ *      每一项都算声明，如 package.json)，以及反引号中像路径的内容 (`src/api/handlers.js`、`lib/`)
+ *
+ * 有 pi-cli / project-index 生成的 .dep-graph.json 时 (.project-index/ 或项目根目录)，
+ * 只写了文件名 (db.js) 或模块名 (agents) 的引用按依赖图解析成项目内的路径；
+ * 反引号中依赖图解析不了 (或没有依赖图) 的文件名、模块名不算资源，以免同名文件被误判为冲突。
+ *
+ * 两个任务的资源相同或一个是另一个的上级目录即视为冲突。
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// pi-cli 的默认缓存目录 (.pi-config.json 的 cache)，其次项目根目录
+const DEP_GRAPH_PATHS = ['.project-index/.dep-graph.json', '.dep-graph.json'];
+
+const RESOURCE_LINE_RE = /^\s*[-*]?\s*(?:touches|files|modules|涉及文件|涉及模块)\s*[:：]\s*(.+)$/gim;
+const BACKTICK_RE = /`([^`\s]+)`/g;
+
+// 反引号中视为路径的内容: 常见源码扩展名的文件、以 / 结尾的目录或含 / 的相对路径
+const FILE_EXTENSIONS = 'js|mjs|cjs|jsx|ts|tsx|json|md|py|go|rs|java|kt|rb|php|c|h|cc|cpp|cs|swift|css|scss|html|vue|svelte|ya?ml|toml|sql|sh';
+const PATH_LIKE_RE = new RegExp(`^(?:[\\w.@-]+/)*[\\w@-][\\w.@-]*(?:\\.(?:${FILE_EXTENSIONS})|/)$|^[\\w.@-]+(?:/[\\w.@-]+)+$`);
+
+/**
+ * Normalize a resource path: posix separators, no leading ./, no trailing / or glob
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeResource(value) {
+  return String(value)
+    .trim()
+    .replace(/\\/g, '/')
+    .replace(/[*?].*$/, '')
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Parse a --touches value ("src/api/,lib/db.js")
+ * @param {string} value
+ * @returns {string[]|null} null ("") clears the declaration, [] ("none") declares no files
+ */
+export function parseResourceList(value) {
+  const v = String(value).trim();
+  if (v === '') return null;
+  if (v === 'none') return [];
+  return [...new Set(v.split(',').map(normalizeResource).filter(Boolean))];
+}
+
+/**
+ * Load the project's .dep-graph.json (null when it has not been built)
+ * @param {string} projectPath
+ * @returns {Promise<{root: string, files: Record<string, object>, modules: Record<string, object>}|null>}
+ */
+export async function loadDepGraph(projectPath) {
+  for (const rel of DEP_GRAPH_PATHS) {
+    try {
+      const graph = JSON.parse(await fs.readFile(path.join(projectPath, rel), 'utf8'));
+      if (graph && typeof graph.files === 'object') return graph;
+    } catch {
+      // 不存在或损坏时尝试下一个位置
+    }
+  }
+  return null;
+}
+
+/**
+ * Project-relative file paths and module directories of a dependency graph
+ * @param {object} depGraph
+ * @returns {{files: string[], modules: string[]}}
+ */
+function graphPaths(depGraph) {
+  const root = normalizeResource(depGraph.root || '.');
+  const rel = (key) => (root === '' || root === '.' ? normalizeResource(key) : `${root}/${normalizeResource(key)}`);
+  return {
+    files: Object.keys(depGraph.files || {}).map(rel),
+    modules: Object.keys(depGraph.modules || {}).filter((m) => m !== '.').map(rel),
+  };
+}
+
+/**
+ * Resolve a reference against the dependency graph
+ * @param {string} ref - Normalized reference
+ * @param {{files: string[], modules: string[]}|null} paths
+ * @returns {string[]|null} Project-relative paths; null when the graph does not know it
+ */
+function resolveReference(ref, paths) {
+  if (!paths) return null;
+  if (paths.files.includes(ref) || paths.modules.includes(ref)) return [ref];
+  if (paths.files.some((f) => f.startsWith(`${ref}/`))) return [ref];
+
+  // 只写了模块名或文件名: 按依赖图中的后缀匹配 (匹配的文件太多时视为无法解析)
+  const suffix = `/${ref}`;
+  const modules = paths.modules.filter((m) => m.endsWith(suffix));
+  if (modules.length > 0) return modules;
+  const files = paths.files.filter((f) => f.endsWith(suffix));
+  if (files.length > 0 && files.length <= 3) return files;
+  return null;
+}
+
+/**
+ * References to files / modules in a task description. Entries on explicit
+ * resource lines count as declared (`Files: package.json`); a backtick mention
+ * is only kept when it looks like a path or the dependency graph resolves it,
+ * so a bare file name (`index.js`) needs the graph to tell which file it is.
+ * @param {string} description
+ * @param {{files: string[], modules: string[]}|null} paths
+ * @returns {string[]} Normalized references
+ */
+function describedReferences(description, paths) {
+  const text = String(description || '');
+  const refs = [];
+  let none = false;
+
+  for (const match of text.matchAll(RESOURCE_LINE_RE)) {
+    const value = match[1].replace(/`/g, '').trim();
+    // 与 --touches=none 相同: 声明不修改文件
+    if (value.toLowerCase() === 'none') {
+      none = true;
+      continue;
+    }
+    // 含空白的是说明文字而不是路径
+    const entries = value.split(/[,，]/).map((v) => v.trim());
+    refs.push(...entries.filter((v) => v && !/\s/.test(v)).map(normalizeResource));
+  }
+  if (none && refs.length === 0) return [];
+
+  for (const match of text.matchAll(BACKTICK_RE)) {
+    const candidate = match[1];
+    if (candidate.includes('://')) continue;
+    const ref = normalizeResource(candidate);
+    if (!ref) continue;
+    if (resolveReference(ref, paths)) {
+      refs.push(ref);
+    } else if (PATH_LIKE_RE.test(candidate) && candidate.includes('/')) {
+      // 不在依赖图中的路径可能是要新建的文件，保留；只有文件名时无法定位，丢弃
+      refs.push(ref);
+    }
+  }
+  return [...new Set(refs.filter(Boolean))];
+}
+
+/**
+ * Files / directories a task is expected to modify
+ * @param {object} task - With meta: touches
+ * @param {object|null} [depGraph] - From loadDepGraph
+ * @returns {{path: string, source: 'declared'|'description'|'dep-graph'}[]}
+ */
+export function taskResources(task, depGraph = null) {
+  const paths = depGraph ? graphPaths(depGraph) : null;
+  const declared = Array.isArray(task.touches);
+  // 声明的资源优先，不再从描述推断 (与 blockedBy 相同)
+  const refs = declared ? task.touches.map(normalizeResource) : describedReferences(task.description, paths);
+
+  const resources = new Map();
+  for (const ref of refs) {
+    for (const resolved of resolveReference(ref, paths) || [ref]) {
+      if (resources.has(resolved)) continue;
+      let source = declared ? 'declared' : 'description';
+      if (!declared && resolved !== ref) source = 'dep-graph';
+      resources.set(resolved, { path: resolved, source });
+    }
+  }
+  return [...resources.values()];
+}
+
+/**
+ * Whether two resources overlap (same path, or one contains the other)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function resourcesOverlap(a, b) {
+  return a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+}
+
+/**
+ * First overlapping pair between two resource lists
+ * @param {{path: string}[]} a
+ * @param {{path: string}[]} b
+ * @returns {{path: string, other: string}|null} path from a, other from b
+ */
+export function findResourceConflict(a, b) {
+  for (const x of a) {
+    const y = b.find((r) => resourcesOverlap(x.path, r.path));
+    if (y) return { path: x.path, other: y.path };
+  }
+  return null;
+}
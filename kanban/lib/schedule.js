@@ -0,0 +1,222 @@
+/**
+ * Kanban 排期 - 任务时长、关键路径、松弛时间与并行完工时间 (makespan)
+ *
+ * 任务时长依次取:
+ *   1. 估算 (故事点) × 每点小时数: config.batch.hoursPerPoint，或用已完成任务的
+ *      实际耗时 / 估算 (中位数) 校准
+ *   2. 没有估算: 已完成任务实际耗时的中位数
+ *   3. 无法换算成小时: 直接按点数排期 (没有估算的任务取估算中位数，或 1 点)
+ *
+ * 关键路径按无限并行计算 (CPM)，松弛时间 = 最晚开始 - 最早开始；完工时间按
+ * --max 个并行名额模拟，分别给出逐波执行 (`run` 的方式) 和依赖就绪即开始两种，
+ * 修改相同文件的任务不同时执行。
+ */
+
+import { buildIntervals, sumIntervals } from './timing.js';
+
+const HOUR_MS = 3600000;
+const DEFAULT_POINTS = 1;
+
+// 浮点误差内的松弛视为 0
+const EPSILON = 1e-9;
+
+/**
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Expected duration of each task
+ * @param {object[]} tasks - Tasks to schedule (with meta: estimate)
+ * @param {{history?: object[], activity?: object[], hoursPerPoint?: number}} [options]
+ *   history: all project tasks (done ones with tracked time calibrate the estimates)
+ * @returns {{unit: 'hours'|'points', hoursPerPoint: number|null, calibratedFrom: number, durations: Map<string, {value: number, source: 'estimate'|'history'|'default'}>}}
+ */
+export function estimateDurations(tasks, { history = [], activity = [], hoursPerPoint } = {}) {
+  const intervals = buildIntervals(activity);
+  const finished = history
+    .filter((t) => t.status === 'done')
+    .map((t) => ({ task: t, hours: sumIntervals(intervals.get(t.id)) / HOUR_MS }))
+    .filter((f) => f.hours > 0);
+
+  const samples = finished.filter((f) => f.task.estimate > 0).map((f) => f.hours / f.task.estimate);
+  const rate = hoursPerPoint ?? median(samples);
+  const typicalHours = median(finished.map((f) => f.hours));
+  const typicalPoints = median(tasks.filter((t) => t.estimate != null).map((t) => t.estimate));
+  const unit = rate !== null || (typicalPoints === null && typicalHours !== null) ? 'hours' : 'points';
+
+  const durations = new Map();
+  for (const task of tasks) {
+    if (task.estimate != null && (unit === 'points' || rate !== null)) {
+      durations.set(task.id, { value: unit === 'hours' ? task.estimate * rate : task.estimate, source: 'estimate' });
+    } else if (unit === 'hours' && typicalHours !== null) {
+      durations.set(task.id, { value: typicalHours, source: 'history' });
+    } else {
+      const points = typicalPoints ?? DEFAULT_POINTS;
+      durations.set(task.id, { value: unit === 'hours' ? points * rate : points, source: 'default' });
+    }
+  }
+
+  return {
+    unit,
+    hoursPerPoint: rate,
+    calibratedFrom: hoursPerPoint == null ? samples.length : 0,
+    durations,
+  };
+}
+
+/**
+ * Dependency order (Kahn); nodes on a cycle are left out
+ * @param {{id: string, deps: string[]}[]} nodes
+ * @returns {string[]}
+ */
+function topoOrder(nodes) {
+  const pending = new Map(nodes.map((n) => [n.id, n.deps.length]));
+  const dependents = new Map(nodes.map((n) => [n.id, []]));
+  for (const n of nodes) n.deps.forEach((d) => dependents.get(d)?.push(n.id));
+
+  const order = nodes.filter((n) => n.deps.length === 0).map((n) => n.id);
+  for (let i = 0; i < order.length; i++) {
+    for (const next of dependents.get(order[i])) {
+      pending.set(next, pending.get(next) - 1);
+      if (pending.get(next) === 0) order.push(next);
+    }
+  }
+  return order;
+}
+
+/**
+ * Critical path method with unlimited parallelism
+ * @param {{id: string, deps: string[]}[]} nodes - deps restricted to the nodes
+ * @param {Map<string, {value: number}>} durations
+ * @returns {{length: number, path: string[], tasks: Map<string, {earliestStart: number, earliestFinish: number, latestStart: number, slack: number, critical: boolean}>}}
+ */
+export function criticalPath(nodes, durations) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const order = topoOrder(nodes);
+  const duration = (id) => durations.get(id)?.value ?? 0;
+  const tasks = new Map();
+
+  for (const id of order) {
+    const earliestStart = Math.max(0, ...byId.get(id).deps.map((d) => tasks.get(d).earliestFinish));
+    tasks.set(id, { earliestStart, earliestFinish: earliestStart + duration(id) });
+  }
+  const length = Math.max(0, ...[...tasks.values()].map((t) => t.earliestFinish));
+
+  const dependents = new Map(order.map((id) => [id, []]));
+  for (const id of order) byId.get(id).deps.forEach((d) => dependents.get(d).push(id));
+  for (const id of [...order].reverse()) {
+    const latestFinish = Math.min(length, ...dependents.get(id).map((d) => tasks.get(d).latestStart));
+    const t = tasks.get(id);
+    t.latestStart = latestFinish - duration(id);
+    t.slack = Math.max(0, t.latestStart - t.earliestStart);
+    t.critical = t.slack < EPSILON;
+  }
+
+  // 从最晚完成的关键任务沿 "完成即开始" 的关键前驱回溯
+  const path = [];
+  let current = order.filter((id) => tasks.get(id).critical).sort((a, b) => tasks.get(b).earliestFinish - tasks.get(a).earliestFinish)[0];
+  while (current) {
+    path.unshift(current);
+    const start = tasks.get(current).earliestStart;
+    current = byId.get(current).deps.find((d) => tasks.get(d).critical && Math.abs(tasks.get(d).earliestFinish - start) < EPSILON);
+  }
+
+  return { length, path, tasks };
+}
+
+/**
+ * Start and finish of each task when each wave must finish before the next starts
+ * (as `kanban-planner.js run`); a task takes the first free of --max slots
+ * @param {string[][]} waves - Task IDs in start order
+ * @param {Map<string, {value: number}>} durations
+ * @param {number} maxParallel
+ * @returns {Map<string, {start: number, finish: number, slot: number}>}
+ */
+export function waveTimeline(waves, durations, maxParallel) {
+  const timeline = new Map();
+  let time = 0;
+  for (const wave of waves) {
+    const slots = Array(Math.max(1, Math.min(maxParallel, wave.length))).fill(time);
+    for (const id of wave) {
+      const slot = slots.indexOf(Math.min(...slots));
+      const start = slots[slot];
+      slots[slot] += durations.get(id)?.value ?? 0;
+      timeline.set(id, { start, finish: slots[slot], slot });
+    }
+    time = Math.max(...slots);
+  }
+  return timeline;
+}
+
+/**
+ * Makespan when each wave must finish before the next starts (as `kanban-planner.js run`)
+ * @param {string[][]} waves - Task IDs in start order
+ * @param {Map<string, {value: number}>} durations
+ * @param {number} maxParallel
+ * @returns {number}
+ */
+export function waveMakespan(waves, durations, maxParallel) {
+  return Math.max(0, ...[...waveTimeline(waves, durations, maxParallel).values()].map((t) => t.finish));
+}
+
+/**
+ * Makespan when a task starts as soon as its dependencies are done and a slot is free
+ * (least slack first), never alongside a running task it conflicts with
+ * @param {{id: string, deps: string[]}[]} nodes
+ * @param {Map<string, {value: number}>} durations
+ * @param {number} maxParallel
+ * @param {Map<string, {slack: number}>} cpm - From criticalPath
+ * @param {(a: string, b: string) => boolean} [conflicts] - Tasks that must not overlap
+ * @returns {number}
+ * @throws {Error} When tasks are left waiting but none can start
+ */
+export function dependencyMakespan(nodes, durations, maxParallel, cpm, conflicts = () => false) {
+  // 与 waveTimeline 相同，至少一个名额
+  const slots = Math.max(1, maxParallel);
+  const scheduled = new Set(topoOrder(nodes));
+  const waiting = nodes.filter((n) => scheduled.has(n.id));
+  const finished = new Set();
+  let running = [];
+  let time = 0;
+
+  while (waiting.length > 0 || running.length > 0) {
+    const ready = waiting
+      .filter((n) => n.deps.every((d) => finished.has(d)))
+      .sort((a, b) => cpm.get(a.id).slack - cpm.get(b.id).slack);
+    for (const node of ready) {
+      if (running.length >= slots) break;
+      if (running.some((r) => conflicts(node.id, r.id))) continue;
+      waiting.splice(waiting.indexOf(node), 1);
+      running.push({ id: node.id, end: time + (durations.get(node.id)?.value ?? 0) });
+    }
+
+    // 没有任务在执行也没有任务能开始: 继续循环只会得到 Math.min() = Infinity
+    if (running.length === 0) {
+      throw new Error(`Cannot schedule ${waiting.map((n) => n.id).join(', ')}: no task can start`);
+    }
+
+    time = Math.min(...running.map((r) => r.end));
+    running.filter((r) => r.end <= time).forEach((r) => finished.add(r.id));
+    running = running.filter((r) => r.end > time);
+  }
+
+  return time;
+}
+
+/**
+ * "3.5h" / "5pt"
+ * @param {number} value
+ * @param {'hours'|'points'} unit
+ * @returns {string}
+ */
+export function formatScheduleAmount(value, unit) {
+  const rounded = Math.round(value * 10) / 10;
+  return unit === 'hours' ? `${rounded}h` : `${rounded}pt`;
+}
@@ -0,0 +1,546 @@
+/**
+ * Kanban 本地存储 - 项目目录下的 .kanban/
+ *
+ * CodeKanban 服务不可达时，CLI 读写这里的任务快照，并把变更
+ * 追加到队列中，等待 `kanban sync` 回放到 REST API。
+ *
+ * Layout:
+ *   .kanban/project.json   最近一次检测到的项目信息
+ *   .kanban/tasks.json     任务快照 (服务端数据 + 未同步的本地变更)
+ *   .kanban/queue.json     待同步的变更队列
+ *   .kanban/meta.json      任务本地字段 (blockedBy、checklist、escalation 等)，按任务 ID 索引
+ *   .kanban/activity.jsonl 任务活动日志 (只追加)
+ *   .kanban/config.json    项目配置 (保存的视图、模板等，可提交共享)
+ *   .kanban/recurring.json 周期任务最近一次创建的周期，按模板名索引
+ *   .kanban/journal.jsonl  可撤销的操作记录 (修改前后的字段值)
+ *   .kanban/commits.json   scan-commits 已扫描到的提交，按分支索引
+ *   .kanban/run.json       kanban-planner.js run 的执行状态 (中断后 --resume 继续)
+ *   .kanban/runs/<id>/     每次 run 中各任务 agent 的输出日志
+ *   .kanban/.lock          读-改-写期间持有的锁 (内容为持有者的 pid)
+ *   .kanban/.gitignore     创建目录时写入，忽略上面的本机状态、日志和锁 (meta.json / config.json / recurring.json 除外)
+ *
+ * 多个 kanban 进程 (如 planner run 并行启动的 agent) 同时修改任务快照、队列、
+ * 元数据或变更日志时，读-改-写都在 withStoreLock 中进行，以免互相覆盖。
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const STORE_DIR = '.kanban';
+
+/** Prefix of task IDs created while offline (replaced by real IDs on sync) */
+export const LOCAL_ID_PREFIX = 'local';
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const LOCK_FILE = '.lock';
+const LOCK_TIMEOUT_MS = 15000;
+const LOCK_RETRY_MS = 25;
+
+// 当前异步调用链已持有锁的 store (同一进程内嵌套调用不再加锁)
+const heldLocks = new AsyncLocalStorage();
+
+// ============================================================
+// 基础读写
+// ============================================================
+
+// 本机状态和日志，不应出现在 git status 中 (meta.json、config.json、recurring.json 可提交共享)
+const GITIGNORE = [
+  '# Written by the kanban CLI: machine-local snapshot, queue, logs and lock',
+  'project.json',
+  'tasks.json',
+  'queue.json',
+  'activity.jsonl',
+  'journal.jsonl',
+  'commits.json',
+  'run.json',
+  'runs/',
+  '.lock',
+  '*.tmp',
+  '',
+].join('\n');
+
+/**
+ * Create .kanban/ if needed, with a .gitignore for the machine-local files
+ * (an existing .gitignore is left as the user edited it)
+ * @param {string} root
+ * @returns {Promise<string>} The store directory
+ */
+export async function ensureStoreDir(root) {
+  const dir = path.join(root, STORE_DIR);
+  await fs.mkdir(dir, { recursive: true });
+  try {
+    await fs.writeFile(path.join(dir, '.gitignore'), GITIGNORE, { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+  return dir;
+}
+
+/**
+ * Find the directory that owns the local store.
+ * Walks up from startDir looking for an existing .kanban/, then for a .git
+ * marker; falls back to startDir itself.
+ * @param {string} [startDir]
+ * @returns {Promise<string>}
+ */
+export async function findStoreRoot(startDir = process.cwd()) {
+  for (const marker of [STORE_DIR, '.git']) {
+    let dir = path.resolve(startDir);
+    while (true) {
+      try {
+        await fs.access(path.join(dir, marker));
+        return dir;
+      } catch {
+        // continue
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+  }
+  return path.resolve(startDir);
+}
+
+/**
+ * Read a JSON file from the store
+ * @param {string} root - Store root (project path)
+ * @param {string} name - File name inside .kanban/
+ * @param {any} fallback
+ * @returns {Promise<any>}
+ */
+export async function readStore(root, name, fallback = null) {
+  try {
+    const content = await fs.readFile(path.join(root, STORE_DIR, name), 'utf8');
+    return JSON.parse(content);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file into the store (atomic rename)
+ * @param {string} root
+ * @param {string} name
+ * @param {any} data
+ * @returns {Promise<void>}
+ */
+export async function writeStore(root, name, data) {
+  const dir = await ensureStoreDir(root);
+  const target = path.join(dir, name);
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n');
+  await fs.rename(tmp, target);
+}
+
+/**
+ * Read a JSON Lines file from the store (invalid lines are skipped)
+ * @param {string} root
+ * @param {string} name
+ * @returns {Promise<object[]>}
+ */
+export async function readStoreLines(root, name) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(root, STORE_DIR, name), 'utf8');
+  } catch {
+    return [];
+  }
+
+  const items = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      items.push(JSON.parse(line));
+    } catch {
+      // 跳过写坏的行
+    }
+  }
+  return items;
+}
+
+/**
+ * Append one record to a JSON Lines file in the store
+ * @param {string} root
+ * @param {string} name
+ * @param {object} record
+ * @returns {Promise<void>}
+ */
+export async function appendStoreLine(root, name, record) {
+  const dir = await ensureStoreDir(root);
+  await fs.appendFile(path.join(dir, name), JSON.stringify(record) + '\n');
+}
+
+/**
+ * Replace a JSON Lines file in the store (atomic rename)
+ * @param {string} root
+ * @param {string} name
+ * @param {object[]} records
+ * @returns {Promise<void>}
+ */
+export async function writeStoreLines(root, name, records) {
+  const dir = await ensureStoreDir(root);
+  const target = path.join(dir, name);
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, records.map((r) => JSON.stringify(r) + '\n').join(''));
+  await fs.rename(tmp, target);
+}
+
+/**
+ * Generate a 16-char task ID for offline-created tasks
+ * @returns {string}
+ */
+export function generateLocalId() {
+  const bytes = randomBytes(16 - LOCAL_ID_PREFIX.length);
+  let id = LOCAL_ID_PREFIX;
+  for (const b of bytes) id += ID_ALPHABET[b % ID_ALPHABET.length];
+  return id;
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isLocalId(id) {
+  return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+}
+
+// ============================================================
+// 锁
+// ============================================================
+
+/**
+ * Whether the process that wrote a lock file is gone
+ * @param {string} lockPath
+ * @returns {Promise<boolean>}
+ */
+async function isStaleLock(lockPath) {
+  let pid;
+  try {
+    pid = Number((await fs.readFile(lockPath, 'utf8')).trim());
+  } catch {
+    return false;
+  }
+  if (!Number.isInteger(pid) || pid <= 0) return true;
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === 'ESRCH';
+  }
+}
+
+/**
+ * Run a read-modify-write of the store while holding .kanban/.lock, so that
+ * concurrent kanban processes do not overwrite each other's changes.
+ * Re-entrant: nested calls for the same root run directly.
+ * @template T
+ * @param {string} root
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withStoreLock(root, fn) {
+  const key = path.resolve(root);
+  const held = heldLocks.getStore();
+  if (held?.has(key)) return fn();
+
+  const lockPath = path.join(await ensureStoreDir(key), LOCK_FILE);
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    // 持有者已退出 (崩溃、被终止) 时接管
+    if (await isStaleLock(lockPath)) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Kanban store is locked (${lockPath}). If no other kanban command is running, delete the file and retry.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    return await heldLocks.run(new Set([...(held || []), key]), fn);
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+// ============================================================
+// 项目 / 任务快照
+// ============================================================
+
+/**
+ * @param {string} root
+ * @returns {Promise<object|null>}
+ */
+export async function loadProject(root) {
+  return readStore(root, 'project.json', null);
+}
+
+/**
+ * @param {string} root
+ * @param {object} project
+ * @returns {Promise<void>}
+ */
+export async function saveProject(root, project) {
+  await writeStore(root, 'project.json', project);
+}
+
+/**
+ * @param {string} root
+ * @returns {Promise<object[]>}
+ */
+export async function loadTasks(root) {
+  const data = await readStore(root, 'tasks.json', null);
+  return data?.items || [];
+}
+
+/**
+ * @param {string} root
+ * @param {object[]} items
+ * @returns {Promise<void>}
+ */
+export async function saveTasks(root, items) {
+  await writeStore(root, 'tasks.json', { savedAt: new Date().toISOString(), items });
+}
+
+/**
+ * Insert or replace a single task in the snapshot
+ * @param {string} root
+ * @param {object} task
+ * @returns {Promise<void>}
+ */
+export async function upsertTask(root, task) {
+  await updateTasks(root, (items) => {
+    const index = items.findIndex((t) => t.id === task.id);
+    return index >= 0 ? items.map((t, i) => (i === index ? { ...t, ...task } : t)) : [...items, task];
+  });
+}
+
+/**
+ * Rewrite the task snapshot under the store lock
+ * @param {string} root
+ * @param {(items: object[]) => object[] | Promise<object[]>} updater - Returns the new task list
+ * @returns {Promise<object[]>}
+ */
+export async function updateTasks(root, updater) {
+  return withStoreLock(root, async () => {
+    const items = await updater(await loadTasks(root));
+    await saveTasks(root, items);
+    return items;
+  });
+}
+
+/**
+ * Apply a queued mutation to a task list (pure, returns a new array)
+ * @param {object[]} items
+ * @param {{op: string, taskId: string, data?: object, queuedAt?: string}} entry
+ * @returns {object[]}
+ */
+export function applyMutation(items, entry) {
+  const updatedAt = entry.queuedAt || new Date().toISOString();
+
+  switch (entry.op) {
+    case 'create':
+      if (items.some((t) => t.id === entry.taskId)) return items;
+      return [...items, { ...entry.data, id: entry.taskId, createdAt: updatedAt, updatedAt }];
+    case 'update':
+    case 'move':
+      return items.map((t) => (t.id === entry.taskId ? { ...t, ...entry.data, updatedAt } : t));
+    case 'delete':
+      return items.filter((t) => t.id !== entry.taskId);
+    default:
+      return items;
+  }
+}
+
+/**
+ * Load project-level CLI config (.kanban/config.json)
+ * @param {string} root
+ * @returns {Promise<object>}
+ */
+export async function loadConfig(root) {
+  return readStore(root, 'config.json', {});
+}
+
+/**
+ * @param {string} root
+ * @param {object} config
+ * @returns {Promise<void>}
+ */
+export async function saveConfig(root, config) {
+  await writeStore(root, 'config.json', config);
+}
+
+/**
+ * Last materialized period per recurring template
+ * @param {string} root
+ * @returns {Promise<Record<string, {period: string, taskId: string, at: string}>>}
+ */
+export async function loadRecurringState(root) {
+  return readStore(root, 'recurring.json', {});
+}
+
+/**
+ * @param {string} root
+ * @param {object} state
+ * @returns {Promise<void>}
+ */
+export async function saveRecurringState(root, state) {
+  await writeStore(root, 'recurring.json', state);
+}
+
+/**
+ * Last commit scan-commits looked at, per branch
+ * @param {string} root
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function loadCommitScan(root) {
+  return readStore(root, 'commits.json', {});
+}
+
+/**
+ * @param {string} root
+ * @param {Record<string, string>} state
+ * @returns {Promise<void>}
+ */
+export async function saveCommitScan(root, state) {
+  await writeStore(root, 'commits.json', state);
+}
+
+/**
+ * @param {string} root
+ * @returns {Promise<object|null>}
+ */
+export async function loadRunState(root) {
+  return readStore(root, 'run.json', null);
+}
+
+/**
+ * @param {string} root
+ * @param {object} state
+ * @returns {Promise<void>}
+ */
+export async function saveRunState(root, state) {
+  await writeStore(root, 'run.json', state);
+}
+
+// ============================================================
+// 变更队列
+// ============================================================
+
+/**
+ * @param {string} root
+ * @returns {Promise<object[]>}
+ */
+export async function loadQueue(root) {
+  return readStore(root, 'queue.json', []);
+}
+
+/**
+ * @param {string} root
+ * @param {object[]} queue
+ * @returns {Promise<void>}
+ */
+export async function saveQueue(root, queue) {
+  await writeStore(root, 'queue.json', queue);
+}
+
+/**
+ * Queue a mutation and apply it to the local snapshot
+ * @param {string} root
+ * @param {'create'|'update'|'move'|'delete'} op
+ * @param {string} taskId
+ * @param {object} [data]
+ * @returns {Promise<object>} The queued entry
+ */
+export async function enqueue(root, op, taskId, data = {}) {
+  const entry = { op, taskId, data, queuedAt: new Date().toISOString() };
+  return withStoreLock(root, async () => {
+    const queue = await loadQueue(root);
+    queue.push(entry);
+    await saveQueue(root, queue);
+    await saveTasks(root, applyMutation(await loadTasks(root), entry));
+    return entry;
+  });
+}
+
+// ============================================================
+// 任务元数据 (服务端不支持的本地字段)
+// ============================================================
+
+/**
+ * Load local-only task fields keyed by task ID
+ * @param {string} root
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function loadMeta(root) {
+  return readStore(root, 'meta.json', {});
+}
+
+/**
+ * @param {string} root
+ * @param {Record<string, object>} meta
+ * @returns {Promise<void>}
+ */
+export async function saveMeta(root, meta) {
+  await writeStore(root, 'meta.json', meta);
+}
+
+/**
+ * Update the local fields of one task
+ * @param {string} root
+ * @param {string} taskId
+ * @param {(current: object) => object} updater - Returns the new field set
+ * @returns {Promise<object>} The new field set
+ */
+export async function updateMeta(root, taskId, updater) {
+  return withStoreLock(root, async () => {
+    const meta = await loadMeta(root);
+    const next = updater({ ...(meta[taskId] || {}) });
+    meta[taskId] = next;
+    await saveMeta(root, meta);
+    return next;
+  });
+}
+
+/**
+ * Merge local-only fields into tasks
+ * @param {object[]} tasks
+ * @param {Record<string, object>} meta
+ * @returns {object[]}
+ */
+export function mergeMeta(tasks, meta) {
+  return tasks.map((t) => (meta[t.id] ? { ...t, ...meta[t.id] } : t));
+}
+
+/**
+ * Rewrite task IDs in the metadata (offline IDs replaced after sync)
+ * @param {string} root
+ * @param {Map<string, string>} idMap - Old ID → new ID
+ * @returns {Promise<void>}
+ */
+export async function remapMetaIds(root, idMap) {
+  if (idMap.size === 0) return;
+  await withStoreLock(root, async () => {
+    const meta = await loadMeta(root);
+    const remapped = {};
+    for (const [taskId, fields] of Object.entries(meta)) {
+      const next = { ...fields };
+      if (Array.isArray(next.blockedBy)) {
+        next.blockedBy = next.blockedBy.map((id) => idMap.get(id) || id);
+      }
+      remapped[idMap.get(taskId) || taskId] = next;
+    }
+    await saveMeta(root, remapped);
+  });
+}
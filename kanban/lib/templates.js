@@ -0,0 +1,103 @@
+/**
+ * Kanban 任务模板与周期任务
+ *
+ * 模板保存在 .kanban/config.json 的 templates 下，标题 / 描述 / 标签中的
+ * {{name}} 占位符在 apply 时替换。设置了 every 的模板为周期任务，由
+ * `kanban tick` 在每个周期内创建一次。
+ *
+ * 内置变量: {{date}} (YYYY-MM-DD) {{week}} (YYYY-Www) {{month}} (YYYY-MM) {{year}}
+ */
+
+import { resolveDate } from './query.js';
+
+export const RECURRENCES = ['daily', 'weekly', 'monthly'];
+
+const PLACEHOLDER_RE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * ISO 8601 week "2025-W03" (weeks start on Monday, week 1 contains Jan 4th)
+ * @param {Date} date
+ * @returns {string}
+ */
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${pad(week)}`;
+}
+
+/**
+ * Built-in placeholder values for a date (local time)
+ * @param {Date} [now]
+ * @returns {Record<string, string>}
+ */
+export function builtinVars(now = new Date()) {
+  return {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    week: isoWeek(now),
+    month: `${now.getFullYear()}-${pad(now.getMonth() + 1)}`,
+    year: String(now.getFullYear()),
+  };
+}
+
+/**
+ * Key of the period a date falls in; one recurring instance per key
+ * @param {string} every - One of RECURRENCES
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function periodKey(every, now = new Date()) {
+  const vars = builtinVars(now);
+  switch (every) {
+    case 'daily':
+      return vars.date;
+    case 'weekly':
+      return vars.week;
+    case 'monthly':
+      return vars.month;
+    default:
+      throw new Error(`Unknown recurrence: ${every} (expected ${RECURRENCES.join('|')})`);
+  }
+}
+
+/**
+ * Placeholder names used by a template (built-ins excluded)
+ * @param {object} template
+ * @returns {string[]}
+ */
+export function templateVars(template) {
+  const text = [template.title, template.description, ...(template.tags || [])].join('\n');
+  const builtins = Object.keys(builtinVars());
+  const names = [...text.matchAll(PLACEHOLDER_RE)].map((m) => m[1]);
+  return [...new Set(names)].filter((n) => !builtins.includes(n));
+}
+
+/**
+ * Substitute placeholders and resolve the due date of a template
+ * @param {object} template - { title, description, priority, tags, dueDate, estimate, vars }
+ * @param {Record<string, string>} [vars] - Overrides template.vars
+ * @param {Date} [now]
+ * @returns {{title: string, description: string, priority: number|undefined, tags: string[], dueDate: string|undefined, estimate: number|undefined}}
+ */
+export function renderTemplate(template, vars = {}, now = new Date()) {
+  const values = { ...builtinVars(now), ...template.vars, ...vars };
+  const missing = templateVars(template).filter((n) => values[n] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing template variables: ${missing.join(', ')} (use --var=${missing[0]}=<value>)`);
+  }
+
+  const fill = (text) => String(text || '').replace(PLACEHOLDER_RE, (_, name) => values[name]);
+
+  return {
+    title: fill(template.title),
+    description: fill(template.description),
+    priority: template.priority,
+    tags: (template.tags || []).map(fill).filter(Boolean),
+    // "+3d" 等相对日期以创建时间为基准
+    dueDate: template.dueDate ? resolveDate(template.dueDate, now) : undefined,
+    estimate: template.estimate,
+  };
+}
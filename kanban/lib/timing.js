@@ -0,0 +1,182 @@
+/**
+ * Kanban 时间统计 - 从活动日志推导任务耗时
+ *
+ * 状态变为 in_progress 开始计时，变为其他状态 (todo 暂停、done、blocked)
+ * 停止计时。`kanban timer` 显示计时中的任务，`kanban report` 按标签、
+ * 优先级、Worktree、作者汇总耗时。
+ */
+
+/**
+ * Build work intervals per task from activity entries (oldest first)
+ * @param {object[]} entries - Activity entries
+ * @returns {Map<string, {start: string, end: string|null, author: string}[]>}
+ */
+export function buildIntervals(entries) {
+  const intervals = new Map();
+
+  for (const entry of entries) {
+    if (entry.action !== 'status') continue;
+
+    const list = intervals.get(entry.taskId) || [];
+    const open = list.length > 0 && list[list.length - 1].end === null ? list[list.length - 1] : null;
+
+    if (entry.to === 'in_progress') {
+      if (!open) list.push({ start: entry.at, end: null, author: entry.author });
+    } else if (open) {
+      open.end = entry.at;
+    }
+
+    intervals.set(entry.taskId, list);
+  }
+
+  return intervals;
+}
+
+/**
+ * Milliseconds covered by intervals, clipped to [since, until]
+ * @param {{start: string, end: string|null}[]} intervals
+ * @param {{since?: Date|null, until?: Date|null, now?: Date}} [range]
+ * @returns {number}
+ */
+export function sumIntervals(intervals, { since = null, until = null, now = new Date() } = {}) {
+  let total = 0;
+  for (const interval of intervals || []) {
+    let start = Date.parse(interval.start);
+    let end = interval.end ? Date.parse(interval.end) : now.getTime();
+    if (since) start = Math.max(start, since.getTime());
+    if (until) end = Math.min(end, until.getTime());
+    if (end > start) total += end - start;
+  }
+  return total;
+}
+
+/**
+ * "2h 05m" / "12m" / "40s"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes === 0) return `${Math.floor(ms / 1000)}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  const days = Math.floor(hours / 24);
+  const rest = `${hours % 24}h ${String(minutes % 60).padStart(2, '0')}m`;
+  return days > 0 ? `${days}d ${rest}` : rest;
+}
+
+// ============================================================
+// 报表
+// ============================================================
+
+/**
+ * Aggregate tracked time for a period
+ * @param {object[]} tasks - Current tasks (for title / tags / priority / worktree)
+ * @param {object[]} entries - Activity entries (oldest first)
+ * @param {{since?: Date|null, until?: Date|null, now?: Date}} [range]
+ * @returns {object}
+ */
+export function buildReport(tasks, entries, range = {}) {
+  const now = range.now || new Date();
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const intervals = buildIntervals(entries);
+
+  // 任务标题 (已删除任务取创建记录) 和 Worktree 分支
+  const titles = new Map();
+  const branches = new Map();
+  for (const entry of entries) {
+    if (entry.action === 'create') titles.set(entry.taskId, entry.title);
+    if (entry.action === 'worktree') branches.set(entry.taskId, entry.to ? entry.branch || entry.to : null);
+  }
+
+  const groups = { tag: new Map(), priority: new Map(), worktree: new Map(), author: new Map() };
+  const add = (group, key, ms, taskId) => {
+    const row = group.get(key) || { key, ms: 0, tasks: new Set() };
+    row.ms += ms;
+    row.tasks.add(taskId);
+    group.set(key, row);
+  };
+
+  const rows = [];
+  let total = 0;
+
+  for (const [taskId, list] of intervals) {
+    const task = byId.get(taskId);
+    let taskTotal = 0;
+
+    for (const interval of list) {
+      const ms = sumIntervals([interval], { ...range, now });
+      if (ms === 0) continue;
+      taskTotal += ms;
+      add(groups.author, interval.author || 'unknown', ms, taskId);
+    }
+    if (taskTotal === 0) continue;
+
+    total += taskTotal;
+    const tags = task?.tags?.length > 0 ? task.tags : ['(untagged)'];
+    tags.forEach((tag) => add(groups.tag, tag, taskTotal, taskId));
+    add(groups.priority, task ? `P${task.priority}` : '(deleted)', taskTotal, taskId);
+    add(groups.worktree, (branches.has(taskId) ? branches.get(taskId) : task?.worktreeId) || '(none)', taskTotal, taskId);
+
+    rows.push({
+      id: taskId,
+      title: task?.title || titles.get(taskId) || '(deleted)',
+      status: task?.status || 'deleted',
+      ms: taskTotal,
+      running: list.some((i) => i.end === null),
+    });
+  }
+
+  const toList = (group) =>
+    [...group.values()].map((r) => ({ key: r.key, ms: r.ms, tasks: r.tasks.size })).sort((a, b) => b.ms - a.ms);
+
+  return {
+    since: range.since ? range.since.toISOString() : null,
+    until: (range.until || now).toISOString(),
+    total,
+    byTag: toList(groups.tag),
+    byPriority: toList(groups.priority).sort((a, b) => a.key.localeCompare(b.key)),
+    byWorktree: toList(groups.worktree),
+    byAuthor: toList(groups.author),
+    tasks: rows.sort((a, b) => b.ms - a.ms),
+  };
+}
+
+/**
+ * Render a report as Markdown tables
+ * @param {object} report - From buildReport
+ * @param {string} projectName
+ * @returns {string}
+ */
+export function formatReportMarkdown(report, projectName) {
+  const lines = [];
+  const period = `${report.since ? report.since.slice(0, 10) : '开始'} → ${report.until.slice(0, 10)}`;
+
+  lines.push(`# ${projectName} - 时间报告`);
+  lines.push(`\n> 区间: ${period}`);
+  lines.push(`> 总计: ${formatDuration(report.total)} (${report.tasks.length} 个任务)`);
+
+  const table = (title, label, rows) => {
+    if (rows.length === 0) return;
+    lines.push(`\n## ${title}\n`);
+    lines.push(`| ${label} | 耗时 | 任务数 |`);
+    lines.push('|------|------|--------|');
+    rows.forEach((r) => lines.push(`| ${r.key} | ${formatDuration(r.ms)} | ${r.tasks} |`));
+  };
+
+  table('按标签', '标签', report.byTag);
+  table('按优先级', '优先级', report.byPriority);
+  table('按 Worktree', 'Worktree', report.byWorktree);
+  table('按作者', '作者', report.byAuthor);
+
+  if (report.tasks.length > 0) {
+    lines.push('\n## 任务明细\n');
+    lines.push('| 任务 | 状态 | 耗时 |');
+    lines.push('|------|------|------|');
+    for (const t of report.tasks) {
+      lines.push(`| ${t.title} (\`${t.id.slice(0, 8)}\`) | ${t.status}${t.running ? ' ⏱' : ''} | ${formatDuration(t.ms)} |`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,457 @@
+/**
+ * Kanban 终端看板 - `kanban tui`
+ *
+ * 纯 Node TTY 实现 (raw mode + ANSI 转义)，不依赖第三方库。
+ * 任务读写通过调用方注入的 loadTasks / moveTask / updateTask 完成，
+ * 因此离线存储、依赖等逻辑与其他 CLI 命令一致。
+ */
+
+import readline from 'readline';
+import { getBlockerIds } from './deps.js';
+
+export const BOARD_COLUMNS = [
+  { status: 'todo', title: 'Todo' },
+  { status: 'in_progress', title: 'In Progress' },
+  { status: 'blocked', title: 'Blocked' },
+  { status: 'done', title: 'Done' },
+];
+
+const HELP = '←→/hl column  ↑↓/jk card  </> move  0-3 priority  +/- raise/lower  t tags  enter detail  r refresh  q quit';
+
+// ============================================================
+// ANSI / 字符宽度
+// ============================================================
+
+const CSI = '\x1b[';
+const ANSI_RE = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+const style = {
+  bold: (s) => `${CSI}1m${s}${CSI}22m`,
+  dim: (s) => `${CSI}2m${s}${CSI}22m`,
+  inverse: (s) => `${CSI}7m${s}${CSI}27m`,
+  color: (code, s) => `${CSI}${code}m${s}${CSI}39m`,
+};
+
+// P0 红 / P1 黄 / P2 青 / P3 灰
+const PRIORITY_COLORS = [31, 33, 36, 90];
+
+/**
+ * Terminal cell width of a code point (CJK / emoji take two cells)
+ * @param {number} cp
+ * @returns {number}
+ */
+export function charWidth(cp) {
+  if (cp < 32 || (cp >= 0x7f && cp < 0xa0)) return 0;
+  if (cp >= 0x300 && cp <= 0x36f) return 0;
+  if (cp === 0x200d || (cp >= 0xfe00 && cp <= 0xfe0f)) return 0;
+  if (
+    (cp >= 0x1100 && cp <= 0x115f) ||
+    (cp >= 0x2e80 && cp <= 0xa4cf) ||
+    (cp >= 0xac00 && cp <= 0xd7a3) ||
+    (cp >= 0xf900 && cp <= 0xfaff) ||
+    (cp >= 0xfe30 && cp <= 0xfe4f) ||
+    (cp >= 0xff00 && cp <= 0xff60) ||
+    (cp >= 0xffe0 && cp <= 0xffe6) ||
+    (cp >= 0x1f300 && cp <= 0x1faff) ||
+    (cp >= 0x20000 && cp <= 0x3fffd)
+  ) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * @param {string} str
+ * @returns {number}
+ */
+export function stringWidth(str) {
+  let width = 0;
+  for (const ch of str.replace(ANSI_RE, '')) width += charWidth(ch.codePointAt(0));
+  return width;
+}
+
+/**
+ * Cut plain text to exactly `width` cells (padded with spaces)
+ * @param {string} str
+ * @param {number} width
+ * @returns {string}
+ */
+export function fit(str, width) {
+  if (width <= 0) return '';
+  const text = str.replace(/\t/g, '  ');
+  const total = stringWidth(text);
+  if (total <= width) return text + ' '.repeat(width - total);
+
+  let out = '';
+  let used = 0;
+  for (const ch of text) {
+    const w = charWidth(ch.codePointAt(0));
+    if (used + w > width - 1) break;
+    out += ch;
+    used += w;
+  }
+  return out + '…' + ' '.repeat(width - used - 1);
+}
+
+/**
+ * Soft-wrap plain text to lines of at most `width` cells
+ * @param {string} text
+ * @param {number} width
+ * @returns {string[]}
+ */
+export function wrapText(text, width) {
+  const lines = [];
+  for (const raw of text.split('\n')) {
+    let line = '';
+    let used = 0;
+    for (const ch of raw) {
+      const w = charWidth(ch.codePointAt(0));
+      if (used + w > width && line) {
+        lines.push(line);
+        line = '';
+        used = 0;
+      }
+      line += ch;
+      used += w;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// ============================================================
+// 描述渲染 (行级 Markdown)
+// ============================================================
+
+/**
+ * Render a task description into styled, width-limited lines
+ * @param {string} description
+ * @param {number} width
+ * @returns {string[]}
+ */
+export function renderDescription(description, width) {
+  const out = [];
+  let inFence = false;
+
+  for (const line of (description || '').split('\n')) {
+    if (/^\s*```/.test(line)) {
+      inFence = !inFence;
+      out.push(style.dim(fit(line, width)));
+      continue;
+    }
+    if (inFence) {
+      out.push(style.color(32, fit(line, width)));
+      continue;
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      out.push(style.bold(fit(heading[1], width)));
+      continue;
+    }
+
+    const plain = line
+      .replace(/^(\s*)[-*+]\s+\[[xX]\]\s+/, '$1☑ ')
+      .replace(/^(\s*)[-*+]\s+\[ \]\s+/, '$1☐ ')
+      .replace(/^(\s*)[-*+]\s+/, '$1• ')
+      .replace(/\*\*(.+?)\*\*/g, '$1');
+
+    for (const wrapped of wrapText(plain, width)) {
+      out.push(fit(wrapped, width));
+    }
+  }
+
+  return out;
+}
+
+// ============================================================
+// 看板
+// ============================================================
+
+/**
+ * Run the interactive board until the user quits
+ * @param {object} options
+ * @param {{name: string}} options.project
+ * @param {object[]} options.tasks - Initial task list
+ * @param {() => Promise<object[]>} options.loadTasks
+ * @param {(taskId: string, moveData: object) => Promise<any>} options.moveTask
+ * @param {(taskId: string, updates: object) => Promise<any>} options.updateTask
+ * @param {NodeJS.ReadStream} [options.input]
+ * @param {NodeJS.WriteStream} [options.output]
+ * @returns {Promise<void>}
+ */
+export function runBoard({ project, tasks: initialTasks, loadTasks, moveTask, updateTask, input = process.stdin, output = process.stdout }) {
+  let tasks = initialTasks;
+  let col = 0;
+  const rows = BOARD_COLUMNS.map(() => 0);
+  const offsets = BOARD_COLUMNS.map(() => 0);
+  let expanded = false;
+  let busy = false;
+  let message = '';
+  let prompt = null; // { label, value, onSubmit }
+
+  const columnTasks = (index) =>
+    tasks
+      .filter((t) => t.status === BOARD_COLUMNS[index].status)
+      .sort((a, b) => a.priority - b.priority || (a.orderIndex ?? 0) - (b.orderIndex ?? 0));
+
+  const selected = () => columnTasks(col)[rows[col]] || null;
+
+  const pendingBlockers = (task) => {
+    const byId = new Map(tasks.map((t) => [t.id, t]));
+    return getBlockerIds(task).map((id) => byId.get(id)).filter((t) => t && t.status !== 'done');
+  };
+
+  function clampSelection() {
+    BOARD_COLUMNS.forEach((_, i) => {
+      const count = columnTasks(i).length;
+      rows[i] = Math.max(0, Math.min(rows[i], count - 1));
+    });
+  }
+
+  function selectTask(taskId) {
+    const index = BOARD_COLUMNS.findIndex((c) => c.status === tasks.find((t) => t.id === taskId)?.status);
+    if (index < 0) return;
+    col = index;
+    rows[index] = Math.max(0, columnTasks(index).findIndex((t) => t.id === taskId));
+  }
+
+  // ------------------------------------------------------------
+  // 渲染
+  // ------------------------------------------------------------
+
+  function renderCard(task, width, isSelected) {
+    const p = task.priority;
+    const mark = pendingBlockers(task).length > 0 ? '⊘' : ' ';
+    const text = fit(`${mark}P${p} ${task.title}`, width);
+    if (isSelected) return style.inverse(text);
+    return style.color(PRIORITY_COLORS[p] ?? 39, text.slice(0, 3)) + text.slice(3);
+  }
+
+  function renderDetail(task, width, height) {
+    if (!task) return [style.dim(fit('No task selected', width))];
+
+    const meta = [
+      `ID: ${task.id}`,
+      `Status: ${task.status}`,
+      `Priority: P${task.priority}`,
+      task.tags?.length > 0 ? `Tags: ${task.tags.join(', ')}` : null,
+      task.dueDate ? `Due: ${String(task.dueDate).split('T')[0]}` : null,
+    ].filter(Boolean);
+
+    const lines = [style.bold(fit(task.title, width)), style.dim(fit(meta.join('  ·  '), width))];
+
+    const blockers = pendingBlockers(task);
+    if (blockers.length > 0) {
+      lines.push(style.color(31, fit(`Blocked by: ${blockers.map((b) => `${b.title} (${b.id.slice(0, 8)})`).join(', ')}`, width)));
+    }
+
+    lines.push(fit('', width));
+    lines.push(...renderDescription(task.description, width));
+
+    if (lines.length > height) {
+      return [...lines.slice(0, height - 1), style.dim(fit(`… ${lines.length - height + 1} more line(s)`, width))];
+    }
+    return lines;
+  }
+
+  function render() {
+    const width = output.columns || 80;
+    const height = output.rows || 24;
+    const frame = [];
+
+    const counts = BOARD_COLUMNS.map((c, i) => `${c.title.toLowerCase()} ${columnTasks(i).length}`).join(' · ');
+    frame.push(style.bold(fit(` ${project.name}   ${counts}`, width)));
+
+    const bodyHeight = height - 3;
+    const boardHeight = expanded ? 0 : Math.max(3, Math.floor(bodyHeight * 0.55));
+    const detailHeight = bodyHeight - boardHeight - (expanded ? 0 : 1);
+
+    if (!expanded) {
+      const colWidth = Math.floor(width / BOARD_COLUMNS.length);
+      const cellWidth = colWidth - 1;
+
+      frame.push(
+        BOARD_COLUMNS.map((c, i) => {
+          const head = fit(` ${c.title} (${columnTasks(i).length})`, cellWidth);
+          return (i === col ? style.bold(style.color(34, head)) : style.bold(head)) + '│';
+        }).join('')
+      );
+
+      // 保证选中行在可视区域内
+      const cardRows = boardHeight - 1;
+      BOARD_COLUMNS.forEach((_, i) => {
+        if (rows[i] < offsets[i]) offsets[i] = rows[i];
+        if (rows[i] >= offsets[i] + cardRows) offsets[i] = rows[i] - cardRows + 1;
+      });
+
+      const columns = BOARD_COLUMNS.map((_, i) => columnTasks(i));
+      for (let r = 0; r < cardRows; r++) {
+        frame.push(
+          columns.map((list, i) => {
+            const task = list[offsets[i] + r];
+            const cell = task ? renderCard(task, cellWidth, i === col && offsets[i] + r === rows[i]) : fit('', cellWidth);
+            return cell + '│';
+          }).join('')
+        );
+      }
+
+      frame.push(style.dim('─'.repeat(width)));
+    }
+
+    const detail = renderDetail(selected(), width, detailHeight);
+    for (let r = 0; r < detailHeight; r++) {
+      frame.push(detail[r] ?? fit('', width));
+    }
+
+    if (prompt) {
+      frame.push(fit(`${prompt.label}: ${prompt.value}`, width));
+    } else {
+      frame.push(style.dim(fit(message || HELP, width)));
+    }
+
+    output.write(`${CSI}H` + frame.slice(0, height).map((l) => `${l}${CSI}K`).join('\n'));
+  }
+
+  // ------------------------------------------------------------
+  // 操作
+  // ------------------------------------------------------------
+
+  async function run(label, action) {
+    busy = true;
+    message = `${label}...`;
+    render();
+    try {
+      message = (await action()) || '';
+    } catch (err) {
+      message = `Error: ${err.message}`;
+    }
+    busy = false;
+    clampSelection();
+    render();
+  }
+
+  function moveCard(delta) {
+    const task = selected();
+    const target = col + delta;
+    if (!task || target < 0 || target >= BOARD_COLUMNS.length) return;
+
+    const status = BOARD_COLUMNS[target].status;
+    run('Moving', async () => {
+      await moveTask(task.id, { status });
+      task.status = status;
+      selectTask(task.id);
+      const blockers = pendingBlockers(task);
+      if (status === 'in_progress' && blockers.length > 0) {
+        return `Moved to ${status} despite ${blockers.length} unfinished blocker(s)`;
+      }
+      return `Moved "${task.title}" → ${status}`;
+    });
+  }
+
+  function setPriority(priority) {
+    const task = selected();
+    if (!task || priority < 0 || priority > 3 || priority === task.priority) return;
+
+    run('Saving', async () => {
+      await updateTask(task.id, { priority });
+      task.priority = priority;
+      selectTask(task.id);
+      return `Priority → P${priority}`;
+    });
+  }
+
+  function editTags() {
+    const task = selected();
+    if (!task) return;
+
+    prompt = {
+      label: 'Tags (comma separated, enter to save, esc to cancel)',
+      value: (task.tags || []).join(', '),
+      onSubmit: (value) => {
+        const tags = value.split(',').map((t) => t.trim()).filter(Boolean);
+        run('Saving', async () => {
+          await updateTask(task.id, { tags });
+          task.tags = tags;
+          return `Tags → ${tags.join(', ') || '(none)'}`;
+        });
+      },
+    };
+    render();
+  }
+
+  // ------------------------------------------------------------
+  // 键盘
+  // ------------------------------------------------------------
+
+  return new Promise((resolve) => {
+    function cleanup() {
+      input.off('keypress', onKeypress);
+      output.off('resize', render);
+      if (input.isTTY) input.setRawMode(false);
+      input.pause();
+      output.write(`${CSI}?25h${CSI}?1049l`);
+      resolve();
+    }
+
+    function onPromptKey(str, key) {
+      if (key.name === 'escape') {
+        prompt = null;
+      } else if (key.name === 'return' || key.name === 'enter') {
+        const { value, onSubmit } = prompt;
+        prompt = null;
+        onSubmit(value);
+        return;
+      } else if (key.name === 'backspace') {
+        prompt.value = Array.from(prompt.value).slice(0, -1).join('');
+      } else if (key.ctrl && key.name === 'u') {
+        prompt.value = '';
+      } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+        prompt.value += str;
+      }
+      render();
+    }
+
+    function onKeypress(str, key = {}) {
+      if (key.ctrl && key.name === 'c') return cleanup();
+      if (prompt) return onPromptKey(str, key);
+      if (busy) return;
+
+      message = '';
+      const count = columnTasks(col).length;
+
+      if (key.name === 'q' || key.name === 'escape') return cleanup();
+      if ((key.name === 'left' && key.shift) || str === '<' || str === 'H') return moveCard(-1);
+      if ((key.name === 'right' && key.shift) || str === '>' || str === 'L') return moveCard(1);
+      if (key.name === 'left' || str === 'h') col = Math.max(0, col - 1);
+      else if (key.name === 'right' || str === 'l') col = Math.min(BOARD_COLUMNS.length - 1, col + 1);
+      else if (key.name === 'up' || str === 'k') rows[col] = Math.max(0, rows[col] - 1);
+      else if (key.name === 'down' || str === 'j') rows[col] = Math.min(Math.max(0, count - 1), rows[col] + 1);
+      else if (key.name === 'return' || key.name === 'enter') expanded = !expanded;
+      else if (/^[0-3]$/.test(str || '')) return setPriority(parseInt(str, 10));
+      else if (str === '+') return setPriority((selected()?.priority ?? 0) - 1);
+      else if (str === '-') return setPriority((selected()?.priority ?? 3) + 1);
+      else if (str === 't') return editTags();
+      else if (str === 'r') {
+        return run('Refreshing', async () => {
+          const id = selected()?.id;
+          tasks = await loadTasks();
+          if (id) selectTask(id);
+          return `Loaded ${tasks.length} task(s)`;
+        });
+      }
+
+      render();
+    }
+
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKeypress);
+    output.on('resize', render);
+
+    output.write(`${CSI}?1049h${CSI}?25l${CSI}2J`);
+    clampSelection();
+    render();
+  });
+}
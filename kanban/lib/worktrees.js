@@ -0,0 +1,175 @@
+/**
+ * Kanban Worktree 生命周期 - 状态、合并、清理
+ *
+ * 以 `git worktree list` 为准，再按以下顺序关联到任务:
+ *   1. 服务端 worktree (路径 / 分支) 的 ID 等于任务的 worktreeId
+ *   2. 活动日志中的 worktree 绑定记录 (任务删除后仍可追溯)
+ *   3. 分支命名惯例 task/<任务 ID 前缀> (`kanban worktree <id>` 创建)
+ */
+
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+/**
+ * Run git in a directory and return trimmed stdout
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {string}
+ */
+export function git(cwd, args) {
+  return execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+/**
+ * Short reason from a failed git invocation
+ * @param {Error & {stdout?: string, stderr?: string}} err
+ * @returns {string}
+ */
+export function gitError(err) {
+  // merge 冲突信息写在 stdout；去掉 git 的 hint 提示
+  const lines = [err.stdout, err.stderr]
+    .join('\n')
+    .split('\n')
+    .filter((l) => l.trim() && !l.startsWith('hint:'));
+  return (lines.length > 0 ? lines : [err.message]).slice(-3).join('\n');
+}
+
+/**
+ * Parse `git worktree list --porcelain` (the first entry is the main worktree)
+ * @param {string} repo
+ * @returns {{path: string, head: string, branch: string|null, main: boolean, prunable: boolean}[]}
+ */
+export function listGitWorktrees(repo) {
+  const output = git(repo, ['worktree', 'list', '--porcelain']);
+
+  return output
+    .split(/\n\n+/)
+    .filter(Boolean)
+    .map((block, i) => {
+      const wt = { path: '', head: '', branch: null, main: i === 0, prunable: false };
+      for (const line of block.split('\n')) {
+        const [key, ...rest] = line.split(' ');
+        const value = rest.join(' ');
+        if (key === 'worktree') wt.path = value;
+        else if (key === 'HEAD') wt.head = value;
+        else if (key === 'branch') wt.branch = value.replace(/^refs\/heads\//, '');
+        else if (key === 'prunable') wt.prunable = true;
+      }
+      return wt;
+    });
+}
+
+/**
+ * Ahead/behind the base branch and uncommitted changes
+ * @param {string} repo
+ * @param {{path: string, head: string, branch: string|null, prunable: boolean}} wt
+ * @param {string} base - Default branch
+ * @returns {{ahead: number|null, behind: number|null, dirty: boolean|null}}
+ */
+export function worktreeState(repo, wt, base) {
+  const state = { ahead: null, behind: null, dirty: null };
+
+  try {
+    const [behind, ahead] = git(repo, ['rev-list', '--left-right', '--count', `${base}...${wt.branch || wt.head}`])
+      .split(/\s+/)
+      .map(Number);
+    Object.assign(state, { ahead, behind });
+  } catch {
+    // 基准分支不存在等
+  }
+
+  if (!wt.prunable) {
+    try {
+      state.dirty = git(wt.path, ['status', '--porcelain']) !== '';
+    } catch {
+      // 目录已被手动删除
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Task ID prefix from a `task/<id>` branch name
+ * @param {string|null} branch
+ * @returns {string|null}
+ */
+export function taskIdFromBranch(branch) {
+  const match = String(branch || '').match(/^task\/([A-Za-z0-9_-]+)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Attach the owning task to each worktree
+ * @param {object[]} worktrees - From listGitWorktrees
+ * @param {{tasks: object[], serverWorktrees?: object[], activity?: object[]}} sources
+ * @returns {object[]} Worktrees with serverId, taskId, task (null if gone) and deleted
+ */
+export function linkWorktrees(worktrees, { tasks, serverWorktrees = [], activity = [] }) {
+  const bindings = activity.filter((e) => e.action === 'worktree' && e.to);
+
+  return worktrees.map((wt) => {
+    const server = serverWorktrees.find(
+      (s) => (s.path && path.resolve(s.path) === path.resolve(wt.path)) || (wt.branch && s.branchName === wt.branch)
+    );
+
+    let task = server ? tasks.find((t) => t.worktreeId === server.id) : undefined;
+    let taskId = task?.id;
+
+    if (!taskId) {
+      const binding = bindings.findLast((e) => (wt.branch && e.branch === wt.branch) || (server && e.to === server.id));
+      taskId = binding?.taskId;
+    }
+    if (!taskId) {
+      const prefix = taskIdFromBranch(wt.branch);
+      const matches = prefix ? tasks.filter((t) => t.id.startsWith(prefix)) : [];
+      taskId = matches.length === 1 ? matches[0].id : prefix;
+    }
+    if (!task && taskId) task = tasks.find((t) => t.id === taskId);
+
+    return {
+      ...wt,
+      serverId: server?.id || null,
+      taskId: taskId || null,
+      task: task || null,
+      deleted: Boolean(taskId) && !task,
+    };
+  });
+}
+
+/**
+ * Bring a worktree branch into the base branch checked out in repo.
+ * Aborts and throws on conflicts, leaving both worktrees as they were.
+ * @param {string} repo - Main worktree (on the base branch)
+ * @param {{path: string, branch: string}} wt
+ * @param {string} base
+ * @param {{rebase?: boolean}} [options]
+ * @returns {void}
+ */
+export function integrateBranch(repo, wt, base, { rebase = false } = {}) {
+  if (rebase) {
+    try {
+      git(wt.path, ['rebase', base]);
+    } catch (err) {
+      try {
+        git(wt.path, ['rebase', '--abort']);
+      } catch {
+        // 没有进行中的 rebase
+      }
+      throw new Error(`Rebase of ${wt.branch} onto ${base} failed, aborted:\n${gitError(err)}`);
+    }
+    git(repo, ['merge', '--ff-only', wt.branch]);
+    return;
+  }
+
+  try {
+    git(repo, ['merge', '--no-ff', '--no-edit', wt.branch]);
+  } catch (err) {
+    try {
+      git(repo, ['merge', '--abort']);
+    } catch {
+      // 没有进行中的 merge
+    }
+    throw new Error(`Merge of ${wt.branch} into ${base} failed, aborted:\n${gitError(err)}`);
+  }
+}
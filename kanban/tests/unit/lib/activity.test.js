@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { appendActivity, diffActivity, formatActivity, loadActivity, remapActivityIds } from '../../../lib/activity.js';
+
+describe('diffActivity', () => {
+  const before = { status: 'todo', priority: 2, worktreeId: null, title: 'Old', tags: ['api'], dueDate: null };
+
+  it('records status, priority and worktree changes with their previous value', () => {
+    expect(diffActivity(before, { status: 'in_progress', priority: 1, worktreeId: 'wt1' })).toEqual([
+      { action: 'status', from: 'todo', to: 'in_progress' },
+      { action: 'priority', from: 2, to: 1 },
+      { action: 'worktree', from: null, to: 'wt1' },
+    ]);
+  });
+
+  it('groups edited fields and skips values that did not change', () => {
+    expect(diffActivity(before, { title: 'New', tags: ['api'], dueDate: '2026-03-01', status: 'todo' })).toEqual([
+      { action: 'edit', fields: ['title', 'dueDate'] },
+    ]);
+    expect(diffActivity(before, { tags: ['api'] })).toEqual([]);
+  });
+
+  it('treats an unknown task as having no previous values', () => {
+    expect(diffActivity(undefined, { status: 'done' })).toEqual([{ action: 'status', from: null, to: 'done' }]);
+  });
+});
+
+describe('formatActivity', () => {
+  const entry = (fields) => ({ at: '2026-03-10T09:05:00', author: 'dana', ...fields });
+
+  it('renders one line per kind of change', () => {
+    expect(formatActivity(entry({ action: 'status', from: 'todo', to: 'done' }))).toBe('2026-03-10 09:05  dana  status todo → done');
+    expect(formatActivity(entry({ action: 'priority', from: null, to: 0 }))).toMatch(/priority P\? → P0$/);
+    expect(formatActivity(entry({ action: 'worktree', to: null }))).toMatch(/worktree unbound$/);
+    expect(formatActivity(entry({ action: 'checklist', op: 'import', count: 3 }))).toMatch(/checklist imported 3 item\(s\)$/);
+  });
+
+  it('indents the continuation lines of a comment under its text', () => {
+    const [first, second] = formatActivity(entry({ action: 'comment', text: 'looks good\nship it' })).split('\n');
+    expect(first).toMatch(/💬 looks good$/);
+    expect(second.trimStart()).toBe('ship it');
+    expect(second.indexOf('ship')).toBe(first.indexOf('looks'));
+  });
+});
+
+describe('activity log', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'kanban-activity-'));
+    process.env.KANBAN_AUTHOR = 'dana';
+  });
+
+  afterEach(async () => {
+    delete process.env.KANBAN_AUTHOR;
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('appends entries and loads one task oldest first', async () => {
+    await appendActivity(root, 't1', { action: 'create', title: 'One' });
+    await appendActivity(root, 't2', { action: 'create', title: 'Two' });
+    await appendActivity(root, 't1', { action: 'status', from: 'todo', to: 'done' });
+
+    const entries = await loadActivity(root, 't1');
+    expect(entries.map((e) => e.action)).toEqual(['create', 'status']);
+    expect(entries[0]).toMatchObject({ taskId: 't1', author: 'dana' });
+    expect(await loadActivity(root)).toHaveLength(3);
+  });
+
+  it('rewrites offline task IDs after sync', async () => {
+    await appendActivity(root, 'local1', { action: 'create', title: 'Offline' });
+    await remapActivityIds(root, new Map([['local1', 'srv1']]));
+
+    expect(await loadActivity(root, 'local1')).toEqual([]);
+    expect(await loadActivity(root, 'srv1')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+
+import { checklistProgress, formatChecklist, mergeChecklist, parseChecklist } from '../../../lib/checklist.js';
+
+describe('parseChecklist', () => {
+  it('extracts checkbox lines with their state', () => {
+    const description = '## Acceptance\n- [ ] API returns 404\r\n  * [x] docs updated  \n+ [X] tests\n- plain bullet\n[ ] not a list item';
+    expect(parseChecklist(description)).toEqual([
+      { text: 'API returns 404', done: false },
+      { text: 'docs updated', done: true },
+      { text: 'tests', done: true },
+    ]);
+  });
+
+  it('returns nothing for empty descriptions', () => {
+    expect(parseChecklist(undefined)).toEqual([]);
+    expect(parseChecklist('- [ ]')).toEqual([]);
+  });
+});
+
+describe('mergeChecklist', () => {
+  it('appends only items not already present, ignoring case and spacing', () => {
+    const existing = [{ text: 'Write  tests', done: true }];
+    const { checklist, added } = mergeChecklist(existing, [
+      { text: 'write tests', done: false },
+      { text: 'Update docs', done: false },
+      { text: 'update docs ', done: true },
+    ]);
+
+    expect(added).toEqual([{ text: 'Update docs', done: false }]);
+    expect(checklist).toEqual([...existing, { text: 'Update docs', done: false }]);
+  });
+});
+
+describe('checklistProgress / formatChecklist', () => {
+  const items = [{ text: 'a', done: true }, { text: 'b', done: false }];
+
+  it('summarizes and renders the checklist', () => {
+    expect(checklistProgress({ checklist: items })).toBe('1/2');
+    expect(checklistProgress({})).toBe('');
+    expect(formatChecklist(items)).toEqual(['- [x] a', '- [ ] b']);
+    expect(formatChecklist(items, true)).toEqual([' 1. [x] a', ' 2. [ ] b']);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import { createClient, isConnectionError, KanbanApiError } from '../../../lib/client.js';
+
+const timeoutError = () => Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' });
+const networkError = (code) => Object.assign(new TypeError('fetch failed'), { cause: { code, message: `connect ${code}` } });
+const response = (status, body = {}) => new Response(JSON.stringify(body), { status });
+
+function client(fetchMock) {
+  vi.stubGlobal('fetch', fetchMock);
+  return createClient({ baseUrl: 'http://kanban.test', retries: 1, log: () => {} });
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('request retries', () => {
+  it('does not resend a POST that timed out after being sent', async () => {
+    const fetchMock = vi.fn().mockRejectedValue(timeoutError());
+    const err = await client(fetchMock).post('/tasks/create', { title: 'x' }).catch((e) => e);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(err).toBeInstanceOf(KanbanApiError);
+    expect(err.code).toBe('ETIMEDOUT');
+    expect(err.message).toMatch(/may have applied it/);
+  });
+
+  it('does not resend a POST whose connection was reset', async () => {
+    const fetchMock = vi.fn().mockRejectedValue(networkError('ECONNRESET'));
+    await expect(client(fetchMock).post('/tasks/create', {})).rejects.toThrow();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a GET that timed out', async () => {
+    const fetchMock = vi.fn().mockRejectedValueOnce(timeoutError()).mockResolvedValueOnce(response(200, { items: [] }));
+    await expect(client(fetchMock).get('/projects')).resolves.toEqual({ items: [] });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries any method when the connection was refused', async () => {
+    const fetchMock = vi.fn().mockRejectedValueOnce(networkError('ECONNREFUSED')).mockResolvedValueOnce(response(200, { id: 't1' }));
+    await expect(client(fetchMock).post('/tasks/create', {})).resolves.toEqual({ id: 't1' });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries a POST on 503 but not on 500', async () => {
+    const unavailable = vi.fn().mockResolvedValueOnce(response(503)).mockResolvedValueOnce(response(200, {}));
+    await client(unavailable).post('/tasks/create', {});
+    expect(unavailable).toHaveBeenCalledTimes(2);
+
+    const failed = vi.fn().mockResolvedValue(response(500));
+    await expect(client(failed).post('/tasks/create', {})).rejects.toMatchObject({ status: 500 });
+    expect(failed).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('client settings and responses', () => {
+  it('falls back to the default retry count for a bad KANBAN_RETRIES', async () => {
+    vi.stubEnv('KANBAN_RETRIES', 'abc');
+    vi.useFakeTimers();
+    const fetchMock = vi.fn().mockRejectedValue(networkError('ECONNREFUSED'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const pending = createClient({ baseUrl: 'http://kanban.test', log: () => {} }).get('/projects').catch((e) => e);
+    await vi.runAllTimersAsync();
+    expect(await pending).toBeInstanceOf(KanbanApiError);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+  });
+
+  it('reports a non-JSON success body as an API error', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response('<html>proxy login</html>', { status: 200 }));
+    const err = await client(fetchMock).get('/projects').catch((e) => e);
+
+    expect(err).toBeInstanceOf(KanbanApiError);
+    expect(err.message).toMatch(/non-JSON response \(HTTP 200\): <html>proxy login<\/html>/);
+    expect(err.body).toBe('<html>proxy login</html>');
+  });
+});
+
+describe('isConnectionError', () => {
+  const apiError = (method, code) => new KanbanApiError('failed', { method, url: 'http://kanban.test', requestId: 'r', code });
+
+  it('treats refused connections as unreachable for every method', () => {
+    expect(isConnectionError(apiError('GET', 'ECONNREFUSED'))).toBe(true);
+    expect(isConnectionError(apiError('POST', 'ECONNREFUSED'))).toBe(true);
+  });
+
+  it('does not fall back offline for a write that may have been applied', () => {
+    expect(isConnectionError(apiError('POST', 'ETIMEDOUT'))).toBe(false);
+    expect(isConnectionError(apiError('PUT', 'ECONNRESET'))).toBe(false);
+    expect(isConnectionError(apiError('GET', 'ETIMEDOUT'))).toBe(true);
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+
+import { parseFixes, shortTaskId } from '../../../lib/commits.js';
+
+describe('parseFixes', () => {
+  it('accepts every tense of fix, close and resolve', () => {
+    const message = 'Fix login\n\nfixes #a1b2c3d4, Closed #b2c3d4e5\nResolves: #c3d4e5f6\nfix #d4e5f6a7 and close #e5f6a7b8';
+    expect(parseFixes(message)).toEqual(['a1b2c3d4', 'b2c3d4e5', 'c3d4e5f6', 'd4e5f6a7', 'e5f6a7b8']);
+  });
+
+  it('lists each ID once', () => {
+    expect(parseFixes('fixes #a1b2c3d4\nalso fixed #a1b2c3d4')).toEqual(['a1b2c3d4']);
+  });
+
+  it('ignores plain references, short IDs and words that only contain the keyword', () => {
+    expect(parseFixes('Task: #a1b2c3d4\nprefix #a1b2c3d4\nfixes #12\nsee #a1b2c3d4')).toEqual([]);
+    expect(parseFixes(undefined)).toEqual([]);
+  });
+});
+
+describe('shortTaskId', () => {
+  it('uses the first eight characters of the task ID', () => {
+    expect(shortTaskId({ id: 'a1b2c3d4e5f6a7b8' })).toBe('a1b2c3d4');
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import {
+  dependencySource,
+  findCycle,
+  findCycles,
+  getBlockerIds,
+  hasStructuredDeps,
+  outsideBlockers,
+  parseDependencies,
+} from '../../../lib/deps.js';
+
+describe('parseDependencies', () => {
+  it('collects every legacy reference once', () => {
+    const description = 'Blocked by [abc123]\ndepends on: [def456]\nAfter [abc123], requires [xyz789]';
+    expect(parseDependencies(description)).toEqual(['abc123', 'def456', 'xyz789']);
+  });
+
+  it('ignores descriptions without references', () => {
+    expect(parseDependencies('')).toEqual([]);
+    expect(parseDependencies('depends on the API being up')).toEqual([]);
+  });
+});
+
+describe('getBlockerIds', () => {
+  it('prefers structured links over the description', () => {
+    const linked = { blockedBy: ['t2'], description: 'Blocked by [t9]' };
+    expect(hasStructuredDeps(linked)).toBe(true);
+    expect(getBlockerIds(linked)).toEqual(['t2']);
+    expect(getBlockerIds({ blockedBy: [], description: 'Blocked by [t9]' })).toEqual([]);
+  });
+
+  it('falls back to the description for legacy tasks', () => {
+    expect(getBlockerIds({ description: 'Blocked by [t9]' })).toEqual(['t9']);
+  });
+});
+
+describe('findCycle', () => {
+  // t3 waits for t2, t2 waits for t1 (t2 only in the description)
+  const tasks = [
+    { id: 't1', blockedBy: [] },
+    { id: 't2', description: 'Depends on [t1]' },
+    { id: 't3', blockedBy: ['t2'] },
+  ];
+
+  it('returns the path a new link would close', () => {
+    // t1 waiting for t3 closes t1 ← t2 ← t3 ← t1
+    expect(findCycle(tasks, 't3', 't1')).toEqual(['t1', 't3', 't2', 't1']);
+  });
+
+  it('accepts links that keep the graph acyclic', () => {
+    expect(findCycle(tasks, 't1', 't3')).toBeNull();
+    expect(findCycle(tasks, 'missing', 't1')).toBeNull();
+  });
+});
+
+describe('findCycles', () => {
+  const firstEdge = (cycle) => ({ from: cycle[0], to: cycle[1] });
+
+  it('reports each cycle with blockers before the tasks waiting for them', () => {
+    // a waits for c, c waits for b, b waits for a
+    const nodes = [
+      { id: 'a', deps: ['c'] },
+      { id: 'b', deps: ['a'] },
+      { id: 'c', deps: ['b'] },
+      { id: 'd', deps: ['a'] },
+    ];
+    const [found, ...rest] = findCycles(nodes, firstEdge);
+
+    expect(rest).toEqual([]);
+    expect(found.cycle).toHaveLength(3);
+    const { cycle } = found;
+    cycle.forEach((from, i) => {
+      const to = cycle[(i + 1) % cycle.length];
+      expect(nodes.find((n) => n.id === to).deps).toContain(from);
+    });
+  });
+
+  it('cuts one edge per cycle until the graph is acyclic, without touching the input', () => {
+    // two cycles sharing task b: a ↔ b and b ↔ c
+    const nodes = [
+      { id: 'a', deps: ['b'] },
+      { id: 'b', deps: ['a', 'c'] },
+      { id: 'c', deps: ['b'] },
+    ];
+    const found = findCycles(nodes, firstEdge);
+
+    expect(found).toHaveLength(2);
+    expect(nodes[1].deps).toEqual(['a', 'c']);
+
+    const isCut = (from, to) => found.some(({ cut }) => cut.from === from && cut.to === to);
+    const remaining = nodes.map((n) => ({ ...n, deps: n.deps.filter((d) => !isCut(d, n.id)) }));
+    expect(findCycles(remaining, firstEdge)).toEqual([]);
+  });
+
+  it('lets the caller choose which edge to break', () => {
+    const nodes = [
+      { id: 'a', deps: ['b'] },
+      { id: 'b', deps: ['a'] },
+    ];
+    const pick = vi.fn(() => ({ from: 'a', to: 'b' }));
+    expect(findCycles(nodes, pick)[0].cut).toEqual({ from: 'a', to: 'b' });
+    expect(pick).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores dependencies on tasks outside the graph', () => {
+    expect(findCycles([{ id: 'a', deps: ['gone'] }], firstEdge)).toEqual([]);
+  });
+});
+
+describe('dependencySource', () => {
+  it('points at kanban link for structured dependencies', () => {
+    expect(dependencySource({ blockedBy: ['t1'] }, 't1')).toEqual({ kind: 'link' });
+  });
+
+  it('points at the description line that declares a legacy dependency', () => {
+    const task = { description: 'Refactor\n  Depends on [t1]\nnotes' };
+    expect(dependencySource(task, 't1')).toEqual({ kind: 'description', line: 2, text: 'Depends on [t1]' });
+    expect(dependencySource(task, 't9')).toEqual({ kind: 'description', line: 0, text: '' });
+  });
+});
+
+describe('outsideBlockers', () => {
+  const all = [
+    { id: 'api', status: 'in_progress', blockedBy: [] },
+    { id: 'ui', status: 'todo', priority: 1, blockedBy: ['api'] },
+    { id: 'docs', status: 'todo', priority: 1, blockedBy: ['ui'] },
+    { id: 'ci', status: 'todo', priority: 2, blockedBy: [] },
+    { id: 'lint', status: 'todo', priority: 1, blockedBy: ['ci', 'shipped', 'gone'] },
+    { id: 'shipped', status: 'done', blockedBy: [] },
+  ];
+
+  it('finds run tasks waiting for an in_progress task outside the run', () => {
+    const run = all.filter((t) => t.status === 'todo');
+    const found = outsideBlockers(run, all);
+
+    expect([...found.keys()]).toEqual(['ui']);
+    expect(found.get('ui').map((t) => t.id)).toEqual(['api']);
+  });
+
+  it('reports todo blockers left out by a priority filter, ignoring done and missing ones', () => {
+    const run = all.filter((t) => t.status === 'todo' && t.priority === 1);
+    const found = outsideBlockers(run, all);
+
+    expect(found.get('lint').map((t) => t.id)).toEqual(['ci']);
+    // docs waits for ui, which is part of the run
+    expect(found.has('docs')).toBe(false);
+  });
+});
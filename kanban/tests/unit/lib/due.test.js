@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+
+import { classifyDue, daysUntilDue, dueConfig, endsEscalation, formatDueIn, planEscalations } from '../../../lib/due.js';
+
+const NOW = new Date('2026-03-10T12:00:00');
+const task = (fields) => ({ id: 't', title: 'Task', status: 'todo', priority: 2, ...fields });
+
+describe('dueConfig', () => {
+  it('merges the escalation rule over the defaults', () => {
+    const config = dueConfig({ due: { soonDays: 7, escalate: { afterDays: 2 } } });
+    expect(config.soonDays).toBe(7);
+    expect(config.escalate).toMatchObject({ enabled: true, afterDays: 2, everyDays: 3, limit: 0, onTick: false });
+  });
+});
+
+describe('daysUntilDue', () => {
+  it('counts whole days and ignores tasks without a valid due date', () => {
+    expect(daysUntilDue(task({ dueDate: '2026-03-12' }), NOW)).toBe(2);
+    expect(daysUntilDue(task({ dueDate: '2026-03-08T09:00:00Z' }), NOW)).toBe(-2);
+    expect(daysUntilDue(task({ dueDate: 'next week' }), NOW)).toBeNull();
+    expect(daysUntilDue(task({}), NOW)).toBeNull();
+  });
+
+  it('formats relative days', () => {
+    expect([-3, 0, 1, 5].map(formatDueIn)).toEqual(['3d overdue', 'today', 'tomorrow', 'in 5d']);
+  });
+});
+
+describe('classifyDue', () => {
+  it('splits unfinished tasks into overdue and due soon, most urgent first', () => {
+    const tasks = [
+      task({ id: 'soon', dueDate: '2026-03-12' }),
+      task({ id: 'late', dueDate: '2026-03-09' }),
+      task({ id: 'later', dueDate: '2026-03-01' }),
+      task({ id: 'far', dueDate: '2026-04-01' }),
+      task({ id: 'done', dueDate: '2026-03-01', status: 'done' }),
+    ];
+    const { overdue, soon } = classifyDue(tasks, { soonDays: 3, now: NOW });
+    expect(overdue.map((t) => t.id)).toEqual(['later', 'late']);
+    expect(soon.map((t) => [t.id, t.dueIn])).toEqual([['soon', 2]]);
+  });
+});
+
+describe('planEscalations', () => {
+  const rule = dueConfig().escalate;
+
+  it('raises one level after afterDays and another every everyDays', () => {
+    expect(planEscalations([task({ dueDate: '2026-03-10' })], rule, NOW)).toEqual([]);
+    expect(planEscalations([task({ dueDate: '2026-03-09' })], rule, NOW)[0]).toMatchObject({ previous: 2, to: 1, overdueDays: 1 });
+    expect(planEscalations([task({ dueDate: '2026-03-06' })], rule, NOW)[0]).toMatchObject({ to: 0 });
+  });
+
+  it('computes from the recorded original priority so reruns do not escalate twice', () => {
+    const escalated = task({ dueDate: '2026-03-09', priority: 1, escalation: { from: 2 } });
+    expect(planEscalations([escalated], rule, NOW)).toEqual([]);
+  });
+
+  it('ignores a record made for a different due date', () => {
+    const moved = task({ dueDate: '2026-03-06', priority: 2, escalation: { from: 3, due: '2026-03-01' } });
+    expect(planEscalations([moved], rule, NOW)[0]).toMatchObject({ from: 2, previous: 2, to: 0 });
+
+    const same = { ...moved, escalation: { from: 3, due: '2026-03-06T00:00:00Z' } };
+    expect(planEscalations([same], rule, NOW)[0]).toMatchObject({ from: 3, to: 1 });
+  });
+
+  it('respects limit, enabled and task status', () => {
+    const overdue = task({ dueDate: '2026-02-01', priority: 3 });
+    expect(planEscalations([overdue], { ...rule, limit: 2 }, NOW)[0].to).toBe(2);
+    expect(planEscalations([overdue], { ...rule, enabled: false }, NOW)).toEqual([]);
+    expect(planEscalations([{ ...overdue, status: 'in_progress' }], rule, NOW)).toEqual([]);
+  });
+});
+
+describe('endsEscalation', () => {
+  const escalated = task({ dueDate: '2026-03-01', priority: 1, escalation: { from: 2, due: '2026-03-01' } });
+
+  it('ends the record when the task is done or its due date moves', () => {
+    expect(endsEscalation(escalated, { status: 'done' })).toBe(true);
+    expect(endsEscalation(escalated, { dueDate: '2026-03-20' })).toBe(true);
+    expect(endsEscalation(escalated, { dueDate: null })).toBe(true);
+  });
+
+  it('keeps it for other changes and tasks that were never escalated', () => {
+    expect(endsEscalation(escalated, { status: 'in_progress' })).toBe(false);
+    expect(endsEscalation(escalated, { dueDate: '2026-03-01T00:00:00Z', priority: 0 })).toBe(false);
+    expect(endsEscalation(task({ dueDate: '2026-03-01' }), { status: 'done' })).toBe(false);
+  });
+});
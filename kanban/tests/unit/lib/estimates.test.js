@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+
+import { buildBurndown, checkWipLimit, formatBurndownCsv, parseEstimate, wipConfig } from '../../../lib/estimates.js';
+
+describe('parseEstimate', () => {
+  it('accepts points with optional units and clears on none', () => {
+    expect(parseEstimate('3')).toBe(3);
+    expect(parseEstimate('0.5')).toBe(0.5);
+    expect(parseEstimate('5 pts')).toBe(5);
+    expect(parseEstimate('8SP')).toBe(8);
+    expect(parseEstimate('none')).toBeNull();
+    expect(parseEstimate('')).toBeNull();
+    expect(() => parseEstimate('-1')).toThrow('Invalid estimate: -1');
+  });
+});
+
+describe('wipConfig', () => {
+  it('defaults to warning without limits', () => {
+    expect(wipConfig()).toEqual({ limits: {}, enforce: 'warn' });
+  });
+
+  it('rejects unknown modes, statuses and bad limits', () => {
+    expect(() => wipConfig({ wip: { enforce: 'block' } })).toThrow('Invalid wip.enforce "block"');
+    expect(() => wipConfig({ wip: { limits: { review: 2 } } })).toThrow('Unknown status in wip.limits: review');
+    expect(() => wipConfig({ wip: { limits: { in_progress: 1.5 } } })).toThrow('Invalid wip.limits.in_progress: 1.5');
+  });
+});
+
+describe('checkWipLimit', () => {
+  const tasks = [
+    { id: 't1', status: 'in_progress' },
+    { id: 't2', status: 'in_progress' },
+    { id: 't3', status: 'todo' },
+  ];
+  const wip = wipConfig({ wip: { limits: { in_progress: 2 }, enforce: 'refuse' } });
+
+  it('reports the tasks already in a full status', () => {
+    expect(checkWipLimit(tasks, 't3', 'in_progress', wip)).toEqual({
+      status: 'in_progress',
+      limit: 2,
+      count: 3,
+      tasks: [tasks[0], tasks[1]],
+    });
+  });
+
+  it('allows moves within the limit, within the same status and to unlimited statuses', () => {
+    expect(checkWipLimit(tasks.slice(1), 't3', 'in_progress', wip)).toBeNull();
+    expect(checkWipLimit(tasks, 't1', 'in_progress', wip)).toBeNull();
+    expect(checkWipLimit(tasks, 't3', 'blocked', wip)).toBeNull();
+  });
+});
+
+describe('buildBurndown', () => {
+  // 本地时间，与按天切分的方式一致
+  const tasks = [
+    { id: 'a', status: 'done', estimate: 3 },
+    { id: 'b', status: 'in_progress', estimate: 5 },
+  ];
+  const entries = [
+    { taskId: 'a', action: 'create', at: '2026-03-09T09:00:00' },
+    { taskId: 'a', action: 'estimate', from: null, to: 3, at: '2026-03-09T09:05:00' },
+    { taskId: 'b', action: 'create', at: '2026-03-09T10:00:00' },
+    { taskId: 'c', action: 'create', at: '2026-03-09T11:00:00' },
+    { taskId: 'c', action: 'estimate', from: null, to: 2, at: '2026-03-09T11:05:00' },
+    { taskId: 'b', action: 'estimate', from: null, to: 5, at: '2026-03-10T09:00:00' },
+    { taskId: 'b', action: 'status', from: 'todo', to: 'in_progress', at: '2026-03-10T10:00:00' },
+    { taskId: 'a', action: 'status', from: 'todo', to: 'done', at: '2026-03-10T15:00:00' },
+    { taskId: 'c', action: 'delete', at: '2026-03-11T12:00:00' },
+  ];
+  const range = { since: '2026-03-09', until: '2026-03-12', now: new Date('2026-03-12T12:00:00') };
+
+  it('replays status, estimate and scope changes at the end of each day', () => {
+    const burndown = buildBurndown(tasks, entries, range);
+
+    expect(burndown).toMatchObject({ since: '2026-03-09', until: '2026-03-12', unit: 'points' });
+    expect(burndown.days).toEqual([
+      { date: '2026-03-09', remaining: 5, open: 3, scope: 5, ideal: 5 },
+      { date: '2026-03-10', remaining: 7, open: 2, scope: 10, ideal: 3.3 },
+      { date: '2026-03-11', remaining: 5, open: 1, scope: 8, ideal: 1.7 },
+      { date: '2026-03-12', remaining: 5, open: 1, scope: 8, ideal: 0 },
+    ]);
+    expect(formatBurndownCsv(burndown).split('\n')[2]).toBe('2026-03-10,7,3.3,2,10');
+  });
+
+  it('can leave out deleted tasks', () => {
+    const burndown = buildBurndown(tasks, entries, { ...range, includeDeleted: false });
+    expect(burndown.days.map((d) => d.remaining)).toEqual([3, 5, 5, 5]);
+  });
+
+  it('counts tasks when nothing is estimated and starts the ideal line at the first task', () => {
+    const unestimated = [{ id: 'x', status: 'todo', createdAt: '2026-03-10T08:00:00' }];
+    const burndown = buildBurndown(unestimated, [], range);
+
+    expect(burndown.unit).toBe('tasks');
+    expect(burndown.days.map((d) => [d.remaining, d.ideal])).toEqual([[0, null], [1, 1], [1, 0.5], [1, 0]]);
+  });
+
+  it('rejects reversed ranges', () => {
+    expect(() => buildBurndown(tasks, entries, { ...range, since: '2026-03-13' })).toThrow('--since (2026-03-13) is after --until (2026-03-12)');
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  buildExport,
+  estimateTokens,
+  exportOptions,
+  fitTokenBudget,
+  formatExportHtml,
+  formatExportIcal,
+  formatExportMarkdown,
+  renderExportTemplate,
+} from '../../../lib/exporters.js';
+
+const project = { name: 'demo', path: '/work/demo', defaultBranch: 'main' };
+const NOW = new Date('2026-03-01T00:00:00Z');
+
+function task(n, fields = {}) {
+  return {
+    id: `task${String(n).padStart(4, '0')}-0000-0000`,
+    title: `Task number ${n}`,
+    status: 'todo',
+    priority: 1,
+    description: 'Acceptance criteria:\n- it works\n- it is tested\n'.repeat(4),
+    ...fields,
+  };
+}
+
+function exportModel(tasks, due = { overdue: [], soon: [] }, lang = 'en') {
+  return buildExport(project, tasks, due, exportOptions({}, { lang }), NOW);
+}
+
+describe('exportOptions', () => {
+  const config = {
+    export: {
+      lang: 'en',
+      sections: ['p0', 'guide'],
+      templates: { short: { sections: [{ name: 'p1', truncate: 50 }], maxTokens: 4000 } },
+    },
+  };
+
+  it('resolves flags over the template over the project config', () => {
+    const spec = exportOptions(config, { template: 'short', lang: 'zh' });
+    expect(spec).toMatchObject({ format: 'context', lang: 'zh', maxTokens: 4000, file: null });
+    expect(spec.sections).toEqual([{ name: 'p1', truncate: 50, lines: 0 }]);
+    expect(exportOptions(config).sections.map((sec) => sec.name)).toEqual(['p0', 'guide']);
+  });
+
+  it('treats an unknown template with a path separator as a file', () => {
+    expect(exportOptions(config, { template: 'docs/agent.md' }).file).toBe('docs/agent.md');
+  });
+
+  it('drops limits and the guide for human-facing formats', () => {
+    const spec = exportOptions({}, { format: 'markdown' });
+    expect(spec.sections.map((sec) => sec.name)).not.toContain('guide');
+    expect(spec.sections.find((sec) => sec.name === 'done')).toMatchObject({ limit: 0, lines: 0 });
+  });
+
+  it('rejects unknown names and bad budgets', () => {
+    expect(() => exportOptions(config, { template: 'long' })).toThrow(/Unknown export template "long". Available: short/);
+    expect(() => exportOptions({}, { format: 'pdf' })).toThrow(/Unknown export format/);
+    expect(() => exportOptions({}, { lang: 'fr' })).toThrow(/Unknown export language/);
+    expect(() => exportOptions({}, { sections: ['p9'] })).toThrow(/Unknown export section "p9"/);
+    expect(() => exportOptions({}, { maxTokens: -1 })).toThrow(/Invalid token budget/);
+  });
+
+  it('only accepts a token budget for Markdown output', () => {
+    expect(() => exportOptions({}, { format: 'html', maxTokens: 2000 })).toThrow(
+      /only applies to the context and markdown formats, not to html output/
+    );
+    expect(() => exportOptions(config, { template: 'docs/agent.md', maxTokens: 2000 })).toThrow(/not to template file docs\/agent.md/);
+    expect(exportOptions({}, { format: 'markdown', maxTokens: 2000 }).maxTokens).toBe(2000);
+    // 项目级的默认预算不套用到 HTML
+    expect(exportOptions({ export: { maxTokens: 4000 } }, { format: 'html' }).maxTokens).toBe(0);
+  });
+});
+
+describe('formatExportMarkdown', () => {
+  it('renders sections in order with truncated descriptions', () => {
+    const tasks = [
+      task(1, { priority: 1, description: 'x'.repeat(600), checklist: [{ text: 'tests', done: true }, { text: 'docs', done: false }] }),
+      task(2, { status: 'done', description: 'one\ntwo' }),
+    ];
+    const output = formatExportMarkdown(exportModel(tasks));
+
+    expect(output.indexOf('## Summary')).toBeLessThan(output.indexOf('## 🟠 P1 Todo'));
+    expect(output).toContain('- Checklist: 1/2\n  - [x] tests\n  - [ ] docs');
+    expect(output).toContain(`${'x'.repeat(500)}\n...(truncated)`);
+    expect(output).toMatch(/## Working Guide/);
+  });
+
+  it('escapes task text in HTML', () => {
+    const output = formatExportHtml(exportModel([task(1, { title: '<script>alert(1)</script>' })]));
+    expect(output).not.toContain('<script>');
+    expect(output).toContain('&lt;script&gt;');
+  });
+});
+
+describe('renderExportTemplate', () => {
+  const model = exportModel([task(1, { priority: 0, title: 'Ship {{project.name}}', dueDate: '2026-03-02' }), task(2)]);
+
+  it('fills variables, lists, conditions and sections', () => {
+    const source = [
+      '{{project.name}}: {{counts.todo}} todo',
+      '{{#each p0}}- {{title}} ({{shortId}}, {{due}}){{/each}}',
+      '{{#if done}}some done{{else}}none done{{/if}}',
+    ].join('\n');
+    expect(renderExportTemplate(source, model)).toBe('demo: 2 todo\n- Ship {{project.name}} (task0001, 2026-03-02)\nnone done');
+    expect(renderExportTemplate('{{section "summary"}}', model)).toMatch(/^## Summary\n- Todo: 2/);
+  });
+
+  it('reports unknown variables and sections', () => {
+    expect(() => renderExportTemplate('{{project.owner}}', model)).toThrow(/Unknown template variable "project.owner"/);
+    expect(() => renderExportTemplate('{{section "later"}}', model)).toThrow(/Unknown export section "later"/);
+  });
+});
+
+describe('formatExportIcal', () => {
+  it('creates all-day events for unfinished tasks and folds long lines', () => {
+    const tasks = [
+      task(1, { title: `Release, part 1; ${'long '.repeat(20)}`, dueDate: '2026-03-31', tags: ['ops'] }),
+      task(2, { dueDate: '2026-03-01', status: 'done' }),
+      task(3),
+    ];
+    const output = formatExportIcal(project, tasks, NOW);
+
+    expect(output.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(output).toContain('DTSTART;VALUE=DATE:20260331\r\nDTEND;VALUE=DATE:20260401');
+    expect(output).toContain('SUMMARY:[P1] Release\\, part 1\\; long');
+    expect(output.split('\r\n').every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+  });
+});
+
+describe('fitTokenBudget', () => {
+  it('keeps the whole export within the budget', () => {
+    const tasks = Array.from({ length: 30 }, (_, i) => task(i, { priority: i % 3, status: i % 5 === 0 ? 'in_progress' : 'todo' }));
+    for (const maxTokens of [400, 800, 2000]) {
+      const output = formatExportMarkdown(fitTokenBudget(exportModel(tasks), maxTokens));
+      expect(estimateTokens(output)).toBeLessThanOrEqual(maxTokens);
+    }
+  });
+
+  it('lists urgent tasks by title before expanding any of them', () => {
+    const tasks = [task(1, { priority: 0 }), task(2, { priority: 0 }), task(3, { priority: 2 })];
+    const model = fitTokenBudget(exportModel(tasks), 330);
+    const p0 = model.budget.sections.find((r) => r.name === 'p0');
+
+    expect(p0.dropped).toBe(0);
+    expect(p0.summarized).toBeGreaterThan(0);
+    expect(formatExportMarkdown(model)).toMatch(/Trimmed to a 330-token budget/);
+  });
+
+  it('counts deadlines against the budget and collapses the rest into one line', () => {
+    const overdue = Array.from({ length: 40 }, (_, i) =>
+      task(i, { title: `Overdue deliverable with a long descriptive name ${i}`, dueDate: '2026-02-01', dueIn: -28 })
+    );
+    const model = fitTokenBudget(exportModel(overdue, { overdue, soon: [] }), 600);
+    const output = formatExportMarkdown(model);
+    const report = model.budget.sections.find((r) => r.name === 'deadlines');
+
+    expect(estimateTokens(output)).toBeLessThanOrEqual(600);
+    expect(report.full).toBeGreaterThan(0);
+    expect(report.full + report.dropped).toBe(40);
+    expect(output).toContain(`… ${report.dropped} more; run \`/kanban due\` to see them`);
+  });
+
+  it('shows every deadline without a "more" line when they fit', () => {
+    const overdue = [task(1, { dueDate: '2026-02-27', dueIn: -2 })];
+    const output = formatExportMarkdown(fitTokenBudget(exportModel(overdue, { overdue, soon: [] }), 4000));
+
+    expect(output).toContain('2d overdue');
+    expect(output).not.toContain('more;');
+  });
+
+  it('throws when even the fixed sections do not fit', () => {
+    expect(() => fitTokenBudget(exportModel([task(1)]), 50)).toThrow(/Token budget 50 is too small: .* about \d+ tokens/);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import { existsSync, mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { loadHooks, matchingHooks, runHook, statusEvents } from '../../../lib/hooks.js';
+
+const config = {
+  hooks: {
+    'task.done': ['echo done', { run: 'pi audit archive', when: 'tag:audit' }, { run: 'echo broken', when: 'prio<=1' }],
+  },
+};
+
+describe('statusEvents', () => {
+  it('fires moved plus started / done', () => {
+    expect(statusEvents('todo', 'in_progress')).toEqual(['task.moved', 'task.started']);
+    expect(statusEvents('in_progress', 'done')).toEqual(['task.moved', 'task.done']);
+    expect(statusEvents('done', 'done')).toEqual([]);
+  });
+});
+
+describe('loadHooks', () => {
+  it('rejects a "when" query that does not parse', () => {
+    expect(() => loadHooks(config)).toThrow(/Invalid "when" in task\.done hook `echo broken`: Unknown query field: prio/);
+  });
+
+  it('reports and skips invalid hooks when asked to', () => {
+    const onInvalid = vi.fn();
+    const hooks = loadHooks({ hooks: { ...config.hooks, 'task.renamed': 'echo' } }, { onInvalid });
+
+    expect(hooks['task.done'].map((h) => h.run)).toEqual(['echo done', 'pi audit archive']);
+    expect(hooks['task.renamed']).toBeUndefined();
+    expect(onInvalid).toHaveBeenCalledTimes(2);
+  });
+
+  it('requires exactly one of run and url', () => {
+    expect(() => loadHooks({ hooks: { 'task.done': { run: 'a', url: 'http://b' } } })).toThrow(/expected a command string/);
+  });
+});
+
+describe('matchingHooks', () => {
+  const hooks = loadHooks(config, { onInvalid: () => {} });
+
+  it('filters by the "when" query', () => {
+    expect(matchingHooks(hooks, 'task.done', { tags: ['audit'] })).toHaveLength(2);
+    expect(matchingHooks(hooks, 'task.done', { tags: [] })).toHaveLength(1);
+    expect(matchingHooks(hooks, 'task.created', {})).toEqual([]);
+  });
+
+  it('skips a hook whose query fails instead of throwing', () => {
+    const onError = vi.fn();
+    const bad = { 'task.done': [{ run: 'echo', when: 'due<someday' }, { run: 'echo ok' }] };
+
+    expect(matchingHooks(bad, 'task.done', {}, onError)).toEqual([{ run: 'echo ok' }]);
+    expect(onError).toHaveBeenCalledWith(bad['task.done'][0], expect.any(Error));
+    expect(() => matchingHooks(bad, 'task.done', {})).toThrow(/Invalid date/);
+  });
+});
+
+describe('runHook', () => {
+  const payload = { event: 'task.done', task: { id: 't1', title: 'Ship', status: 'done' } };
+  // 被结束但还没被回收的进程 (zombie) 也算已结束
+  const alive = (pid) => {
+    try {
+      process.kill(pid, 0);
+    } catch {
+      return false;
+    }
+    return !existsSync(`/proc/${pid}/stat`) || !/^\d+ \(.*\) Z/.test(readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  };
+
+  it('passes the event through the environment and reports failures', async () => {
+    const cwd = mkdtempSync(path.join(tmpdir(), 'kanban-hooks-'));
+    await expect(runHook({ run: 'echo "$KANBAN_EVENT $KANBAN_TASK_TITLE" > out' }, payload, { cwd })).resolves.toEqual({ ok: true });
+    expect(readFileSync(path.join(cwd, 'out'), 'utf8')).toBe('task.done Ship\n');
+    await expect(runHook({ run: 'exit 3' }, payload, { cwd })).resolves.toEqual({ ok: false, error: 'exit code 3' });
+  });
+
+  it('kills the processes a command started when it times out', async () => {
+    const cwd = mkdtempSync(path.join(tmpdir(), 'kanban-hooks-'));
+    const result = await runHook({ run: 'sleep 30 & echo $! > pid; wait', timeout: 0.5 }, payload, { cwd });
+
+    expect(result).toEqual({ ok: false, error: 'timed out after 0.5s' });
+    const pid = Number(readFileSync(path.join(cwd, 'pid'), 'utf8'));
+    await vi.waitFor(() => expect(alive(pid)).toBe(false));
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+
+import { detectFormat, parseCsvRows, parseCsvTasks, parseGithubIssues, parseImport, parseMarkdownTasks, titleKey } from '../../../lib/importers.js';
+
+describe('parseMarkdownTasks', () => {
+  it('reads fields from the title and the indented body as the description', () => {
+    const content = [
+      '# Sprint',
+      'Intro text is ignored',
+      '- [ ] Fix login P0 #security #bug due:2026-02-01',
+      '  Session expires too early.',
+      '',
+      '    Repro: wait 5 minutes',
+      '',
+      '- [x] Write docs',
+    ].join('\n');
+
+    expect(parseMarkdownTasks(content)).toEqual([
+      {
+        title: 'Fix login',
+        description: 'Session expires too early.\n\n  Repro: wait 5 minutes',
+        priority: 0,
+        tags: ['security', 'bug'],
+        dueDate: '2026-02-01',
+        status: 'todo',
+      },
+      { title: 'Write docs', description: '', priority: 2, tags: [], dueDate: null, status: 'done' },
+    ]);
+  });
+
+  it('keeps nested checklist items in the parent description', () => {
+    const tasks = parseMarkdownTasks('- [ ] Release\n  - [ ] bump version\n  - [x] changelog\n- [ ] Next');
+    expect(tasks.map((t) => t.title)).toEqual(['Release', 'Next']);
+    expect(tasks[0].description).toBe('- [ ] bump version\n- [x] changelog');
+  });
+
+  it('ends a task at unindented text and handles CRLF', () => {
+    const tasks = parseMarkdownTasks('* [ ] One\r\n  body\r\nNot part of it\r\n+ [X] Two\r\n');
+    expect(tasks.map((t) => [t.title, t.description, t.status])).toEqual([
+      ['One', 'body', 'todo'],
+      ['Two', '', 'done'],
+    ]);
+  });
+
+  it('only takes the first priority token', () => {
+    expect(parseMarkdownTasks('- [ ] Compare P1 and P2')[0]).toMatchObject({ title: 'Compare and P2', priority: 1 });
+  });
+});
+
+describe('parseCsvRows', () => {
+  it('handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+    const content = 'title,description\r\n"Fix, then ship","Line 1\nsaid ""hi"""\r\nLast,no newline';
+    expect(parseCsvRows(content)).toEqual([
+      ['title', 'description'],
+      ['Fix, then ship', 'Line 1\nsaid "hi"'],
+      ['Last', 'no newline'],
+    ]);
+  });
+
+  it('drops blank rows', () => {
+    expect(parseCsvRows('a,b\n\n , \n1,2\n')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+});
+
+describe('parseCsvTasks', () => {
+  it('maps header aliases and field formats', () => {
+    const content = [
+      '\uFEFFName,Body,Priority,Labels,Due Date,Status,Owner',
+      'Fix login,first\\nsecond,P1,bug; security|ui,2026-02-01,in_progress,alice',
+    ].join('\n');
+    expect(parseCsvTasks(content)).toEqual([
+      {
+        title: 'Fix login',
+        description: 'first\nsecond',
+        priority: 1,
+        tags: ['bug', 'security', 'ui'],
+        dueDate: '2026-02-01',
+        status: 'in_progress',
+      },
+    ]);
+  });
+
+  it('fills defaults for short rows and unparseable priorities', () => {
+    expect(parseCsvTasks('title,priority,tags\nOnly title\nBad priority,high')).toEqual([
+      { title: 'Only title', description: '', priority: 2, tags: [], dueDate: null, status: 'todo' },
+      { title: 'Bad priority', description: '', priority: 2, tags: [], dueDate: null, status: 'todo' },
+    ]);
+  });
+
+  it('requires a title column', () => {
+    expect(() => parseCsvTasks('summary_text,priority\nx,1')).toThrow(/must contain a "title" column/);
+  });
+
+  it('returns nothing for an empty file', () => {
+    expect(parseCsvTasks('')).toEqual([]);
+  });
+});
+
+describe('parseGithubIssues', () => {
+  it('maps labels to priority and tags, skips pull requests', () => {
+    const issues = [
+      {
+        number: 7,
+        title: 'Crash',
+        body: 'Stack trace',
+        labels: [{ name: 'priority:high' }, { name: 'bug' }],
+        state: 'OPEN',
+        html_url: 'https://github.com/o/r/issues/7',
+      },
+      { number: 8, title: 'PR', pull_request: {} },
+      { number: 9, title: 'Old', labels: ['P0', 'low'], state: 'closed', milestone: { due_on: '2026-01-01T00:00:00Z' } },
+    ];
+    const [crash, old, ...rest] = parseGithubIssues(JSON.stringify(issues));
+
+    expect(rest).toEqual([]);
+    expect(crash).toMatchObject({ priority: 1, tags: ['bug'], status: 'todo' });
+    expect(crash.description).toBe('Stack trace\n\nGitHub: #7 (https://github.com/o/r/issues/7)');
+    expect(old).toMatchObject({ priority: 0, tags: ['low'], status: 'done', dueDate: '2026-01-01T00:00:00Z' });
+  });
+});
+
+describe('detectFormat', () => {
+  it('uses the extension, then the content', () => {
+    expect(detectFormat('tasks.md', '[]')).toBe('markdown');
+    expect(detectFormat('tasks.csv', '')).toBe('csv');
+    expect(detectFormat('issues.json', '[{"number": 1, "labels": []}]')).toBe('github');
+    expect(detectFormat('tasks.json', '{"items": [{"title": "x"}]}')).toBe('json');
+    expect(detectFormat('tasks.txt', '\n- [ ] todo')).toBe('markdown');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => parseImport('', 'yaml')).toThrow(/Unknown import format: yaml/);
+  });
+});
+
+describe('titleKey', () => {
+  it('ignores case and whitespace differences', () => {
+    expect(titleKey('  Fix   Login ')).toBe(titleKey('fix login'));
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { appendJournal, diffFields, diffMeta, inverseChange, loadJournal, markUndone, remapJournalIds } from '../../../lib/journal.js';
+
+describe('diffFields', () => {
+  const task = { id: 't1', title: 'Old', priority: 2, tags: ['a'], dueDate: null, updatedAt: 'x' };
+
+  it('keeps only journaled fields that actually change', () => {
+    expect(diffFields(task, { title: 'New', tags: ['a'], priority: 2, updatedAt: 'y' })).toEqual({
+      before: { title: 'Old' },
+      after: { title: 'New' },
+    });
+  });
+
+  it('records a missing value as null', () => {
+    expect(diffFields({ id: 't1' }, { dueDate: '2026-02-01' })).toEqual({ before: { dueDate: null }, after: { dueDate: '2026-02-01' } });
+  });
+
+  it('returns null when nothing changes', () => {
+    expect(diffFields(task, { title: 'Old', dueDate: null, description: undefined })).toBeNull();
+  });
+});
+
+describe('diffMeta', () => {
+  it('covers added, changed and removed local fields', () => {
+    expect(diffMeta({ estimate: 3, blockedBy: ['a'] }, { estimate: 5, blockedBy: ['a'], touches: ['src'] })).toEqual({
+      before: { estimate: 3, touches: null },
+      after: { estimate: 5, touches: ['src'] },
+    });
+    expect(diffMeta({ estimate: 3 }, {})).toEqual({ before: { estimate: 3 }, after: { estimate: null } });
+    expect(diffMeta({ checklist: [] }, { checklist: [] })).toBeNull();
+  });
+});
+
+describe('journal file', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'kanban-journal-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('numbers entries and skips empty ones', async () => {
+    expect(await appendJournal(root, { command: 'noop', changes: [] })).toBeNull();
+    await appendJournal(root, { command: 'add A', changes: [{ taskId: 'a', op: 'create', after: { title: 'A' } }] });
+    const second = await appendJournal(root, { command: 'add B', changes: [{ taskId: 'b', op: 'create', after: { title: 'B' } }] });
+
+    expect(second).toMatchObject({ id: 2, command: 'add B' });
+    expect((await loadJournal(root)).map((e) => e.id)).toEqual([1, 2]);
+  });
+
+  it('flags undone entries', async () => {
+    await appendJournal(root, { command: 'add A', changes: [{ taskId: 'a', op: 'create', after: {} }] });
+    await appendJournal(root, { command: 'add B', changes: [{ taskId: 'b', op: 'create', after: {} }] });
+    await markUndone(root, [2]);
+
+    const [first, second] = await loadJournal(root);
+    expect(first.undoneAt).toBeUndefined();
+    expect(second.undoneAt).toEqual(expect.any(String));
+  });
+
+  it('rewrites task IDs, including dependencies in meta changes', async () => {
+    await appendJournal(root, {
+      command: 'link',
+      changes: [
+        { taskId: 'local1', op: 'create', after: { title: 'A' } },
+        { taskId: 'b', op: 'meta', before: { blockedBy: [] }, after: { blockedBy: ['local1'] } },
+      ],
+    });
+    await remapJournalIds(root, new Map([['local1', 'real1']]));
+
+    const [entry] = await loadJournal(root);
+    expect(entry.changes[0].taskId).toBe('real1');
+    expect(entry.changes[1].after.blockedBy).toEqual(['real1']);
+  });
+});
+
+describe('inverseChange', () => {
+  const edit = { taskId: 't1', op: 'edit', before: { title: 'Old', priority: 2 }, after: { title: 'New', priority: 0 } };
+
+  it('restores the previous values of an edit', () => {
+    expect(inverseChange(edit, { id: 't1', title: 'New', priority: 0, status: 'todo' })).toEqual({
+      op: 'edit',
+      fields: { title: 'Old', priority: 2 },
+      conflict: undefined,
+    });
+  });
+
+  it('flags fields changed since the edit', () => {
+    const undo = inverseChange(edit, { id: 't1', title: 'Renamed again', priority: 0 });
+    expect(undo.op).toBe('edit');
+    expect(undo.conflict).toBe('changed since (title)');
+  });
+
+  it('compares local fields of a meta change', () => {
+    const meta = { taskId: 't1', op: 'meta', before: { blockedBy: [] }, after: { blockedBy: ['t2'] } };
+    expect(inverseChange(meta, { id: 't1', blockedBy: ['t2'] }).conflict).toBeUndefined();
+    expect(inverseChange(meta, { id: 't1', blockedBy: ['t2', 't3'] }).conflict).toBe('changed since (blockedBy)');
+  });
+
+  it('removes a created task, flagging edits made after creation', () => {
+    const create = { taskId: 't1', op: 'create', after: { title: 'A', priority: 2 } };
+    expect(inverseChange(create, { id: 't1', title: 'A', priority: 2, updatedAt: 'later' })).toEqual({ op: 'remove', conflict: undefined });
+    expect(inverseChange(create, { id: 't1', title: 'A', priority: 0 }).conflict).toBe('changed since (priority)');
+  });
+
+  it('restores a deleted task with its local fields unless it exists again', () => {
+    const del = { taskId: 't1', op: 'delete', before: { id: 't1', title: 'A' }, meta: { estimate: 3 } };
+    expect(inverseChange(del, undefined)).toEqual({ op: 'restore', task: { id: 't1', title: 'A' }, meta: { estimate: 3 } });
+    expect(inverseChange(del, { id: 't1' })).toEqual({ op: null, conflict: 'task exists again' });
+  });
+
+  it('cannot revert changes to a task that is gone', () => {
+    expect(inverseChange(edit, undefined)).toEqual({ op: null, conflict: 'task no longer exists' });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+
+import { formatPlanAsDot, formatPlanAsHtml, formatPlanAsMermaid } from '../../../lib/plan-views.js';
+
+const task = (id, fields) => ({ id, title: `Task ${id}`, priority: 1, deps: [], description: '', ...fields });
+
+// a → c (critical), b deferred behind a on src/api, a ↔ x cycle broken at x → a, y unscheduled
+function samplePlan() {
+  return {
+    project: { id: 'p1', name: 'demo', path: '/work/demo' },
+    summary: { totalTasks: 4, totalWaves: 2, maxParallel: 2, unscheduled: 1, deferred: 1 },
+    schedule: {
+      unit: 'hours',
+      criticalPath: { length: 5, tasks: ['a', 'c'] },
+      makespan: { waves: 6, dependencies: 5 },
+    },
+    cycles: [{ tasks: [], edges: [], cut: { from: 'x', to: 'a' }, broken: true }],
+    unscheduled: [task('y', { title: 'Stuck', deps: ['a'] })],
+    waves: [
+      {
+        level: 0,
+        parallel: false,
+        maxParallel: 2,
+        tasks: [
+          task('a', { title: 'Say "hi" <now>', priority: 0, duration: 2, durationSource: 'estimate', start: 0, finish: 2, slack: 0, critical: true }),
+        ],
+      },
+      {
+        level: 1,
+        parallel: true,
+        maxParallel: 2,
+        tasks: [
+          task('c', { deps: ['a'], duration: 3, durationSource: 'estimate', start: 2, finish: 5, slack: 0, critical: true }),
+          task('b', {
+            priority: 3,
+            duration: 1,
+            durationSource: 'history',
+            start: 2,
+            finish: 3,
+            slack: 4,
+            critical: false,
+            deferred: [{ wave: 0, conflictsWith: { id: 'a', title: 'Say "hi" <now>' }, path: 'src/api', otherPath: 'src/api/x.js' }],
+          }),
+        ],
+      },
+    ],
+  };
+}
+
+describe('formatPlanAsMermaid', () => {
+  const output = formatPlanAsMermaid(samplePlan());
+
+  it('draws waves as subgraphs with escaped labels', () => {
+    expect(output).toMatch(/^flowchart LR/);
+    expect(output).toContain('subgraph wave1["Wave 1"]');
+    expect(output).toContain('t_a["Say #quot;hi#quot; #lt;now#gt;<br/>P0 · 2h"]');
+    expect(output).toContain('t_b["Task b<br/>P3 · 1h?"]');
+  });
+
+  it('distinguishes critical, conflict and ignored edges', () => {
+    expect(output).toContain('t_a ==> t_c');
+    expect(output).toContain('t_a -.->|"src/api"| t_b');
+    expect(output).toContain('t_x -.-x|"ignored"| t_a');
+    expect(output).toContain('t_a --> t_y');
+    expect(output).toContain('linkStyle 0 stroke:#c62828');
+    expect(output).toContain('class t_a,t_c critical');
+  });
+});
+
+describe('formatPlanAsDot', () => {
+  const output = formatPlanAsDot(samplePlan());
+
+  it('escapes labels and clusters waves', () => {
+    expect(output).toMatch(/^digraph plan \{/);
+    expect(output).toContain('subgraph cluster_wave0 {');
+    expect(output).toContain('subgraph cluster_unscheduled {');
+    expect(output).toContain('"a" [label="Say \\"hi\\" <now>\\nP0 · 2h", fillcolor="#fde2e2", color="#c62828", penwidth=2];');
+  });
+
+  it('styles edges by kind', () => {
+    expect(output).toContain('"a" -> "c" [color="#c62828", penwidth=2];');
+    expect(output).toContain('"a" -> "b" [style=dashed');
+    expect(output).toContain('"x" -> "a" [style=dotted');
+  });
+});
+
+describe('formatPlanAsHtml', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+
+  it('places bars on a time axis and escapes task text', () => {
+    const output = formatPlanAsHtml(samplePlan(), now);
+
+    expect(output).toMatch(/^<!DOCTYPE html>/);
+    expect(output).not.toContain('<now>');
+    expect(output).toContain('Say &quot;hi&quot; &lt;now&gt;');
+    expect(output).toContain('left:40.00%;width:60.00%');
+    expect(output).toContain('class="bar guess"');
+    expect(output).toContain('<h2>因文件冲突延后</h2>');
+    expect(output).not.toMatch(/<script|https?:\/\//);
+  });
+
+  it('uses one column per wave without a schedule', () => {
+    const { schedule, ...plan } = samplePlan();
+    const output = formatPlanAsHtml(plan, now);
+
+    expect(schedule).toBeDefined();
+    expect(output).toContain('left:50.00%;width:50.00%');
+    expect(output).not.toContain('关键路径</h2>');
+  });
+});
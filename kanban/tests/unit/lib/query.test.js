@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+
+import { compileQuery, compileSort, resolveDate, tokenize } from '../../../lib/query.js';
+
+const tasks = [
+  { id: 'aaa11111', title: 'Fix login bug', description: 'Session expires', status: 'todo', priority: 0, tags: ['bug', 'security'], dueDate: '2026-02-01', estimate: 3 },
+  { id: 'bbb22222', title: 'Write docs', status: 'in_progress', priority: 2, tags: ['docs'], worktreeId: 'wt1' },
+  { id: 'ccc33333', title: 'Flaky login test', status: 'done', priority: 1, tags: ['bug'], dueDate: '2026-03-15', estimate: 1 },
+];
+
+const select = (query) => tasks.filter(compileQuery(query)).map((t) => t.id.slice(0, 3));
+
+describe('tokenize', () => {
+  it('keeps quoted values inside their term', () => {
+    expect(tokenize('title~"two words" and (tag:a)')).toEqual(['title~"two words"', 'and', '(', 'tag:a', ')']);
+  });
+
+  it('rejects an unterminated quote', () => {
+    expect(() => tokenize('title~"open')).toThrow(/Unterminated quote/);
+  });
+});
+
+describe('compileQuery', () => {
+  it('combines terms with and / or / not and parentheses', () => {
+    expect(select('priority<=1 and tag:bug')).toEqual(['aaa', 'ccc']);
+    expect(select('status=todo,in_progress')).toEqual(['aaa', 'bbb']);
+    expect(select('tag:docs or (tag:bug and not title~flaky)')).toEqual(['aaa', 'bbb']);
+    expect(select('tag:bug status!=done')).toEqual(['aaa']);
+  });
+
+  it('matches an empty query against everything', () => {
+    expect(select('')).toEqual(['aaa', 'bbb', 'ccc']);
+  });
+
+  it('treats bare words and quoted strings as full-text search', () => {
+    expect(select('login')).toEqual(['aaa', 'ccc']);
+    expect(select('"session expires"')).toEqual(['aaa']);
+  });
+
+  it('compares dates and "none"', () => {
+    expect(select('due<2026-03-01')).toEqual(['aaa']);
+    expect(select('due=none')).toEqual(['bbb']);
+    expect(select('due!=none')).toEqual(['aaa', 'ccc']);
+  });
+
+  it('filters estimates, worktrees and id prefixes', () => {
+    expect(select('estimate>=2')).toEqual(['aaa']);
+    expect(select('estimate=none')).toEqual(['bbb']);
+    expect(select('worktree=none')).toEqual(['aaa', 'ccc']);
+    expect(select('id=bbb')).toEqual(['bbb']);
+  });
+
+  it('reports syntax errors', () => {
+    expect(() => compileQuery('prio<=1')).toThrow(/Unknown query field: prio/);
+    expect(() => compileQuery('priority<=x')).toThrow(/Invalid priority/);
+    expect(() => compileQuery('(tag:a')).toThrow(/Missing "\)"/);
+    expect(() => compileQuery('tag:a)')).toThrow(/Unexpected "\)"/);
+    expect(() => compileQuery('tag:a and')).toThrow(/Unexpected end/);
+  });
+});
+
+describe('resolveDate', () => {
+  const now = new Date(2026, 2, 10, 12);
+
+  it('resolves relative dates to local days', () => {
+    expect(resolveDate('today', now)).toBe('2026-03-10');
+    expect(resolveDate('tomorrow', now)).toBe('2026-03-11');
+    expect(resolveDate('-10d', now)).toBe('2026-02-28');
+    expect(resolveDate('2026-01-05T10:00:00Z', now)).toBe('2026-01-05');
+  });
+
+  it('rejects anything else', () => {
+    expect(() => resolveDate('next week', now)).toThrow(/Invalid date/);
+  });
+});
+
+describe('compileSort', () => {
+  it('sorts by several keys with missing values last', () => {
+    const sorted = [...tasks].sort(compileSort('due,priority')).map((t) => t.id.slice(0, 3));
+    expect(sorted).toEqual(['aaa', 'ccc', 'bbb']);
+    expect([...tasks].sort(compileSort('-priority')).map((t) => t.priority)).toEqual([2, 1, 0]);
+  });
+
+  it('rejects unknown fields', () => {
+    expect(() => compileSort('size')).toThrow(/Unknown sort field: size/);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+
+import { findResourceConflict, normalizeResource, parseResourceList, resourcesOverlap, taskResources } from '../../../lib/resources.js';
+
+const paths = (task, graph) => taskResources(task, graph).map((r) => r.path);
+
+const depGraph = {
+  root: '.',
+  files: { 'src/db.js': {}, 'src/api/handlers.js': {}, 'src/api/index.js': {}, 'agents/runner.js': {} },
+  modules: { '.': {}, 'src/api': {}, agents: {} },
+};
+
+describe('parseResourceList', () => {
+  it('normalizes paths and distinguishes clearing from declaring none', () => {
+    expect(parseResourceList('./src/api/, lib\\db.js, src/**/*.ts')).toEqual(['src/api', 'lib/db.js', 'src']);
+    expect(parseResourceList('none')).toEqual([]);
+    expect(parseResourceList('  ')).toBeNull();
+  });
+
+  it('strips globs and trailing slashes', () => {
+    expect(normalizeResource('./lib/*.js')).toBe('lib');
+    expect(normalizeResource('src/api/')).toBe('src/api');
+  });
+});
+
+describe('taskResources from the description', () => {
+  it('splits resource lines on commas only and skips prose entries', () => {
+    const task = { description: 'Touches: src/api/, lib/db.js，docs/guide.md\nFiles: the whole API layer' };
+    expect(paths(task)).toEqual(['src/api', 'lib/db.js', 'docs/guide.md']);
+  });
+
+  it('trusts root files and bare names on resource lines without a dependency graph', () => {
+    const bump = { description: 'Files: package.json' };
+    const release = { description: 'Touches: lib, package.json\nMention `index.js`' };
+    expect(paths(bump)).toEqual(['package.json']);
+    expect(paths(release)).toEqual(['lib', 'package.json']);
+    expect(findResourceConflict(taskResources(bump), taskResources(release))).toEqual({ path: 'package.json', other: 'package.json' });
+  });
+
+  it('treats "none" as touching no files', () => {
+    expect(paths({ description: 'Touches: none\nSee `src/api/handlers.js` for context' })).toEqual([]);
+  });
+
+  it('drops bare file names when there is no dependency graph', () => {
+    expect(paths({ description: 'Update `index.js` and `src/api/handlers.js`' })).toEqual(['src/api/handlers.js']);
+  });
+
+  it('resolves file and module names through the dependency graph', () => {
+    const task = { description: 'Modules: agents\nFix `db.js`, keep `index.js` and `unknown.js` as they are' };
+    expect(taskResources(task, depGraph)).toEqual([
+      { path: 'agents', source: 'description' },
+      { path: 'src/db.js', source: 'dep-graph' },
+      { path: 'src/api/index.js', source: 'dep-graph' },
+    ]);
+  });
+
+  it('ignores URLs and prose in backticks', () => {
+    expect(paths({ description: 'See `https://example.com/a/b` and run `npm test`' })).toEqual([]);
+  });
+
+  it('prefers declared resources over the description', () => {
+    expect(taskResources({ touches: ['lib/x.js'], description: 'Touches: src/api/' })).toEqual([{ path: 'lib/x.js', source: 'declared' }]);
+  });
+});
+
+describe('resource conflicts', () => {
+  it('treats a directory and a file inside it as overlapping', () => {
+    expect(resourcesOverlap('src/api', 'src/api/handlers.js')).toBe(true);
+    expect(resourcesOverlap('src/api', 'src/apiv2')).toBe(false);
+  });
+
+  it('reports the first overlapping pair', () => {
+    const a = [{ path: 'lib/db.js' }, { path: 'src/api' }];
+    const b = [{ path: 'docs' }, { path: 'src/api/handlers.js' }];
+    expect(findResourceConflict(a, b)).toEqual({ path: 'src/api', other: 'src/api/handlers.js' });
+    expect(findResourceConflict(a, [{ path: 'docs' }])).toBeNull();
+  });
+});
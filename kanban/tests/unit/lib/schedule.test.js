@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+
+import { criticalPath, dependencyMakespan, estimateDurations, formatScheduleAmount, waveMakespan, waveTimeline } from '../../../lib/schedule.js';
+
+const durationsOf = (values) => new Map(Object.entries(values).map(([id, value]) => [id, { value }]));
+
+//   a(3) → c(2) → d(1)
+//   b(1) ↗
+const nodes = [
+  { id: 'a', deps: [] },
+  { id: 'b', deps: [] },
+  { id: 'c', deps: ['a', 'b'] },
+  { id: 'd', deps: ['c'] },
+];
+const durations = durationsOf({ a: 3, b: 1, c: 2, d: 1 });
+
+describe('criticalPath', () => {
+  it('finds the longest chain and the slack of the other tasks', () => {
+    const cpm = criticalPath(nodes, durations);
+
+    expect(cpm.length).toBe(6);
+    expect(cpm.path).toEqual(['a', 'c', 'd']);
+    expect(cpm.tasks.get('b')).toMatchObject({ earliestStart: 0, latestStart: 2, slack: 2, critical: false });
+    expect(cpm.tasks.get('c')).toMatchObject({ earliestStart: 3, slack: 0, critical: true });
+  });
+
+  it('leaves tasks on a cycle out', () => {
+    const cpm = criticalPath([...nodes, { id: 'x', deps: ['y'] }, { id: 'y', deps: ['x'] }], durations);
+    expect([...cpm.tasks.keys()].sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('makespan', () => {
+  const cpm = criticalPath(nodes, durations).tasks;
+
+  it('runs waves one after another', () => {
+    const waves = [['a', 'b'], ['c'], ['d']];
+    expect(waveMakespan(waves, durations, 2)).toBe(6);
+    expect(waveMakespan(waves, durations, 1)).toBe(7);
+    expect(waveTimeline(waves, durations, 1).get('b')).toEqual({ start: 3, finish: 4, slot: 0 });
+  });
+
+  it('starts tasks as soon as their dependencies are done', () => {
+    const independent = [{ id: 'a', deps: [] }, { id: 'b', deps: [] }, { id: 'e', deps: [] }];
+    const times = durationsOf({ a: 3, b: 1, e: 1 });
+    const slack = criticalPath(independent, times).tasks;
+
+    expect(dependencyMakespan(nodes, durations, 2, cpm)).toBe(6);
+    expect(dependencyMakespan(independent, times, 2, slack)).toBe(3);
+  });
+
+  it('never runs conflicting tasks side by side', () => {
+    const conflicts = (x, y) => [x, y].sort().join() === 'a,b';
+    expect(dependencyMakespan(nodes, durations, 2, cpm, conflicts)).toBe(7);
+  });
+
+  it('terminates without any free slot', () => {
+    expect(dependencyMakespan(nodes, durations, 0, cpm)).toBe(7);
+  });
+});
+
+describe('estimateDurations', () => {
+  const activity = [
+    { taskId: 'old', action: 'status', to: 'in_progress', at: '2026-01-01T09:00:00Z' },
+    { taskId: 'old', action: 'status', to: 'done', at: '2026-01-01T13:00:00Z' },
+  ];
+  const history = [{ id: 'old', status: 'done', estimate: 2 }];
+
+  it('converts points to hours calibrated on finished tasks', () => {
+    const result = estimateDurations([{ id: 'new', estimate: 3 }, { id: 'bare' }], { history, activity });
+
+    expect(result).toMatchObject({ unit: 'hours', hoursPerPoint: 2, calibratedFrom: 1 });
+    expect(result.durations.get('new')).toEqual({ value: 6, source: 'estimate' });
+    expect(result.durations.get('bare')).toEqual({ value: 4, source: 'history' });
+  });
+
+  it('schedules in points without any tracked time', () => {
+    const result = estimateDurations([{ id: 'a', estimate: 5 }, { id: 'b' }]);
+    expect(result.unit).toBe('points');
+    expect(result.durations.get('b')).toEqual({ value: 5, source: 'default' });
+  });
+
+  it('formats amounts in the schedule unit', () => {
+    expect(formatScheduleAmount(3.14159, 'hours')).toBe('3.1h');
+    expect(formatScheduleAmount(5, 'points')).toBe('5pt');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { enqueue, loadMeta, loadQueue, loadTasks, saveTasks, updateMeta, withStoreLock, STORE_DIR } from '../../../lib/store.js';
+import { appendJournal, loadJournal } from '../../../lib/journal.js';
+
+let root;
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'kanban-store-'));
+});
+
+afterEach(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+describe('withStoreLock', () => {
+  it('keeps concurrent meta updates from overwriting each other', async () => {
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) => updateMeta(root, `task${i}`, (fields) => ({ ...fields, estimate: i })))
+    );
+    expect(Object.keys(await loadMeta(root))).toHaveLength(20);
+  });
+
+  it('queues every concurrent offline change and applies it to the snapshot', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, i) => enqueue(root, 'create', `local${i}`, { title: `Task ${i}` })));
+    expect(await loadQueue(root)).toHaveLength(10);
+    expect(await loadTasks(root)).toHaveLength(10);
+  });
+
+  it('gives concurrent journal entries distinct IDs', async () => {
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => appendJournal(root, { command: `edit ${i}`, changes: [{ taskId: `t${i}`, op: 'edit' }] }))
+    );
+    const ids = (await loadJournal(root)).map((e) => e.id);
+    expect(new Set(ids).size).toBe(10);
+  });
+
+  it('lets nested calls for the same store run without waiting on themselves', async () => {
+    const result = await withStoreLock(root, () => updateMeta(root, 't1', () => ({ estimate: 3 })));
+    expect(result).toEqual({ estimate: 3 });
+  });
+
+  it('takes over a lock left behind by a process that has exited', async () => {
+    await fs.mkdir(path.join(root, STORE_DIR), { recursive: true });
+    await fs.writeFile(path.join(root, STORE_DIR, '.lock'), '999999999');
+
+    await expect(withStoreLock(root, async () => 'ok')).resolves.toBe('ok');
+    await expect(fs.access(path.join(root, STORE_DIR, '.lock'))).rejects.toThrow();
+  });
+});
+
+describe('store .gitignore', () => {
+  const gitignore = () => fs.readFile(path.join(root, STORE_DIR, '.gitignore'), 'utf8');
+
+  it('ignores the machine-local files but not the shared ones', async () => {
+    await saveTasks(root, []);
+    const ignored = (await gitignore()).split('\n');
+
+    expect(ignored).toEqual(expect.arrayContaining(['tasks.json', 'queue.json', 'activity.jsonl', 'journal.jsonl', '.lock']));
+    expect(ignored).not.toContain('meta.json');
+    expect(ignored).not.toContain('config.json');
+  });
+
+  it('leaves an edited .gitignore alone', async () => {
+    await fs.mkdir(path.join(root, STORE_DIR));
+    await fs.writeFile(path.join(root, STORE_DIR, '.gitignore'), '*\n');
+    await updateMeta(root, 't1', () => ({ estimate: 1 }));
+    expect(await gitignore()).toBe('*\n');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+
+import { periodKey, renderTemplate, templateVars } from '../../../lib/templates.js';
+
+// 本地时间构造，与 builtinVars 的取值方式一致
+const day = (y, m, d) => new Date(y, m - 1, d, 12);
+
+describe('periodKey', () => {
+  it('keys daily, weekly and monthly periods', () => {
+    const now = day(2025, 3, 14);
+    expect(periodKey('daily', now)).toBe('2025-03-14');
+    expect(periodKey('weekly', now)).toBe('2025-W11');
+    expect(periodKey('monthly', now)).toBe('2025-03');
+  });
+
+  it('uses ISO weeks across year boundaries', () => {
+    expect(periodKey('weekly', day(2025, 12, 29))).toBe('2026-W01');
+    expect(periodKey('weekly', day(2021, 1, 3))).toBe('2020-W53');
+  });
+
+  it('rejects unknown recurrences', () => {
+    expect(() => periodKey('hourly')).toThrow('Unknown recurrence: hourly');
+  });
+});
+
+describe('templateVars', () => {
+  it('lists custom placeholders once and skips built-ins', () => {
+    const template = { title: 'Release {{version}} ({{date}})', description: '{{ version }} for {{team}}', tags: ['{{team}}'] };
+    expect(templateVars(template)).toEqual(['version', 'team']);
+  });
+});
+
+describe('renderTemplate', () => {
+  const template = {
+    title: 'Weekly report {{week}}',
+    description: 'Owner: {{owner}}',
+    priority: 2,
+    tags: ['report', '{{extra}}'],
+    dueDate: '+3d',
+    estimate: 2,
+    vars: { owner: 'dana', extra: '' },
+  };
+
+  it('fills placeholders and resolves relative due dates from now', () => {
+    expect(renderTemplate(template, {}, day(2025, 3, 14))).toEqual({
+      title: 'Weekly report 2025-W11',
+      description: 'Owner: dana',
+      priority: 2,
+      tags: ['report'],
+      dueDate: '2025-03-17',
+      estimate: 2,
+    });
+  });
+
+  it('lets passed variables override template defaults', () => {
+    const task = renderTemplate(template, { owner: 'lee', extra: 'ops' }, day(2025, 3, 14));
+    expect(task.description).toBe('Owner: lee');
+    expect(task.tags).toEqual(['report', 'ops']);
+  });
+
+  it('fails on missing variables', () => {
+    expect(() => renderTemplate({ title: 'Fix {{bug}}' })).toThrow('Missing template variables: bug (use --var=bug=<value>)');
+  });
+});
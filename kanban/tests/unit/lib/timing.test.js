@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+
+import { buildIntervals, buildReport, formatDuration, formatReportMarkdown, sumIntervals } from '../../../lib/timing.js';
+
+const HOUR = 3600000;
+const status = (taskId, to, at, author = 'dana') => ({ taskId, action: 'status', to, at, author });
+
+describe('buildIntervals', () => {
+  it('opens an interval on in_progress and closes it on any other status', () => {
+    const intervals = buildIntervals([
+      status('t1', 'in_progress', '2026-03-10T09:00:00Z'),
+      status('t1', 'in_progress', '2026-03-10T09:30:00Z'),
+      status('t1', 'todo', '2026-03-10T10:00:00Z'),
+      status('t1', 'in_progress', '2026-03-10T11:00:00Z', 'lee'),
+      { taskId: 't1', action: 'comment', text: 'wip', at: '2026-03-10T11:10:00Z' },
+    ]);
+
+    expect(intervals.get('t1')).toEqual([
+      { start: '2026-03-10T09:00:00Z', end: '2026-03-10T10:00:00Z', author: 'dana' },
+      { start: '2026-03-10T11:00:00Z', end: null, author: 'lee' },
+    ]);
+  });
+});
+
+describe('sumIntervals', () => {
+  const intervals = [
+    { start: '2026-03-10T09:00:00Z', end: '2026-03-10T11:00:00Z' },
+    { start: '2026-03-11T09:00:00Z', end: null },
+  ];
+
+  it('counts running intervals up to now', () => {
+    expect(sumIntervals(intervals, { now: new Date('2026-03-11T10:00:00Z') })).toBe(3 * HOUR);
+  });
+
+  it('clips intervals to the period', () => {
+    const range = { since: new Date('2026-03-10T10:00:00Z'), until: new Date('2026-03-11T09:30:00Z'), now: new Date('2026-03-12') };
+    expect(sumIntervals(intervals, range)).toBe(1.5 * HOUR);
+    expect(sumIntervals(undefined)).toBe(0);
+  });
+});
+
+describe('formatDuration', () => {
+  it('uses the largest useful units', () => {
+    expect(formatDuration(40000)).toBe('40s');
+    expect(formatDuration(12 * 60000)).toBe('12m');
+    expect(formatDuration(2 * HOUR + 5 * 60000)).toBe('2h 05m');
+    expect(formatDuration(26 * HOUR)).toBe('1d 2h 00m');
+  });
+});
+
+describe('buildReport', () => {
+  const tasks = [
+    { id: 'task0001aaaaaaaa', title: 'API', status: 'done', priority: 1, tags: ['backend', 'api'], worktreeId: null },
+    { id: 'task0002bbbbbbbb', title: 'Docs', status: 'in_progress', priority: 2, tags: [], worktreeId: 'wt-docs' },
+  ];
+  const entries = [
+    { taskId: 'task0003cccccccc', action: 'create', title: 'Spike', at: '2026-03-09T08:00:00Z' },
+    status('task0003cccccccc', 'in_progress', '2026-03-09T08:00:00Z'),
+    status('task0003cccccccc', 'done', '2026-03-09T09:00:00Z'),
+    { taskId: 'task0001aaaaaaaa', action: 'worktree', to: 'wt1', branch: 'task/task0001', at: '2026-03-10T08:00:00Z' },
+    status('task0001aaaaaaaa', 'in_progress', '2026-03-10T09:00:00Z'),
+    status('task0001aaaaaaaa', 'done', '2026-03-10T12:00:00Z'),
+    status('task0002bbbbbbbb', 'in_progress', '2026-03-10T13:00:00Z', 'lee'),
+  ];
+  const now = new Date('2026-03-10T14:00:00Z');
+
+  it('groups tracked time by tag, priority, worktree and author', () => {
+    const report = buildReport(tasks, entries, { now });
+
+    expect(report.total).toBe(5 * HOUR);
+    expect(report.byTag).toEqual([
+      { key: 'backend', ms: 3 * HOUR, tasks: 1 },
+      { key: 'api', ms: 3 * HOUR, tasks: 1 },
+      { key: '(untagged)', ms: 2 * HOUR, tasks: 2 },
+    ]);
+    expect(report.byPriority.map((r) => r.key)).toEqual(['(deleted)', 'P1', 'P2']);
+    expect(report.byWorktree.map((r) => r.key)).toEqual(['task/task0001', '(none)', 'wt-docs']);
+    expect(report.byAuthor).toEqual([
+      { key: 'dana', ms: 4 * HOUR, tasks: 2 },
+      { key: 'lee', ms: HOUR, tasks: 1 },
+    ]);
+  });
+
+  it('lists deleted tasks by their created title and marks running timers', () => {
+    const report = buildReport(tasks, entries, { now });
+    expect(report.tasks.map((t) => [t.title, t.status, t.running])).toEqual([
+      ['API', 'done', false],
+      ['Spike', 'deleted', false],
+      ['Docs', 'in_progress', true],
+    ]);
+  });
+
+  it('only counts time inside the period', () => {
+    const report = buildReport(tasks, entries, { since: new Date('2026-03-10T00:00:00Z'), now });
+    expect(report.total).toBe(4 * HOUR);
+    expect(report.tasks.map((t) => t.title)).toEqual(['API', 'Docs']);
+
+    const markdown = formatReportMarkdown(report, 'Board');
+    expect(markdown).toContain('> 区间: 2026-03-10 → 2026-03-10');
+    expect(markdown).toContain('| Docs (`task0002`) | in_progress ⏱ | 1h 00m |');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+
+import { fit, renderDescription, stringWidth, wrapText } from '../../../lib/tui.js';
+
+const plain = (line) => line.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+
+describe('stringWidth', () => {
+  it('counts CJK and emoji as two cells and ignores ANSI escapes', () => {
+    expect(stringWidth('abc')).toBe(3);
+    expect(stringWidth('看板')).toBe(4);
+    expect(stringWidth('🚀 go')).toBe(5);
+    expect(stringWidth('\x1b[1mbold\x1b[22m')).toBe(4);
+  });
+});
+
+describe('fit', () => {
+  it('pads short text to the exact width', () => {
+    expect(fit('ab', 5)).toBe('ab   ');
+    expect(fit('x', 0)).toBe('');
+  });
+
+  it('cuts long text with an ellipsis without splitting wide characters', () => {
+    expect(fit('abcdefgh', 5)).toBe('abcd…');
+    // 第三个汉字放不下时用空格补齐宽度
+    expect(fit('任务看板工具', 6)).toBe('任务… ');
+    expect(stringWidth(fit('任务看板工具', 6))).toBe(6);
+  });
+});
+
+describe('wrapText', () => {
+  it('wraps by cell width and keeps explicit line breaks', () => {
+    expect(wrapText('abcdef\ngh', 4)).toEqual(['abcd', 'ef', 'gh']);
+    expect(wrapText('看板看板', 5)).toEqual(['看板', '看板']);
+  });
+});
+
+describe('renderDescription', () => {
+  it('renders headings, checklists, bullets and bold as plain terminal lines', () => {
+    const lines = renderDescription('# Plan\n- [x] tests\n- [ ] docs\n* **note**', 12).map(plain);
+    expect(lines).toEqual(['Plan        ', '☑ tests     ', '☐ docs      ', '• note      ']);
+  });
+
+  it('keeps code fences as is and wraps long paragraphs', () => {
+    const lines = renderDescription('```\n- [x] not a checkbox\n```\nabcdefghij', 6).map(plain);
+    expect(lines).toEqual(['```   ', '- [x]…', '```   ', 'abcdef', 'ghij  ']);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+
+import { gitError, linkWorktrees, taskIdFromBranch } from '../../../lib/worktrees.js';
+
+const worktree = (path, branch) => ({ path, head: 'abc123', branch, main: false, prunable: false });
+
+describe('taskIdFromBranch', () => {
+  it('only accepts task/<id> branches', () => {
+    expect(taskIdFromBranch('task/ab12cd34')).toBe('ab12cd34');
+    expect(taskIdFromBranch('feature/ab12cd34')).toBeNull();
+    expect(taskIdFromBranch(null)).toBeNull();
+  });
+});
+
+describe('linkWorktrees', () => {
+  const tasks = [
+    { id: 'ab12cd34ef', title: 'API', worktreeId: 'srv-1' },
+    { id: 'ff00aa11bb', title: 'Docs', worktreeId: null },
+  ];
+
+  it('prefers the server worktree bound to a task', () => {
+    const [linked] = linkWorktrees([worktree('/repo/../wt/api', 'feature/api')], {
+      tasks,
+      serverWorktrees: [{ id: 'srv-1', path: '/wt/api', branchName: 'other' }],
+    });
+
+    expect(linked).toMatchObject({ serverId: 'srv-1', taskId: 'ab12cd34ef', deleted: false });
+    expect(linked.task.title).toBe('API');
+  });
+
+  it('falls back to the latest activity binding and flags deleted tasks', () => {
+    const activity = [
+      { taskId: 'ff00aa11bb', action: 'worktree', to: 'srv-9', branch: 'feature/x' },
+      { taskId: 'gone000000', action: 'worktree', to: 'srv-9', branch: 'feature/x' },
+      { taskId: 'ff00aa11bb', action: 'worktree', to: null },
+    ];
+    const [linked] = linkWorktrees([worktree('/wt/x', 'feature/x')], { tasks, activity });
+
+    expect(linked).toMatchObject({ serverId: null, taskId: 'gone000000', task: null, deleted: true });
+  });
+
+  it('matches task/<prefix> branches by unique ID prefix', () => {
+    const [unique, unknown, detached] = linkWorktrees(
+      [worktree('/wt/a', 'task/ff00'), worktree('/wt/b', 'task/zz99'), worktree('/wt/c', null)],
+      { tasks }
+    );
+
+    expect(unique).toMatchObject({ taskId: 'ff00aa11bb', deleted: false });
+    expect(unknown).toMatchObject({ taskId: 'zz99', task: null, deleted: true });
+    expect(detached).toMatchObject({ taskId: null, task: null, deleted: false });
+  });
+});
+
+describe('gitError', () => {
+  it('keeps the last lines of git output without hints', () => {
+    const err = Object.assign(new Error('Command failed'), {
+      stdout: 'Auto-merging a.js\nCONFLICT (content): Merge conflict in a.js\n',
+      stderr: 'hint: resolve conflicts\nAutomatic merge failed; fix conflicts and then commit the result.',
+    });
+    expect(gitError(err)).toBe('Auto-merging a.js\nCONFLICT (content): Merge conflict in a.js\nAutomatic merge failed; fix conflicts and then commit the result.');
+    expect(gitError(new Error('spawn git ENOENT'))).toBe('spawn git ENOENT');
+  });
+});